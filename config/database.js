@@ -48,8 +48,12 @@ const transaction = async (callback) => {
     }
 };
 
+// Placeholder list for an IN (...) clause, e.g. "?, ?, ?"
+const inPlaceholders = (values) => values.map(() => '?').join(', ');
+
 module.exports = {
     pool,
     query,
-    transaction
+    transaction,
+    inPlaceholders
 };
\ No newline at end of file
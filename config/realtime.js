@@ -0,0 +1,154 @@
+/**
+ * Real-time backend for Socket.IO rooms and presence.
+ *
+ * REALTIME_ADAPTER=memory (default) - rooms and presence live in this process.
+ *   Fine for a single instance.
+ * REALTIME_ADAPTER=redis - rooms go through Redis pub/sub (@socket.io/redis-adapter) and
+ *   presence is stored in Redis, so an event emitted on one instance reaches sockets
+ *   connected to any other. Works with any Redis-compatible server at REDIS_URL.
+ *
+ * Presence store (every method is async):
+ *   setDevice(userId, socketId, status) - record a device as 'online' or 'away'
+ *   removeDevice(userId, socketId)
+ *   getDeviceStatuses(userId)           - statuses of the user's live devices
+ */
+
+const REALTIME_ADAPTER = process.env.REALTIME_ADAPTER || 'memory';
+const REDIS_KEY_PREFIX = process.env.REDIS_KEY_PREFIX || 'neighbornet:';
+
+// Devices refresh their presence entry this often. An entry that hasn't been refreshed
+// for PRESENCE_TTL_MS belongs to an instance that died and is ignored.
+const PRESENCE_HEARTBEAT_MS = 30 * 1000;
+const PRESENCE_TTL_MS = 3 * PRESENCE_HEARTBEAT_MS;
+
+// Presence entries are stored as "<status>:<timestamp>"
+const encodeEntry = (status) => `${status}:${Date.now()}`;
+
+function liveStatuses(entries) {
+    const cutoff = Date.now() - PRESENCE_TTL_MS;
+    return entries
+        .map(entry => entry.split(':'))
+        .filter(([, timestamp]) => parseInt(timestamp) >= cutoff)
+        .map(([status]) => status);
+}
+
+/**
+ * Single-process backend
+ */
+function createMemoryBackend() {
+    const devices = new Map(); // userId -> Map(socketId -> entry)
+
+    return {
+        name: 'memory',
+        adapter: null,
+        presence: {
+            async setDevice(userId, socketId, status) {
+                if (!devices.has(userId)) {
+                    devices.set(userId, new Map());
+                }
+                devices.get(userId).set(socketId, encodeEntry(status));
+            },
+            async removeDevice(userId, socketId) {
+                const userDevices = devices.get(userId);
+                if (!userDevices) return;
+                userDevices.delete(socketId);
+                if (userDevices.size === 0) {
+                    devices.delete(userId);
+                }
+            },
+            async getDeviceStatuses(userId) {
+                const userDevices = devices.get(userId);
+                return userDevices ? liveStatuses([...userDevices.values()]) : [];
+            }
+        }
+    };
+}
+
+/**
+ * Multi-instance backend on Redis pub/sub
+ */
+async function createRedisBackend() {
+    const { createClient } = require('redis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+
+    // Give up quickly if Redis is unreachable at startup; once connected, keep retrying
+    let connected = false;
+    const pubClient = createClient({
+        url: process.env.REDIS_URL || 'redis://localhost:6379',
+        socket: {
+            reconnectStrategy: (retries) => (!connected && retries >= 5)
+                ? new Error('Could not connect to Redis')
+                : Math.min(retries * 200, 5000)
+        }
+    });
+    const subClient = pubClient.duplicate();
+
+    pubClient.on('error', (error) => console.error('Redis error:', error.message));
+    subClient.on('error', (error) => console.error('Redis error:', error.message));
+
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    connected = true;
+
+    // One hash per user: socketId -> entry
+    const presenceKey = (userId) => `${REDIS_KEY_PREFIX}presence:${userId}`;
+    const keyTtlSeconds = Math.ceil(PRESENCE_TTL_MS / 1000);
+
+    return {
+        name: 'redis',
+        adapter: createAdapter(pubClient, subClient, { key: `${REDIS_KEY_PREFIX}socket.io` }),
+        presence: {
+            async setDevice(userId, socketId, status) {
+                await pubClient.multi()
+                    .hSet(presenceKey(userId), socketId, encodeEntry(status))
+                    .expire(presenceKey(userId), keyTtlSeconds)
+                    .exec();
+            },
+            async removeDevice(userId, socketId) {
+                await pubClient.hDel(presenceKey(userId), socketId);
+            },
+            async getDeviceStatuses(userId) {
+                return liveStatuses(await pubClient.hVals(presenceKey(userId)));
+            }
+        }
+    };
+}
+
+const BACKENDS = {
+    memory: createMemoryBackend,
+    redis: createRedisBackend
+};
+
+// In-memory until attachRealtime() picks the configured backend
+let backend = createMemoryBackend();
+
+/**
+ * Set up the configured backend and plug its adapter into Socket.IO.
+ * Must finish before the server starts accepting connections.
+ */
+async function attachRealtime(io) {
+    const factory = BACKENDS[REALTIME_ADAPTER];
+    if (!factory) {
+        throw new Error(`Unknown REALTIME_ADAPTER "${REALTIME_ADAPTER}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    backend = await factory();
+    if (backend.adapter) {
+        io.adapter(backend.adapter);
+    }
+
+    console.log(`✅ Real-time backend: ${backend.name}`);
+    return backend;
+}
+
+/**
+ * Presence store of the active backend
+ */
+function getPresenceStore() {
+    return backend.presence;
+}
+
+module.exports = {
+    PRESENCE_HEARTBEAT_MS,
+    attachRealtime,
+    getPresenceStore
+};
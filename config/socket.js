@@ -1,25 +1,27 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../utils/auth');
 const { registerUserSocket, unregisterUserSocket } = require('../utils/notifications');
+const presence = require('../utils/presence');
+const { getBlockedUserIds } = require('../utils/blocks');
 
 /**
  * Configure Socket.IO with authentication
  */
 function configureSocket(io) {
-    // Middleware for authentication
-    io.use((socket, next) => {
+    // Middleware for authentication - same access tokens and checks as the HTTP API
+    io.use(async (socket, next) => {
         const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
-        
-        if (!token) {
-            return next(new Error('Authentication error: No token provided'));
-        }
 
         try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            socket.userId = decoded.user_id;
-            socket.username = decoded.username;
+            const outcome = await verifyAccessToken(token, { ipAddress: socket.handshake.address });
+            if (outcome.error) {
+                return next(new Error(`Authentication error: ${outcome.error}`));
+            }
+
+            socket.userId = outcome.user.user_id;
+            socket.sessionId = outcome.sessionId;
             next();
         } catch (error) {
-            next(new Error('Authentication error: Invalid token'));
+            next(new Error('Authentication error: Token verification failed'));
         }
     });
 
@@ -28,7 +30,8 @@ function configureSocket(io) {
         const userId = socket.userId;
         
         // Register user connection
-        registerUserSocket(userId, socket.id);
+        registerUserSocket(socket).catch(console.error);
+        presence.deviceConnected(userId, socket.id).catch(console.error);
 
         // Send initial unread count
         const notificationUtils = require('../utils/notifications');
@@ -98,6 +101,81 @@ function configureSocket(io) {
             }
         });
 
+        // Send a direct message; the ack gets the saved message or an error
+        socket.on('send_direct_message', async (data, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            try {
+                const { sendDirectMessage } = require('../utils/directMessages');
+                const outcome = await sendDirectMessage({ senderId: userId, data });
+
+                if (outcome.error) {
+                    return reply({ success: false, error: outcome.error });
+                }
+                reply({ success: true, message: outcome.message });
+            } catch (error) {
+                console.error('Error sending direct message:', error);
+                reply({ success: false, error: 'Failed to send message' });
+            }
+        });
+
+        // Live updates for a post (e.g. poll tallies) while it is on screen
+        socket.on('subscribe_post', (data) => {
+            const postId = parseInt(data?.postId);
+            if (postId) {
+                socket.join(`post:${postId}`);
+            }
+        });
+
+        socket.on('unsubscribe_post', (data) => {
+            const postId = parseInt(data?.postId);
+            if (postId) {
+                socket.leave(`post:${postId}`);
+            }
+        });
+
+        // Presence: this device went to the background ('away') or came back ('online')
+        socket.on('presence_update', (data) => {
+            if (presence.PRESENCE_STATUSES.includes(data?.status)) {
+                presence.setDeviceStatus(userId, socket.id, data.status).catch(console.error);
+            }
+        });
+
+        // Follow presence changes for some users; the ack gets their current presence
+        socket.on('subscribe_presence', async (data, ack) => {
+            const requested = (Array.isArray(data?.userIds) ? data.userIds : [])
+                .map(id => parseInt(id))
+                .filter(id => id > 0)
+                .slice(0, 200);
+
+            try {
+                // Nobody on either side of a block sees the other's presence
+                const blocked = await getBlockedUserIds(userId);
+                const userIds = requested.filter(id => !blocked.has(id));
+
+                userIds.forEach(id => socket.join(`presence:${id}`));
+
+                const snapshot = await presence.getPresence(userIds);
+                if (typeof ack === 'function') ack({ success: true, presence: snapshot });
+            } catch (error) {
+                console.error('Error loading presence:', error);
+                if (typeof ack === 'function') ack({ success: false, error: 'Failed to load presence' });
+            }
+        });
+
+        socket.on('unsubscribe_presence', (data) => {
+            const userIds = Array.isArray(data?.userIds) ? data.userIds : [];
+            userIds.forEach(id => socket.leave(`presence:${parseInt(id)}`));
+        });
+
+        // Typing indicators for a DM ({ receiverId }) or a group ({ groupId })
+        socket.on('typing_start', (data) => {
+            presence.setTyping({ userId, socketId: socket.id, target: data, isTyping: true }).catch(console.error);
+        });
+
+        socket.on('typing_stop', (data) => {
+            presence.setTyping({ userId, socketId: socket.id, target: data, isTyping: false }).catch(console.error);
+        });
+
         // Handle ping for connection keepalive
         socket.on('ping', () => {
             socket.emit('pong');
@@ -105,7 +183,8 @@ function configureSocket(io) {
 
         // Handle disconnection
         socket.on('disconnect', () => {
-            unregisterUserSocket(userId);
+            unregisterUserSocket(socket);
+            presence.deviceDisconnected(userId, socket.id).catch(console.error);
         });
     });
 
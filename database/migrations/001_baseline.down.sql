@@ -0,0 +1,28 @@
+-- 001_baseline (down)
+
+SET FOREIGN_KEY_CHECKS = 0;
+
+DROP TABLE IF EXISTS MessageReactions;
+DROP TABLE IF EXISTS NotificationTokens;
+DROP TABLE IF EXISTS Likes;
+DROP TABLE IF EXISTS Notifications;
+DROP TABLE IF EXISTS TrustedContacts;
+DROP TABLE IF EXISTS UserBadges;
+DROP TABLE IF EXISTS Badges;
+DROP TABLE IF EXISTS PostTags;
+DROP TABLE IF EXISTS Tags;
+DROP TABLE IF EXISTS ChatMessages;
+DROP TABLE IF EXISTS GroupMemberships;
+DROP TABLE IF EXISTS UserGroups;
+DROP TABLE IF EXISTS Verifications;
+DROP TABLE IF EXISTS IncidentReports;
+DROP TABLE IF EXISTS EventSignups;
+DROP TABLE IF EXISTS RSVPs;
+DROP TABLE IF EXISTS Events;
+DROP TABLE IF EXISTS Comments;
+DROP TABLE IF EXISTS Posts;
+DROP TABLE IF EXISTS Follows;
+DROP TABLE IF EXISTS DirectMessages;
+DROP TABLE IF EXISTS Users;
+
+SET FOREIGN_KEY_CHECKS = 1;
@@ -0,0 +1,13 @@
+-- 002_search_indexes (down)
+
+ALTER TABLE UserGroups
+    DROP INDEX ft_group_search;
+
+ALTER TABLE Events
+    DROP INDEX ft_event_search;
+
+ALTER TABLE Posts
+    DROP INDEX ft_post_content;
+
+ALTER TABLE Users
+    DROP INDEX ft_user_search;
@@ -0,0 +1,14 @@
+-- 002_search_indexes (up)
+-- Full-text indexes for /api/search (BOOLEAN MODE over posts, events, groups and people)
+
+ALTER TABLE Users
+    ADD FULLTEXT INDEX ft_user_search (display_name, skills);
+
+ALTER TABLE Posts
+    ADD FULLTEXT INDEX ft_post_content (content);
+
+ALTER TABLE Events
+    ADD FULLTEXT INDEX ft_event_search (title, description);
+
+ALTER TABLE UserGroups
+    ADD FULLTEXT INDEX ft_group_search (name, description);
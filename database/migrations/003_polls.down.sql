@@ -0,0 +1,5 @@
+-- 003_polls (down)
+
+DROP TABLE IF EXISTS PollVotes;
+DROP TABLE IF EXISTS PollOptions;
+DROP TABLE IF EXISTS Polls;
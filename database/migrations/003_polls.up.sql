@@ -0,0 +1,35 @@
+-- 003_polls (up)
+-- Polls attached to posts, their options and votes
+
+CREATE TABLE Polls (
+poll_id INT PRIMARY KEY AUTO_INCREMENT,
+post_id INT UNIQUE NOT NULL,
+allow_multiple BOOLEAN DEFAULT FALSE,
+is_anonymous BOOLEAN DEFAULT FALSE,
+closes_at DATETIME NULL,
+closed_at DATETIME NULL,
+created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+FOREIGN KEY (post_id) REFERENCES Posts(post_id) ON DELETE CASCADE
+);
+
+CREATE TABLE PollOptions (
+option_id INT PRIMARY KEY AUTO_INCREMENT,
+poll_id INT NOT NULL,
+option_text VARCHAR(200) NOT NULL,
+position INT NOT NULL DEFAULT 0,
+FOREIGN KEY (poll_id) REFERENCES Polls(poll_id) ON DELETE CASCADE,
+INDEX idx_poll (poll_id)
+);
+
+CREATE TABLE PollVotes (
+vote_id INT PRIMARY KEY AUTO_INCREMENT,
+poll_id INT NOT NULL,
+option_id INT NOT NULL,
+user_id INT NOT NULL,
+created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+FOREIGN KEY (poll_id) REFERENCES Polls(poll_id) ON DELETE CASCADE,
+FOREIGN KEY (option_id) REFERENCES PollOptions(option_id) ON DELETE CASCADE,
+FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE CASCADE,
+UNIQUE KEY unique_poll_vote (option_id, user_id),
+INDEX idx_poll_user (poll_id, user_id)
+);
@@ -0,0 +1,16 @@
+-- 004_comment_threads (down)
+
+DROP TABLE IF EXISTS CommentReactions;
+
+-- Replies go with the thread structure
+DELETE FROM Comments WHERE parent_comment_id IS NOT NULL;
+
+ALTER TABLE Comments
+    DROP FOREIGN KEY fk_comment_parent;
+
+ALTER TABLE Comments
+    DROP INDEX idx_thread,
+    DROP COLUMN is_deleted,
+    DROP COLUMN reaction_count,
+    DROP COLUMN reply_count,
+    DROP COLUMN parent_comment_id;
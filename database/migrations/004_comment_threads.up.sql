@@ -0,0 +1,22 @@
+-- 004_comment_threads (up)
+-- Threaded replies, reactions and soft deletion for comments
+
+ALTER TABLE Comments
+    ADD COLUMN parent_comment_id INT NULL AFTER post_id,
+    ADD COLUMN reply_count INT DEFAULT 0 AFTER content,
+    ADD COLUMN reaction_count INT DEFAULT 0 AFTER reply_count,
+    ADD COLUMN is_deleted BOOLEAN DEFAULT FALSE AFTER reaction_count,
+    ADD CONSTRAINT fk_comment_parent FOREIGN KEY (parent_comment_id) REFERENCES Comments(comment_id) ON DELETE CASCADE,
+    ADD INDEX idx_thread (post_id, parent_comment_id, created_at);
+
+CREATE TABLE CommentReactions (
+reaction_id INT PRIMARY KEY AUTO_INCREMENT,
+comment_id INT NOT NULL,
+user_id INT NOT NULL,
+emoji VARCHAR(10) NOT NULL,
+created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+UNIQUE KEY unique_comment_reaction (comment_id, user_id, emoji),
+INDEX idx_user (user_id),
+FOREIGN KEY (comment_id) REFERENCES Comments(comment_id) ON DELETE CASCADE,
+FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE CASCADE
+);
@@ -0,0 +1,18 @@
+-- 005_moderation (down)
+
+DROP TABLE IF EXISTS ModerationActions;
+DROP TABLE IF EXISTS ContentReports;
+
+ALTER TABLE DirectMessages
+    DROP COLUMN is_hidden;
+
+ALTER TABLE ChatMessages
+    DROP COLUMN is_hidden;
+
+ALTER TABLE Comments
+    DROP COLUMN is_hidden;
+
+ALTER TABLE Users
+    DROP COLUMN warning_count,
+    DROP COLUMN suspended_until,
+    DROP COLUMN account_status;
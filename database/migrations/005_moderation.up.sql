@@ -0,0 +1,48 @@
+-- 005_moderation (up)
+-- Content reports, the moderation audit trail, hidden content and account suspensions
+
+ALTER TABLE Users
+    ADD COLUMN account_status ENUM('active','suspended') DEFAULT 'active' AFTER is_moderator,
+    ADD COLUMN suspended_until DATETIME NULL AFTER account_status,
+    ADD COLUMN warning_count INT DEFAULT 0 AFTER suspended_until;
+
+ALTER TABLE Comments
+    ADD COLUMN is_hidden BOOLEAN DEFAULT FALSE AFTER is_deleted;
+
+ALTER TABLE ChatMessages
+    ADD COLUMN is_hidden BOOLEAN DEFAULT FALSE AFTER reply_to_user_id;
+
+ALTER TABLE DirectMessages
+    ADD COLUMN is_hidden BOOLEAN DEFAULT FALSE AFTER reply_to_sender_id;
+
+CREATE TABLE ContentReports (
+report_id INT PRIMARY KEY AUTO_INCREMENT,
+reporter_id INT NOT NULL,
+content_type ENUM('post', 'comment', 'direct_message', 'group_message') NOT NULL,
+content_id INT NOT NULL,
+reason ENUM('spam', 'harassment', 'hate_speech', 'violence', 'misinformation', 'scam', 'inappropriate', 'other') NOT NULL,
+details TEXT,
+status ENUM('pending', 'actioned', 'dismissed') DEFAULT 'pending',
+created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+resolved_at TIMESTAMP NULL,
+FOREIGN KEY (reporter_id) REFERENCES Users(user_id) ON DELETE CASCADE,
+UNIQUE KEY unique_report (reporter_id, content_type, content_id),
+INDEX idx_content (content_type, content_id, status),
+INDEX idx_status (status, created_at)
+);
+
+CREATE TABLE ModerationActions (
+action_id INT PRIMARY KEY AUTO_INCREMENT,
+moderator_id INT NULL,
+content_type ENUM('post', 'comment', 'direct_message', 'group_message') NOT NULL,
+content_id INT NOT NULL,
+target_user_id INT NULL,
+action ENUM('auto_hide', 'dismiss', 'remove', 'warn', 'suspend') NOT NULL,
+notes TEXT,
+created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+FOREIGN KEY (moderator_id) REFERENCES Users(user_id) ON DELETE SET NULL,
+FOREIGN KEY (target_user_id) REFERENCES Users(user_id) ON DELETE SET NULL,
+INDEX idx_content (content_type, content_id),
+INDEX idx_moderator (moderator_id),
+INDEX idx_target (target_user_id)
+);
@@ -0,0 +1,7 @@
+-- 006_incident_alerts (down)
+
+DROP TABLE IF EXISTS IncidentAlertRecipients;
+DROP TABLE IF EXISTS IncidentAlerts;
+
+ALTER TABLE Users
+    DROP COLUMN urgent_alerts_enabled;
@@ -0,0 +1,27 @@
+-- 006_incident_alerts (up)
+-- Alerts sent to nearby residents about urgent incidents, and who received each one
+
+ALTER TABLE Users
+    ADD COLUMN urgent_alerts_enabled BOOLEAN DEFAULT TRUE AFTER warning_count;
+
+CREATE TABLE IncidentAlerts (
+alert_id INT PRIMARY KEY AUTO_INCREMENT,
+post_id INT NOT NULL,
+incident_type ENUM('suspicious_activity', 'break_in', 'vandalism', 'noise', 'traffic', 'other') NOT NULL,
+latitude DECIMAL(10,8) NOT NULL,
+longitude DECIMAL(11,8) NOT NULL,
+radius INT NOT NULL,
+recipient_count INT DEFAULT 0,
+created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+FOREIGN KEY (post_id) REFERENCES Posts(post_id) ON DELETE CASCADE,
+INDEX idx_type_created (incident_type, created_at)
+);
+
+CREATE TABLE IncidentAlertRecipients (
+alert_id INT NOT NULL,
+user_id INT NOT NULL,
+PRIMARY KEY (alert_id, user_id),
+FOREIGN KEY (alert_id) REFERENCES IncidentAlerts(alert_id) ON DELETE CASCADE,
+FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE CASCADE,
+INDEX idx_user (user_id)
+);
@@ -0,0 +1,8 @@
+-- 007_group_read_cursors (down)
+
+ALTER TABLE ChatMessages ADD COLUMN is_read BOOLEAN DEFAULT FALSE AFTER caption;
+
+ALTER TABLE GroupMemberships
+    DROP INDEX idx_group_read,
+    DROP COLUMN last_read_at,
+    DROP COLUMN last_read_message_id;
@@ -0,0 +1,19 @@
+-- 007_group_read_cursors (up)
+-- Each member keeps their own read position instead of a shared ChatMessages.is_read flag
+
+ALTER TABLE GroupMemberships
+    ADD COLUMN last_read_message_id INT NULL,
+    ADD COLUMN last_read_at TIMESTAMP NULL,
+    ADD INDEX idx_group_read (group_id, last_read_message_id);
+
+-- Start existing members at the latest message so old history doesn't show up as unread
+UPDATE GroupMemberships gm
+JOIN (
+    SELECT group_id, MAX(message_id) AS latest_message_id
+    FROM ChatMessages
+    GROUP BY group_id
+) latest ON latest.group_id = gm.group_id
+SET gm.last_read_message_id = latest.latest_message_id,
+    gm.last_read_at = CURRENT_TIMESTAMP;
+
+ALTER TABLE ChatMessages DROP COLUMN is_read;
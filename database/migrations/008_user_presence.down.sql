@@ -0,0 +1,5 @@
+-- 008_user_presence (down)
+
+ALTER TABLE Users
+    DROP COLUMN show_last_seen,
+    DROP COLUMN last_seen_at;
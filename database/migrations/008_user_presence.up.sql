@@ -0,0 +1,5 @@
+-- 008_user_presence (up)
+
+ALTER TABLE Users
+    ADD COLUMN last_seen_at TIMESTAMP NULL,
+    ADD COLUMN show_last_seen BOOLEAN DEFAULT TRUE;
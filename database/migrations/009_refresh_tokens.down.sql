@@ -0,0 +1,5 @@
+-- 009_refresh_tokens (down)
+
+DROP TABLE IF EXISTS RefreshTokens;
+
+ALTER TABLE Users DROP COLUMN token_version;
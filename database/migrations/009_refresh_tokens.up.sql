@@ -0,0 +1,22 @@
+-- 009_refresh_tokens (up)
+-- Short-lived access tokens plus rotating refresh tokens stored server-side
+
+-- Bumped to invalidate every access token a user holds ("log out all devices")
+ALTER TABLE Users ADD COLUMN token_version INT NOT NULL DEFAULT 0;
+
+-- Each login starts a family; every refresh replaces the token with a new one in the same
+-- family. Presenting a token that was already replaced revokes the whole family.
+CREATE TABLE RefreshTokens (
+token_id INT PRIMARY KEY AUTO_INCREMENT,
+user_id INT NOT NULL,
+family_id CHAR(36) NOT NULL,
+token_hash CHAR(64) NOT NULL,
+expires_at DATETIME NOT NULL,
+revoked_at DATETIME NULL,
+replaced_by_token_id INT NULL,
+created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE CASCADE,
+UNIQUE KEY unique_token_hash (token_hash),
+INDEX idx_family (family_id),
+INDEX idx_user_active (user_id, revoked_at)
+);
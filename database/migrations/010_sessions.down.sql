@@ -0,0 +1,5 @@
+-- 010_sessions (down)
+
+ALTER TABLE RefreshTokens DROP FOREIGN KEY fk_refresh_session;
+
+DROP TABLE IF EXISTS Sessions;
@@ -0,0 +1,29 @@
+-- 010_sessions (up)
+-- One row per login. The session ID is the refresh token family ID and is carried
+-- in access tokens, so revoking a session cuts off its access tokens and sockets at once.
+
+CREATE TABLE Sessions (
+session_id CHAR(36) PRIMARY KEY,
+user_id INT NOT NULL,
+device_id VARCHAR(255) NULL,
+platform ENUM('ios', 'android', 'web') NULL,
+device_name VARCHAR(100) NULL,
+ip_address VARCHAR(45) NULL,
+user_agent VARCHAR(500) NULL,
+created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+last_active_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+revoked_at DATETIME NULL,
+FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE CASCADE,
+INDEX idx_user_active (user_id, revoked_at),
+INDEX idx_user_device (user_id, device_id)
+);
+
+-- Logins from before this migration keep working as sessions with unknown devices
+INSERT INTO Sessions (session_id, user_id, created_at, last_active_at, revoked_at)
+SELECT family_id, user_id, MIN(created_at), MAX(created_at),
+       CASE WHEN SUM(revoked_at IS NULL) = 0 THEN MAX(revoked_at) ELSE NULL END
+FROM RefreshTokens
+GROUP BY family_id, user_id;
+
+ALTER TABLE RefreshTokens
+    ADD CONSTRAINT fk_refresh_session FOREIGN KEY (family_id) REFERENCES Sessions(session_id) ON DELETE CASCADE;
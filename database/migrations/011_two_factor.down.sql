@@ -0,0 +1,11 @@
+-- 011_two_factor (down)
+
+DROP TABLE IF EXISTS LoginChallenges;
+DROP TABLE IF EXISTS TwoFactorBackupCodes;
+
+ALTER TABLE Users
+    DROP COLUMN two_factor_secret,
+    DROP COLUMN two_factor_enabled,
+    DROP COLUMN two_factor_enabled_at,
+    DROP COLUMN two_factor_last_step,
+    DROP COLUMN two_factor_required;
@@ -0,0 +1,36 @@
+-- 011_two_factor (up)
+-- Optional TOTP two-factor authentication with one-time backup codes
+
+-- two_factor_secret is set when enrollment starts and only takes effect once
+-- two_factor_enabled is set by verifying a first code. two_factor_last_step is the
+-- last accepted 30-second time step, so a code can't be used twice.
+-- two_factor_required is set by a moderator and blocks the account until 2FA is on.
+ALTER TABLE Users
+    ADD COLUMN two_factor_secret VARCHAR(64) NULL,
+    ADD COLUMN two_factor_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN two_factor_enabled_at DATETIME NULL,
+    ADD COLUMN two_factor_last_step BIGINT NULL,
+    ADD COLUMN two_factor_required BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE TwoFactorBackupCodes (
+code_id INT PRIMARY KEY AUTO_INCREMENT,
+user_id INT NOT NULL,
+code_hash CHAR(64) NOT NULL,
+used_at DATETIME NULL,
+created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE CASCADE,
+UNIQUE KEY unique_user_code (user_id, code_hash)
+);
+
+-- Second step of a login: the password was right, a code is still needed
+CREATE TABLE LoginChallenges (
+challenge_id INT PRIMARY KEY AUTO_INCREMENT,
+user_id INT NOT NULL,
+token_hash CHAR(64) NOT NULL,
+attempts INT NOT NULL DEFAULT 0,
+expires_at DATETIME NOT NULL,
+completed_at DATETIME NULL,
+created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE CASCADE,
+UNIQUE KEY unique_challenge_token (token_hash)
+);
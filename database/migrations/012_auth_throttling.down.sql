@@ -0,0 +1,4 @@
+-- 012_auth_throttling (down)
+
+DROP TABLE IF EXISTS AuthLockouts;
+DROP TABLE IF EXISTS AuthAttempts;
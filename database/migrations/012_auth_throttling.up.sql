@@ -0,0 +1,29 @@
+-- 012_auth_throttling (up)
+-- Failed-attempt tracking and temporary lockouts for the login, second-factor and account recovery routes
+
+-- Recent attempts per account (email) and per IP. Old rows are purged; lockouts are the record.
+CREATE TABLE AuthAttempts (
+attempt_id BIGINT PRIMARY KEY AUTO_INCREMENT,
+action ENUM('login', 'two_factor', 'forgot_password', 'forgot_username', 'resend_verification') NOT NULL,
+scope ENUM('account', 'ip') NOT NULL,
+identifier VARCHAR(255) NOT NULL,
+created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+INDEX idx_attempt_lookup (action, scope, identifier, created_at),
+INDEX idx_created (created_at)
+);
+
+-- Audit record of every lockout
+CREATE TABLE AuthLockouts (
+lockout_id INT PRIMARY KEY AUTO_INCREMENT,
+action ENUM('login', 'two_factor', 'forgot_password', 'forgot_username', 'resend_verification') NOT NULL,
+scope ENUM('account', 'ip') NOT NULL,
+identifier VARCHAR(255) NOT NULL,
+user_id INT NULL,
+ip_address VARCHAR(45) NULL,
+attempt_count INT NOT NULL,
+locked_until DATETIME NOT NULL,
+created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE SET NULL,
+INDEX idx_lockout_lookup (action, scope, identifier, locked_until),
+INDEX idx_user (user_id, created_at)
+);
@@ -0,0 +1,7 @@
+-- 013_account_deletion (down)
+
+ALTER TABLE Users
+    DROP INDEX idx_deletion_due,
+    DROP COLUMN deletion_requested_at,
+    DROP COLUMN deletion_scheduled_for,
+    DROP COLUMN deleted_at;
@@ -0,0 +1,9 @@
+-- 013_account_deletion (up)
+-- Account deletion with a grace period. A deleted account keeps its Users row as an
+-- anonymous placeholder so content that stays (group messages) still has an author.
+
+ALTER TABLE Users
+    ADD COLUMN deletion_requested_at DATETIME NULL,
+    ADD COLUMN deletion_scheduled_for DATETIME NULL,
+    ADD COLUMN deleted_at DATETIME NULL,
+    ADD INDEX idx_deletion_due (deletion_scheduled_for);
@@ -0,0 +1,8 @@
+-- 014_user_blocks (down)
+
+INSERT INTO TrustedContacts (user_id, trusted_user_id, status, created_at)
+SELECT blocker_id, blocked_id, 'blocked', created_at
+FROM UserBlocks
+ON DUPLICATE KEY UPDATE status = 'blocked';
+
+DROP TABLE IF EXISTS UserBlocks;
@@ -0,0 +1,22 @@
+-- 014_user_blocks (up)
+-- Blocking gets its own table instead of a TrustedContacts status, so anyone can be
+-- blocked - not just contacts - and the block holds whatever else the two users share.
+
+CREATE TABLE UserBlocks (
+blocker_id INT NOT NULL,
+blocked_id INT NOT NULL,
+created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+PRIMARY KEY (blocker_id, blocked_id),
+FOREIGN KEY (blocker_id) REFERENCES Users(user_id) ON DELETE CASCADE,
+FOREIGN KEY (blocked_id) REFERENCES Users(user_id) ON DELETE CASCADE,
+INDEX idx_blocked (blocked_id)
+);
+
+-- Contacts blocked the old way. Both sides were marked, so who blocked whom is unknown
+-- and the block is kept in both directions.
+INSERT IGNORE INTO UserBlocks (blocker_id, blocked_id, created_at)
+SELECT user_id, trusted_user_id, created_at
+FROM TrustedContacts
+WHERE status = 'blocked';
+
+DELETE FROM TrustedContacts WHERE status = 'blocked';
@@ -0,0 +1,3 @@
+-- 015_message_requests (down)
+
+DROP TABLE IF EXISTS MessageRequests;
@@ -0,0 +1,15 @@
+-- 015_message_requests (up)
+-- A first direct message from someone the receiver has no connection with opens a
+-- message request. Until the receiver accepts it, the sender can't send another one.
+
+CREATE TABLE MessageRequests (
+sender_id INT NOT NULL,
+receiver_id INT NOT NULL,
+status ENUM('pending', 'accepted', 'ignored') DEFAULT 'pending',
+created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+responded_at DATETIME NULL,
+PRIMARY KEY (sender_id, receiver_id),
+FOREIGN KEY (sender_id) REFERENCES Users(user_id) ON DELETE CASCADE,
+FOREIGN KEY (receiver_id) REFERENCES Users(user_id) ON DELETE CASCADE,
+INDEX idx_receiver_status (receiver_id, status)
+);
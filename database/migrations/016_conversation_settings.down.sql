@@ -0,0 +1,3 @@
+-- 016_conversation_settings (down)
+
+DROP TABLE IF EXISTS ConversationSettings;
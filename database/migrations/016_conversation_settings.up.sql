@@ -0,0 +1,15 @@
+-- 016_conversation_settings (up)
+-- Each user's own settings for a conversation: archived, muted until a time, pinned.
+-- conversation_id is the other user's ID for a DM and the group ID for a group.
+
+CREATE TABLE ConversationSettings (
+user_id INT NOT NULL,
+conversation_type ENUM('dm', 'group') NOT NULL,
+conversation_id INT NOT NULL,
+archived_at DATETIME NULL,
+muted_until DATETIME NULL,
+pin_order INT NULL,
+updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+PRIMARY KEY (user_id, conversation_type, conversation_id),
+FOREIGN KEY (user_id) REFERENCES Users(user_id) ON DELETE CASCADE
+);
@@ -0,0 +1,7 @@
+-- 017_message_search (down)
+
+ALTER TABLE ChatMessages
+    DROP INDEX ft_chat_search;
+
+ALTER TABLE DirectMessages
+    DROP INDEX ft_dm_search;
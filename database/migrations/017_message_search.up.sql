@@ -0,0 +1,8 @@
+-- 017_message_search (up)
+-- Full-text indexes for searching across every conversation and group at once
+
+ALTER TABLE DirectMessages
+    ADD FULLTEXT INDEX ft_dm_search (content, caption);
+
+ALTER TABLE ChatMessages
+    ADD FULLTEXT INDEX ft_chat_search (content, caption);
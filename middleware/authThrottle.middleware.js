@@ -0,0 +1,40 @@
+const { asyncHandler } = require('./error.middleware');
+const { checkThrottle, recordAttempt, clearAttempts } = require('../utils/authThrottle');
+
+/**
+ * Brute-force protection for an auth route (see utils/authThrottle)
+ * @param {string} action - login, two_factor, forgot_password, forgot_username or resend_verification
+ * @param {object} options
+ * @param {boolean} options.countEveryRequest - Count the request up front. Otherwise the
+ *   route calls req.authThrottle.fail() or req.authThrottle.succeed() itself.
+ * @param {function} options.accountEmail - Finds the account's email for requests that
+ *   don't send one; async, gets the request. Defaults to req.body.email.
+ */
+const throttleAuth = (action, { countEveryRequest = false, accountEmail } = {}) => asyncHandler(async (req, res, next) => {
+    const email = accountEmail ? await accountEmail(req) : req.body?.email;
+    const subject = { email, ipAddress: req.ip };
+
+    const blocked = await checkThrottle(action, subject);
+    if (blocked) {
+        res.set('Retry-After', String(blocked.retry_after));
+        return res.status(blocked.status).json({
+            success: false,
+            message: blocked.error,
+            retry_after: blocked.retry_after
+        });
+    }
+
+    if (countEveryRequest) {
+        await recordAttempt(action, subject);
+    }
+
+    req.authThrottle = {
+        fail: () => recordAttempt(action, subject),
+        succeed: () => clearAttempts(action, subject)
+    };
+    next();
+});
+
+module.exports = {
+    throttleAuth
+};
@@ -9,6 +9,12 @@ class AppError extends Error {
 }
 
 const errorHandler = (err, req, res, next) => {
+    // A streamed response that failed part way can't be answered with JSON any more;
+    // Express's own handler closes the connection
+    if (res.headersSent) {
+        return next(err);
+    }
+
     let error = { ...err };
     error.message = err.message;
 
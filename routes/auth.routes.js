@@ -3,8 +3,24 @@ const router = express.Router();
 const { query } = require('../config/database');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
-const { generateToken } = require('../middleware/auth.middleware');
+const { authenticateToken, authenticateTwoFactorSetup } = require('../middleware/auth.middleware');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeAllTokens } = require('../utils/auth');
+const { deviceFromRequest, listSessions, revokeSession } = require('../utils/sessions');
+const {
+    getTwoFactorStatus,
+    verifySecondFactor,
+    startEnrollment,
+    confirmEnrollment,
+    regenerateBackupCodes,
+    disableTwoFactor,
+    createLoginChallenge,
+    getLoginChallengeEmail,
+    completeLoginChallenge
+} = require('../utils/twoFactor');
+const { disconnectUser } = require('../utils/notifications');
 const { asyncHandler } = require('../middleware/error.middleware');
+const { throttleAuth } = require('../middleware/authThrottle.middleware');
+const { clearAttempts } = require('../utils/authThrottle');
 const { validateEmail, validatePassword, validateName, sanitizeInput } = require('../utils/validation');
 const { sendEmail } = require('../config/email');
 
@@ -106,7 +122,7 @@ router.post('/register', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/auth/resend-verification - Resend verification email
-router.post('/resend-verification', asyncHandler(async (req, res) => {
+router.post('/resend-verification', throttleAuth('resend_verification', { countEveryRequest: true }), asyncHandler(async (req, res) => {
     const { email } = req.body;
 
     if (!email) {
@@ -239,8 +255,39 @@ router.get('/verify-email', asyncHandler(async (req, res) => {
     `);
 }));
 
+/**
+ * Log a user in once every check has passed: start a session and send the tokens
+ */
+async function completeLogin(req, res, user) {
+    // Update last login
+    await query('UPDATE Users SET last_login = NOW() WHERE user_id = ?', [user.user_id]);
+
+    // Short-lived access token plus a refresh token for getting new ones, tied to a session for this device
+    const tokens = await issueTokens(user.user_id, deviceFromRequest(req));
+
+    // Remove sensitive data
+    delete user.password_hash;
+    delete user.verification_token;
+    delete user.reset_password_token;
+    delete user.token_version;
+    delete user.two_factor_secret;
+    delete user.two_factor_last_step;
+
+    res.json({ 
+        success: true, 
+        message: 'Login successful', 
+        token: tokens.access_token,
+        refresh_token: tokens.refresh_token,
+        expires_in: tokens.expires_in,
+        session_id: tokens.session_id,
+        // A moderator requires 2FA here: every other route is off limits until it's set up
+        two_factor_setup_required: !!user.two_factor_required && !user.two_factor_enabled,
+        user 
+    });
+}
+
 // POST /api/auth/login - Enhanced login with verification check
-router.post('/login', asyncHandler(async (req, res) => {
+router.post('/login', throttleAuth('login'), asyncHandler(async (req, res) => {
     const { email, password } = req.body;
 
     if (!email || !password) {
@@ -254,6 +301,7 @@ router.post('/login', asyncHandler(async (req, res) => {
     const users = await query('SELECT * FROM Users WHERE email = ?', [email.toLowerCase()]);
     
     if (users.length === 0) {
+        await req.authThrottle.fail();
         return res.status(401).json({ 
             success: false,
             message: 'Invalid email or password' 
@@ -274,33 +322,243 @@ router.post('/login', asyncHandler(async (req, res) => {
     const isPasswordValid = await bcrypt.compare(password, user.password_hash);
     
     if (!isPasswordValid) {
+        await req.authThrottle.fail();
         return res.status(401).json({ 
             success: false,
             message: 'Invalid email or password' 
         });
     }
 
-    // Update last login
-    await query('UPDATE Users SET last_login = NOW() WHERE user_id = ?', [user.user_id]);
+    // With 2FA on, the password only gets a challenge; POST /2fa/login finishes the login.
+    // Failed sign-ins are only forgotten once the whole login succeeds.
+    if (user.two_factor_enabled) {
+        return res.json({
+            success: true,
+            message: 'Enter the code from your authenticator app',
+            two_factor_required: true,
+            challenge_token: await createLoginChallenge(user.user_id)
+        });
+    }
 
-    // Generate JWT token
-    const token = generateToken(user.user_id);
+    await req.authThrottle.succeed();
+    await completeLogin(req, res, user);
+}));
 
-    // Remove sensitive data
-    delete user.password_hash;
-    delete user.verification_token;
-    delete user.reset_password_token;
+// POST /api/auth/2fa/login - Second login step: challenge_token from /login plus an authenticator or backup code
+router.post('/2fa/login', throttleAuth('two_factor', {
+    accountEmail: (req) => getLoginChallengeEmail(req.body?.challenge_token)
+}), asyncHandler(async (req, res) => {
+    const { challenge_token, code } = req.body;
 
-    res.json({ 
-        success: true, 
-        message: 'Login successful', 
-        token, 
-        user 
+    const outcome = await completeLoginChallenge(challenge_token, code);
+
+    if (outcome.error) {
+        await req.authThrottle.fail();
+        return res.status(outcome.status).json({
+            success: false,
+            message: outcome.error
+        });
+    }
+
+    const users = await query('SELECT * FROM Users WHERE user_id = ?', [outcome.userId]);
+    await req.authThrottle.succeed();
+    await clearAttempts('login', { email: users[0].email });
+    await completeLogin(req, res, users[0]);
+}));
+
+// POST /api/auth/refresh - Trade a refresh token for a new access token and refresh token
+router.post('/refresh', asyncHandler(async (req, res) => {
+    const outcome = await rotateRefreshToken(req.body.refresh_token);
+
+    if (outcome.error) {
+        return res.status(outcome.status).json({
+            success: false,
+            message: outcome.error
+        });
+    }
+
+    res.json({
+        success: true,
+        token: outcome.access_token,
+        refresh_token: outcome.refresh_token,
+        expires_in: outcome.expires_in
+    });
+}));
+
+// POST /api/auth/logout - End this login; the refresh token stops working
+router.post('/logout', asyncHandler(async (req, res) => {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+        return res.status(400).json({
+            success: false,
+            message: 'refresh_token is required'
+        });
+    }
+
+    await revokeRefreshToken(refresh_token);
+
+    res.json({
+        success: true,
+        message: 'Logged out'
+    });
+}));
+
+// POST /api/auth/logout-all - End every login on every device
+router.post('/logout-all', authenticateToken, asyncHandler(async (req, res) => {
+    await revokeAllTokens(req.user.user_id);
+    disconnectUser(req.user.user_id);
+
+    res.json({
+        success: true,
+        message: 'Logged out of all devices'
+    });
+}));
+
+// GET /api/auth/sessions - Devices currently logged in to this account
+router.get('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+    const sessions = await listSessions(req.user.user_id, req.sessionId);
+
+    res.json({
+        success: true,
+        sessions
+    });
+}));
+
+// DELETE /api/auth/sessions/:sessionId - Log out one device
+router.delete('/sessions/:sessionId', authenticateToken, asyncHandler(async (req, res) => {
+    const revoked = await revokeSession(req.user.user_id, req.params.sessionId);
+
+    if (!revoked) {
+        return res.status(404).json({
+            success: false,
+            message: 'Session not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Session revoked'
+    });
+}));
+
+// GET /api/auth/2fa - Two-factor status
+router.get('/2fa', authenticateTwoFactorSetup, asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        two_factor: await getTwoFactorStatus(req.user.user_id)
+    });
+}));
+
+// POST /api/auth/2fa/setup - Start enrollment: returns the secret and a QR code for the authenticator app
+router.post('/2fa/setup', authenticateTwoFactorSetup, asyncHandler(async (req, res) => {
+    const outcome = await startEnrollment(req.user.user_id);
+
+    if (outcome.error) {
+        return res.status(outcome.status).json({
+            success: false,
+            message: outcome.error
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        ...outcome
+    });
+}));
+
+// POST /api/auth/2fa/verify - Finish enrollment with a first code; returns the backup codes
+router.post('/2fa/verify', authenticateTwoFactorSetup, asyncHandler(async (req, res) => {
+    const outcome = await confirmEnrollment(req.user.user_id, req.body.code);
+
+    if (outcome.error) {
+        return res.status(outcome.status).json({
+            success: false,
+            message: outcome.error
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store these backup codes somewhere safe - each works once.',
+        backup_codes: outcome.backup_codes
+    });
+}));
+
+// POST /api/auth/2fa/backup-codes - Replace the backup codes (needs a current code)
+router.post('/2fa/backup-codes', authenticateToken, throttleAuth('two_factor', {
+    accountEmail: (req) => req.user.email
+}), asyncHandler(async (req, res) => {
+    if (!(await verifySecondFactor(req.user.user_id, req.body.code))) {
+        await req.authThrottle.fail();
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid code'
+        });
+    }
+
+    await req.authThrottle.succeed();
+    res.json({
+        success: true,
+        message: 'New backup codes generated. The old ones no longer work.',
+        backup_codes: await regenerateBackupCodes(req.user.user_id)
+    });
+}));
+
+// POST /api/auth/2fa/disable - Turn 2FA off (needs the current password and a code)
+router.post('/2fa/disable', authenticateToken, throttleAuth('two_factor', {
+    accountEmail: (req) => req.user.email
+}), asyncHandler(async (req, res) => {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+        return res.status(400).json({
+            success: false,
+            message: 'Password and code are required'
+        });
+    }
+
+    const users = await query(
+        'SELECT password_hash, two_factor_enabled, two_factor_required FROM Users WHERE user_id = ?',
+        [req.user.user_id]
+    );
+    const user = users[0];
+
+    if (!user.two_factor_enabled) {
+        return res.status(400).json({
+            success: false,
+            message: 'Two-factor authentication is not enabled'
+        });
+    }
+
+    if (user.two_factor_required) {
+        return res.status(403).json({
+            success: false,
+            message: 'Two-factor authentication is required for your account and cannot be turned off'
+        });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+    if (!isPasswordValid || !(await verifySecondFactor(req.user.user_id, code))) {
+        await req.authThrottle.fail();
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid password or code'
+        });
+    }
+
+    await req.authThrottle.succeed();
+    await disableTwoFactor(req.user.user_id);
+
+    res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
     });
 }));
 
 // POST /api/auth/forgot-password - Request password reset
-router.post('/forgot-password', asyncHandler(async (req, res) => {
+router.post('/forgot-password', throttleAuth('forgot_password', { countEveryRequest: true }), asyncHandler(async (req, res) => {
     const { email } = req.body;
 
     if (!email) {
@@ -421,6 +679,10 @@ router.post('/reset-password', asyncHandler(async (req, res) => {
         WHERE user_id = ?
     `, [hashedPassword, user.user_id]);
 
+    // Anyone holding the old password may still be logged in
+    await revokeAllTokens(user.user_id);
+    disconnectUser(user.user_id);
+
     res.json({ 
         success: true, 
         message: 'Password reset successfully' 
@@ -428,7 +690,7 @@ router.post('/reset-password', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/auth/forgot-username - Recover username
-router.post('/forgot-username', asyncHandler(async (req, res) => {
+router.post('/forgot-username', throttleAuth('forgot_username', { countEveryRequest: true }), asyncHandler(async (req, res) => {
     const { email } = req.body;
 
     if (!email) {
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../middleware/error.middleware');
+const { blockUser, unblockUser, listBlockedUsers } = require('../utils/blocks');
+
+// GET /api/blocks - People you've blocked
+router.get('/', asyncHandler(async (req, res) => {
+    const blocked = await listBlockedUsers(req.user.user_id);
+    res.json({ success: true, blocked, count: blocked.length });
+}));
+
+// POST /api/blocks/:user_id - Block a user
+router.post('/:user_id', asyncHandler(async (req, res) => {
+    const blockedId = parseInt(req.params.user_id);
+    if (!blockedId) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const outcome = await blockUser(req.user.user_id, blockedId);
+    if (outcome.error) {
+        return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.json({ success: true, message: 'User blocked' });
+}));
+
+// DELETE /api/blocks/:user_id - Unblock a user
+router.delete('/:user_id', asyncHandler(async (req, res) => {
+    const unblocked = await unblockUser(req.user.user_id, parseInt(req.params.user_id));
+    if (!unblocked) {
+        return res.status(404).json({ error: 'You have not blocked this user' });
+    }
+
+    res.json({ success: true, message: 'User unblocked' });
+}));
+
+module.exports = router;
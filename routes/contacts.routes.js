@@ -3,6 +3,8 @@ const router = express.Router();
 const { query } = require('../config/database');
 const { asyncHandler } = require('../middleware/error.middleware');
 const { checkAndAwardBadges } = require('../utils/badges');
+const { applyProfileVisibility } = require('../utils/profileVisibility');
+const { isBlocked, blockUser } = require('../utils/blocks');
 
 // Send trusted contact request
 router.post('/request', asyncHandler(async (req, res) => {
@@ -22,7 +24,7 @@ router.post('/request', asyncHandler(async (req, res) => {
 
   // Check if user exists
   const users = await query(
-    'SELECT user_id FROM Users WHERE user_id = ?',
+    'SELECT user_id FROM Users WHERE user_id = ? AND deleted_at IS NULL',
     [trusted_user_id]
   );
 
@@ -30,6 +32,10 @@ router.post('/request', asyncHandler(async (req, res) => {
     return res.status(404).json({ error: 'User not found' });
   }
 
+  if (await isBlocked(req.user.user_id, trusted_user_id)) {
+    return res.status(403).json({ error: 'You cannot add this user as a trusted contact' });
+  }
+
   // Check if contact already exists
   const existingContacts = await query(
     'SELECT * FROM TrustedContacts WHERE user_id = ? AND trusted_user_id = ?',
@@ -78,6 +84,7 @@ router.get('/my-contacts', asyncHandler(async (req, res) => {
      ORDER BY u.display_name`,
     [req.user.user_id]
   );
+  await applyProfileVisibility(req.user.user_id, contacts, { idField: 'trusted_user_id' });
 
   res.json({
     success: true,
@@ -218,17 +225,12 @@ router.patch('/:contactId/block', asyncHandler(async (req, res) => {
     return res.status(403).json({ error: 'Forbidden' });
   }
 
-  // Block the contact
-  await query(
-    'UPDATE TrustedContacts SET status = ? WHERE contact_id = ?',
-    ['blocked', contactId]
-  );
-
-  // Also block reciprocal contact if exists
-  await query(
-    'UPDATE TrustedContacts SET status = ? WHERE user_id = ? AND trusted_user_id = ?',
-    ['blocked', contacts[0].trusted_user_id, contacts[0].user_id]
-  );
+  // Blocking ends the contact in both directions; see utils/blocks
+  const otherUserId = contacts[0].user_id === req.user.user_id ? contacts[0].trusted_user_id : contacts[0].user_id;
+  const outcome = await blockUser(req.user.user_id, otherUserId);
+  if (outcome.error) {
+    return res.status(outcome.status).json({ error: outcome.error });
+  }
 
   res.json({
     success: true,
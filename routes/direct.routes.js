@@ -2,85 +2,39 @@ const express = require('express');
 const router = express.Router();
 const {query } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth.middleware');
-const { validateDirectMessage } = require('../utils/validation');
+const {
+    getDirectMessage,
+    getDirectMessageReactions,
+    emitToParticipants,
+    sendDirectMessage
+} = require('../utils/directMessages');
+const { getPresence } = require('../utils/presence');
+const { emitToUser } = require('../utils/notifications');
+const { isBlocked, getBlockedUserIds, blockUser } = require('../utils/blocks');
+const {
+    MESSAGE_REQUEST_ACTIONS,
+    respondToMessageRequest,
+    getOpenRequests
+} = require('../utils/messageRequests');
+const {
+    getConversationSettings,
+    updateConversationSettings,
+    organizeConversations
+} = require('../utils/conversationSettings');
 
 /**
  * Send a direct message to another user
  * POST /api/direct/send
  */
 router.post('/send', authenticateToken, async (req, res) => {
-    const { receiver_id, content, media_url, media_type, media_size, thumbnail_url, duration, caption, reply_to_message_id } = req.body;
-    const sender_id = req.user.user_id;
-
-    // Validate input
-    const validation = validateDirectMessage({ receiver_id, content });
-    if (!validation.isValid) {
-        return res.status(400).json({ error: validation.errors.join(', ') });
-    }
-
-    // Prevent sending messages to self
-    if (sender_id === receiver_id) {
-        return res.status(400).json({ error: "Cannot send message to yourself" });
-    }
-
     try {
-        // Check if receiver exists
-        const receiver = await query(
-            `SELECT user_id FROM Users WHERE user_id = ?`,
-            [receiver_id]
-        );
-
-        if (!receiver || receiver.length === 0) {
-            return res.status(404).json({ error: "Receiver not found" });
-        }
+        const outcome = await sendDirectMessage({ senderId: req.user.user_id, data: req.body });
 
-        // If replying to a message, get the original message details
-        let replyToContent = null;
-        let replyToSenderId = null;
-        if (reply_to_message_id) {
-            const originalMsg = await query(
-                `SELECT content, sender_id FROM DirectMessages 
-                 WHERE message_id = ? AND (sender_id = ? OR receiver_id = ?)`,
-                [reply_to_message_id, sender_id, sender_id]
-            );
-            if (originalMsg.length > 0) {
-                replyToContent = originalMsg[0].content;
-                replyToSenderId = originalMsg[0].sender_id;
-            }
+        if (outcome.error) {
+            return res.status(outcome.status).json({ error: outcome.error });
         }
 
-        // Insert message
-        const result = await query(
-            `INSERT INTO DirectMessages (sender_id, receiver_id, content, media_url, media_type, media_size, thumbnail_url, duration, caption, reply_to_message_id, reply_to_content, reply_to_sender_id)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [sender_id, receiver_id, content, media_url || null, media_type || null, media_size || null, thumbnail_url || null, duration || null, caption || null, reply_to_message_id || null, replyToContent, replyToSenderId]
-        );
-
-        // Get the created message
-        const message = await query(
-            `SELECT 
-                dm.*,
-                u.display_name as sender_name,
-                u.username as sender_username,
-                u.profile_image_url as sender_image,
-                ru.display_name as reply_to_sender_name,
-                ru.username as reply_to_sender_username
-             FROM DirectMessages dm
-             INNER JOIN Users u ON dm.sender_id = u.user_id
-             LEFT JOIN Users ru ON dm.reply_to_sender_id = ru.user_id
-             WHERE dm.message_id = ?`,
-            [result.insertId]
-        );
-
-        // Create a notification
-        await query(
-            `INSERT INTO Notifications 
-             (user_id, type, title, content, related_id, related_type)
-             VALUES (?, 'message', 'New Message', ?, ?, 'user')`,
-            [receiver_id, content.slice(0, 100), sender_id]
-        );
-
-        res.status(201).json({ success: true, message: message[0] });
+        res.status(201).json({ success: true, message: outcome.message });
     } catch (error) {
         console.error("DM Send Error:", error);
         res.status(500).json({ error: "Failed to send message" });
@@ -111,6 +65,7 @@ router.get('/:userId/messages', authenticateToken, async (req, res) => {
             LEFT JOIN Users ru ON dm.reply_to_sender_id = ru.user_id
             WHERE ((dm.sender_id = ? AND dm.receiver_id = ?)
                OR (dm.sender_id = ? AND dm.receiver_id = ?))
+              AND dm.is_hidden = FALSE
         `;
         const params = [selfId, userId, userId, selfId];
 
@@ -167,11 +122,15 @@ router.get('/:userId/messages', authenticateToken, async (req, res) => {
 });
 
 /**
- * Get all DM conversations for the authenticated user
+ * Get all DM conversations for the authenticated user, pinned first. Conversations opened
+ * by people you aren't connected with are listed separately under `requests` until you
+ * accept them; ignored requests aren't listed at all. Archived conversations are left out
+ * unless ?archived=true, which lists only them.
  * GET /api/direct/conversations
  */
 router.get('/conversations', authenticateToken, async (req, res) => {
     const userId = req.user.user_id;
+    const archived = req.query.archived === 'true';
 
     try {
         const rows = await query(
@@ -191,28 +150,119 @@ router.get('/conversations', authenticateToken, async (req, res) => {
             [userId, userId, userId, userId]
         );
 
+        const { incoming, outgoing } = await getOpenRequests(userId);
+        const blocked = await getBlockedUserIds(userId);
+
         // Get user info for each other_user_id
-        const formatted = [];
+        const conversations = [];
+        const requests = [];
         for (let conv of rows) {
+            const requestStatus = incoming.get(conv.other_user_id);
+            if (requestStatus === 'ignored' || blocked.has(conv.other_user_id)) continue;
+
             const user = await query(
                 `SELECT user_id, display_name, profile_image_url FROM Users WHERE user_id = ?`,
                 [conv.other_user_id]
             );
 
-            formatted.push({
+            const formatted = {
                 user: user[0] || null,
                 last_message_time: conv.last_message_time,
                 unread_count: conv.unread_count
-            });
+            };
+
+            if (requestStatus === 'pending') {
+                requests.push(formatted);
+            } else {
+                // Your own request shows as waiting, whether or not it was ignored
+                formatted.awaiting_acceptance = outgoing.has(conv.other_user_id);
+                conversations.push(formatted);
+            }
         }
 
-        res.json({ success: true, conversations: formatted });
+        const settings = await getConversationSettings(userId, 'dm', rows.map(conv => conv.other_user_id));
+
+        res.json({
+            success: true,
+            conversations: organizeConversations(conversations, settings, conv => conv.user?.user_id, archived),
+            requests
+        });
     } catch (error) {
         console.error("DM Conversations Error:", error);
         res.status(500).json({ error: "Failed to load conversations" });
     }
 });
 
+/**
+ * Archive, mute or pin a conversation for yourself
+ * PUT /api/direct/conversations/:userId/settings
+ * Body: { archived, muted_until, pin_order } - any of them
+ */
+router.put('/conversations/:userId/settings', authenticateToken, async (req, res) => {
+    const otherUserId = parseInt(req.params.userId);
+    const userId = req.user.user_id;
+
+    if (!otherUserId || otherUserId === userId) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    try {
+        const user = await query('SELECT user_id FROM Users WHERE user_id = ?', [otherUserId]);
+        if (user.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const outcome = await updateConversationSettings(userId, 'dm', otherUserId, req.body);
+        if (outcome.error) {
+            return res.status(outcome.status).json({ error: outcome.error });
+        }
+
+        res.json({ success: true, settings: outcome.settings });
+    } catch (error) {
+        console.error("Update conversation settings error:", error);
+        res.status(500).json({ error: "Failed to update conversation settings" });
+    }
+});
+
+/**
+ * Accept, ignore or block a message request
+ * POST /api/direct/requests/:userId/accept
+ * POST /api/direct/requests/:userId/ignore
+ * POST /api/direct/requests/:userId/block
+ */
+router.post('/requests/:userId/:action', authenticateToken, async (req, res) => {
+    const senderId = parseInt(req.params.userId);
+    const { action } = req.params;
+    const userId = req.user.user_id;
+
+    if (!MESSAGE_REQUEST_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `Action must be one of: ${MESSAGE_REQUEST_ACTIONS.join(', ')}` });
+    }
+
+    try {
+        const responded = await respondToMessageRequest(userId, senderId, action);
+        if (!responded) {
+            return res.status(404).json({ error: 'Message request not found' });
+        }
+
+        if (action === 'block') {
+            const outcome = await blockUser(userId, senderId);
+            if (outcome.error) {
+                return res.status(outcome.status).json({ error: outcome.error });
+            }
+        }
+
+        if (action === 'accept') {
+            emitToUser(senderId, 'message_request_accepted', { user_id: userId });
+        }
+
+        res.json({ success: true, action });
+    } catch (error) {
+        console.error("Message request error:", error);
+        res.status(500).json({ error: "Failed to update message request" });
+    }
+});
+
 /**
  * Get total unread DM count
  * GET /api/direct/unread/count
@@ -221,14 +271,23 @@ router.get('/unread/count', authenticateToken, async (req, res) => {
     const userId = req.user.user_id;
 
     try {
+        // Messages waiting in requests are counted separately
         const count = await query(
             `SELECT COUNT(*) AS unread
-             FROM DirectMessages
-             WHERE receiver_id = ? AND is_read = FALSE`,
+             FROM DirectMessages dm
+             WHERE dm.receiver_id = ? AND dm.is_read = FALSE
+               AND NOT EXISTS (
+                   SELECT 1 FROM MessageRequests mr
+                   WHERE mr.sender_id = dm.sender_id AND mr.receiver_id = dm.receiver_id AND mr.status != 'accepted'
+               )`,
+            [userId]
+        );
+        const requests = await query(
+            `SELECT COUNT(*) AS pending FROM MessageRequests WHERE receiver_id = ? AND status = 'pending'`,
             [userId]
         );
 
-        res.json({ success: true, unread: count[0].unread });
+        res.json({ success: true, unread: count[0].unread, requests: requests[0].pending });
     } catch (error) {
         console.error("DM Unread Count Error:", error);
         res.status(500).json({ error: "Failed to get unread count" });
@@ -281,19 +340,10 @@ router.patch('/messages/:messageId', authenticateToken, async (req, res) => {
             [content, messageId]
         );
 
-        // Get updated message
-        const updatedMessage = await query(
-            `SELECT dm.*,
-                    u.display_name as sender_name,
-                    u.username as sender_username,
-                    u.profile_image_url as sender_image
-             FROM DirectMessages dm
-             INNER JOIN Users u ON dm.sender_id = u.user_id
-             WHERE dm.message_id = ?`,
-            [messageId]
-        );
+        const updatedMessage = await getDirectMessage(messageId);
+        emitToParticipants(updatedMessage, 'direct_message_updated', { message: updatedMessage });
 
-        res.json({ success: true, message: updatedMessage[0] });
+        res.json({ success: true, message: updatedMessage });
     } catch (error) {
         console.error("Edit message error:", error);
         res.status(500).json({ error: "Failed to edit message" });
@@ -355,6 +405,12 @@ router.delete('/messages/:messageId', authenticateToken, async (req, res) => {
             [messageId]
         );
 
+        emitToParticipants(message[0], 'direct_message_deleted', {
+            message_id: messageId,
+            sender_id: message[0].sender_id,
+            receiver_id: message[0].receiver_id
+        });
+
         res.json({ success: true, message: "Message deleted" });
     } catch (error) {
         console.error("Delete message error:", error);
@@ -386,6 +442,7 @@ router.get('/messages/:userId/search', authenticateToken, async (req, res) => {
              WHERE ((dm.sender_id = ? AND dm.receiver_id = ?)
                 OR (dm.sender_id = ? AND dm.receiver_id = ?))
                AND dm.content LIKE ?
+               AND dm.is_hidden = FALSE
              ORDER BY dm.created_at DESC
              LIMIT 50`,
             [selfId, userId, userId, selfId, `%${q}%`]
@@ -399,7 +456,7 @@ router.get('/messages/:userId/search', authenticateToken, async (req, res) => {
 });
 
 /**
- * Get user online status (last seen)
+ * Get user presence (online / away / offline) and last seen, if they share it
  * GET /api/direct/user/:userId/status
  */
 router.get('/user/:userId/status', authenticateToken, async (req, res) => {
@@ -407,24 +464,24 @@ router.get('/user/:userId/status', authenticateToken, async (req, res) => {
 
     try {
         const user = await query(
-            `SELECT last_login, display_name FROM Users WHERE user_id = ?`,
+            `SELECT display_name FROM Users WHERE user_id = ?`,
             [userId]
         );
 
-        if (user.length === 0) {
+        // Nobody on either side of a block sees the other's presence
+        if (user.length === 0 || await isBlocked(req.user.user_id, userId)) {
             return res.status(404).json({ error: "User not found" });
         }
 
-        // Consider online if logged in within last 5 minutes
-        const isOnline = user[0].last_login && 
-            (new Date() - new Date(user[0].last_login)) < 5 * 60 * 1000;
+        const [presence] = await getPresence([userId]);
 
         res.json({
             success: true,
             user_id: userId,
             display_name: user[0].display_name,
-            is_online: isOnline,
-            last_seen: user[0].last_login
+            status: presence.status,
+            is_online: presence.status !== 'offline',
+            last_seen: presence.last_seen
         });
     } catch (error) {
         console.error("Get status error:", error);
@@ -456,6 +513,11 @@ router.post('/messages/:messageId/react', authenticateToken, async (req, res) =>
             return res.status(404).json({ error: 'Message not found or access denied' });
         }
 
+        const otherUserId = messages[0].sender_id === userId ? messages[0].receiver_id : messages[0].sender_id;
+        if (await isBlocked(userId, otherUserId)) {
+            return res.status(403).json({ error: 'You cannot react in this conversation' });
+        }
+
         // Add reaction (will replace if already exists due to unique constraint)
         await query(
             `INSERT INTO MessageReactions (message_id, message_type, user_id, emoji) 
@@ -464,15 +526,8 @@ router.post('/messages/:messageId/react', authenticateToken, async (req, res) =>
             [messageId, userId, emoji]
         );
 
-        // Get all reactions for this message
-        const reactions = await query(
-            `SELECT mr.*, u.username, u.display_name, u.profile_image_url
-             FROM MessageReactions mr
-             JOIN Users u ON mr.user_id = u.user_id
-             WHERE mr.message_id = ? AND mr.message_type = 'dm'
-             ORDER BY mr.created_at`,
-            [messageId]
-        );
+        const reactions = await getDirectMessageReactions(messageId);
+        emitToParticipants(messages[0], 'direct_message_reaction', { message_id: messageId, reactions });
 
         res.json({
             success: true,
@@ -484,4 +539,42 @@ router.post('/messages/:messageId/react', authenticateToken, async (req, res) =>
     }
 });
 
+/**
+ * Remove a reaction from a direct message
+ * DELETE /api/direct/messages/:messageId/react/:emoji
+ */
+router.delete('/messages/:messageId/react/:emoji', authenticateToken, async (req, res) => {
+    const messageId = parseInt(req.params.messageId);
+    const userId = req.user.user_id;
+    const { emoji } = req.params;
+
+    try {
+        const messages = await query(
+            'SELECT * FROM DirectMessages WHERE message_id = ? AND (sender_id = ? OR receiver_id = ?)',
+            [messageId, userId, userId]
+        );
+
+        if (messages.length === 0) {
+            return res.status(404).json({ error: 'Message not found or access denied' });
+        }
+
+        await query(
+            `DELETE FROM MessageReactions
+             WHERE message_id = ? AND message_type = 'dm' AND user_id = ? AND emoji = ?`,
+            [messageId, userId, emoji]
+        );
+
+        const reactions = await getDirectMessageReactions(messageId);
+        emitToParticipants(messages[0], 'direct_message_reaction', { message_id: messageId, reactions });
+
+        res.json({
+            success: true,
+            reactions: reactions
+        });
+    } catch (error) {
+        console.error('Error removing reaction:', error);
+        res.status(500).json({ error: 'Failed to remove reaction' });
+    }
+});
+
 module.exports = router;
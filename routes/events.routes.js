@@ -5,6 +5,18 @@ const { asyncHandler } = require('../middleware/error.middleware');
 const { calculateDistance, validateCoordinates } = require('../utils/location');
 const { checkAndAwardBadges } = require('../utils/badges');
 const { createNotification } = require('../utils/notifications');
+const { applyProfileVisibility } = require('../utils/profileVisibility');
+const { notBlockedSql } = require('../utils/blocks');
+
+/**
+ * Blank out organizer names the viewer may not see
+ */
+function applyOrganizerVisibility(viewerId, events) {
+    return applyProfileVisibility(viewerId, events, {
+        idField: 'organizer_id',
+        fields: { name: 'organizer_name' }
+    });
+}
 
 // GET events within radius (for maps)
 router.get('/nearby', asyncHandler(async (req, res) => {
@@ -33,6 +45,7 @@ router.get('/nearby', asyncHandler(async (req, res) => {
         SELECT 
             e.*,
             u.name AS organizer_name,
+            u.display_name AS organizer_display_name,
             u.profile_image_url AS organizer_image,
             (6371 * acos(
                 cos(radians(?)) * cos(radians(e.location_lat)) *
@@ -52,6 +65,7 @@ router.get('/nearby', asyncHandler(async (req, res) => {
     const params = [latNum, lngNum, latNum, minLat, maxLat, minLng, maxLng, status, radiusKm];
 
     const events = await query(sql, params);
+    await applyOrganizerVisibility(req.user.user_id, events);
 
     // Add attendee counts
     for (let event of events) {
@@ -104,6 +118,7 @@ router.get('/map-bounds', asyncHandler(async (req, res) => {
         SELECT 
             e.*,
             u.name AS organizer_name,
+            u.display_name AS organizer_display_name,
             u.profile_image_url AS organizer_image
         FROM Events e
         JOIN Users u ON e.organizer_id = u.user_id
@@ -124,6 +139,7 @@ router.get('/map-bounds', asyncHandler(async (req, res) => {
     params.push(parseInt(limit));
 
     const events = await query(queryStr, params);
+    await applyOrganizerVisibility(req.user.user_id, events);
 
     // Add attendee counts
     for (let event of events) {
@@ -157,6 +173,7 @@ router.get('/', asyncHandler(async (req, res) => {
         SELECT 
             e.*, 
             u.name AS organizer_name,
+            u.display_name AS organizer_display_name,
             u.profile_image_url AS organizer_image
         FROM Events e
         JOIN Users u ON e.organizer_id = u.user_id
@@ -184,6 +201,7 @@ router.get('/', asyncHandler(async (req, res) => {
     queryStr += ` ORDER BY e.event_date ASC LIMIT ${limitValue}`;
 
     const events = await query(queryStr, params);
+    await applyOrganizerVisibility(req.user.user_id, events);
 
     // Add attendee counts
     for (let event of events) {
@@ -209,7 +227,7 @@ router.get('/:event_id', asyncHandler(async (req, res) => {
     const { event_id } = req.params;
 
     const events = await query(
-        `SELECT e.*, u.name AS organizer_name 
+        `SELECT e.*, u.name AS organizer_name, u.display_name AS organizer_display_name
          FROM Events e
          JOIN Users u ON e.organizer_id = u.user_id
          WHERE e.event_id = ?`,
@@ -219,6 +237,8 @@ router.get('/:event_id', asyncHandler(async (req, res) => {
     if (events.length === 0)
         return res.status(404).json({ success: false, error: "Event not found" });
 
+    await applyOrganizerVisibility(req.user.user_id, events);
+
     res.json({ success: true, event: events[0] });
 }));
 
@@ -281,7 +301,7 @@ router.post('/', asyncHandler(async (req, res) => {
 
     // Get the newly created event with organizer info
     const newEvents = await query(
-        `SELECT e.*, u.name AS organizer_name, u.profile_image_url AS organizer_image
+        `SELECT e.*, u.name AS organizer_name, u.display_name AS organizer_display_name, u.profile_image_url AS organizer_image
          FROM Events e
          JOIN Users u ON e.organizer_id = u.user_id
          WHERE e.event_id = ?`,
@@ -472,15 +492,17 @@ router.get('/:eventId/attendees', asyncHandler(async (req, res) => {
         return res.status(404).json({ error: 'Event not found' });
     }
 
-    // Get attendees with user info
+    // Get attendees with user info, minus anyone the viewer has blocked or been blocked by
+    const notBlocked = notBlockedSql('u.user_id', req.user.user_id);
     const attendees = await query(
-        `SELECT u.user_id, u.name, u.username, u.profile_image_url
+        `SELECT u.user_id, u.name, u.display_name, u.username, u.profile_image_url
          FROM EventSignups es
          JOIN Users u ON es.user_id = u.user_id
-         WHERE es.event_id = ?
+         WHERE es.event_id = ? AND ${notBlocked.sql}
          ORDER BY es.signed_up_at ASC`,
-        [eventId]
+        [eventId, ...notBlocked.params]
     );
+    await applyProfileVisibility(req.user.user_id, attendees);
 
     res.json({
         success: true,
@@ -638,6 +660,7 @@ router.get('/by-post/:post_id', asyncHandler(async (req, res) => {
         `SELECT 
             e.*, 
             u.name AS organizer_name,
+            u.display_name AS organizer_display_name,
             u.profile_image_url AS organizer_image
          FROM Events e
          JOIN Users u ON e.organizer_id = u.user_id
@@ -652,6 +675,8 @@ router.get('/by-post/:post_id', asyncHandler(async (req, res) => {
         });
     }
 
+    await applyOrganizerVisibility(req.user.user_id, events);
+
     res.json({
         success: true,
         event: events[0]
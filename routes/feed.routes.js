@@ -2,30 +2,187 @@ const express = require('express');
 const router = express.Router();
 const { query } = require('../config/database');
 const { asyncHandler } = require('../middleware/error.middleware');
+const { validateCoordinates } = require('../utils/location');
+const { parseLimit, encodeCursor, decodeCursor, hasCursorFields } = require('../utils/pagination');
+const { hydratePosts } = require('../utils/posts');
+const { rankPosts } = require('../utils/ranking');
+const { MIN_TERM_LENGTH, buildBooleanQuery } = require('../utils/search');
+const { notBlockedSql } = require('../utils/blocks');
+
+const FEED_SORTS = ['ranked', 'latest', 'nearest'];
+
+// Ranked feeds score a window of recent candidates in memory
+const RANKING_CANDIDATE_LIMIT = 300;
+const RANKING_WINDOW_DAYS = 14;
+
+/**
+ * Base feed query. Selects active posts with the distance in meters from the caller
+ * to the post location (or the author's location if the post has none), leaving out
+ * authors the caller has blocked or been blocked by.
+ */
+function feedBaseQuery(origin, viewerId) {
+    const notBlocked = notBlockedSql('p.user_id', viewerId);
+    const sql = `
+        SELECT
+             p.*,
+             u.latitude AS author_latitude,
+             u.longitude AS author_longitude,
+             (6371000 * acos(LEAST(1,
+                 cos(radians(?)) * cos(radians(COALESCE(p.location_lat, u.latitude))) *
+                 cos(radians(COALESCE(p.location_lng, u.longitude)) - radians(?)) +
+                 sin(radians(?)) * sin(radians(COALESCE(p.location_lat, u.latitude)))
+             ))) AS distance
+         FROM Posts p
+                  JOIN Users u ON p.user_id = u.user_id
+         WHERE p.status = 'active'
+           AND ${notBlocked.sql}
+    `;
+    return { sql, params: [origin.latitude, origin.longitude, origin.latitude, ...notBlocked.params] };
+}
+
+// Only keep posts whose visibility radius reaches the caller; own posts and posts
+// without any known location are always shown
+const VISIBLE_TO_CALLER = '(distance IS NULL OR distance <= p.visibility_radius OR p.user_id = ?)';
+
+/**
+ * Newest first, pinned posts on top. Keyset cursor: (is_pinned, created_at, post_id)
+ */
+async function fetchLatestPage({ viewerId, origin, cursor, limit }) {
+    let { sql, params } = feedBaseQuery(origin, viewerId);
+
+    if (cursor) {
+        sql += `
+          AND (p.is_pinned < ?
+               OR (p.is_pinned = ? AND (p.created_at < ?
+                   OR (p.created_at = ? AND p.post_id < ?))))
+        `;
+        const cursorPinned = cursor.is_pinned ? 1 : 0;
+        const cursorCreatedAt = new Date(cursor.created_at);
+        params.push(cursorPinned, cursorPinned, cursorCreatedAt, cursorCreatedAt, parseInt(cursor.post_id));
+    }
 
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    const R = 6371e3;
-    const φ1 = lat1 * Math.PI / 180;
-    const φ2 = lat2 * Math.PI / 180;
-    const Δφ = (lat2 - lat1) * Math.PI / 180;
-    const Δλ = (lon2 - lon1) * Math.PI / 180;
+    sql += `
+         HAVING ${VISIBLE_TO_CALLER}
+         ORDER BY p.is_pinned DESC, p.created_at DESC, p.post_id DESC
+         LIMIT ${limit + 1}
+    `;
+    params.push(viewerId);
+
+    const rows = await query(sql, params);
+    const hasMore = rows.length > limit;
+    const posts = hasMore ? rows.slice(0, limit) : rows;
+    const last = posts[posts.length - 1];
+
+    return {
+        posts,
+        nextCursor: hasMore
+            ? {
+                sort: 'latest',
+                is_pinned: last.is_pinned ? 1 : 0,
+                created_at: new Date(last.created_at).toISOString(),
+                post_id: last.post_id
+            }
+            : null
+    };
+}
+
+/**
+ * Closest first. Keyset cursor: (distance, post_id)
+ */
+async function fetchNearestPage({ viewerId, origin, cursor, limit }) {
+    let { sql, params } = feedBaseQuery(origin, viewerId);
+
+    sql += ` HAVING ${VISIBLE_TO_CALLER} AND distance IS NOT NULL`;
+    params.push(viewerId);
+
+    if (cursor) {
+        sql += ' AND (distance > ? OR (distance = ? AND p.post_id > ?))';
+        params.push(Number(cursor.distance), Number(cursor.distance), parseInt(cursor.post_id));
+    }
 
-    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-        Math.cos(φ1) * Math.cos(φ2) *
-        Math.sin(Δλ/2) * Math.sin(Δλ/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    sql += ` ORDER BY distance ASC, p.post_id ASC LIMIT ${limit + 1}`;
+
+    const rows = await query(sql, params);
+    const hasMore = rows.length > limit;
+    const posts = hasMore ? rows.slice(0, limit) : rows;
+    const last = posts[posts.length - 1];
+
+    return {
+        posts,
+        nextCursor: hasMore
+            ? { sort: 'nearest', distance: last.distance, post_id: last.post_id }
+            : null
+    };
+}
+
+/**
+ * Personalized order from utils/ranking. The candidate set is pinned to the time of
+ * the first page (as_of) so later pages rank the same posts; cursor: (as_of, offset)
+ */
+async function fetchRankedPage({ viewerId, origin, cursor, limit }) {
+    const asOf = cursor ? new Date(cursor.as_of) : new Date();
+    const offset = cursor ? Math.max(0, parseInt(cursor.offset) || 0) : 0;
+
+    let { sql, params } = feedBaseQuery(origin, viewerId);
+
+    sql += `
+          AND p.created_at <= ?
+          AND (p.created_at >= DATE_SUB(?, INTERVAL ${RANKING_WINDOW_DAYS} DAY) OR p.is_pinned = TRUE)
+         HAVING ${VISIBLE_TO_CALLER}
+         ORDER BY p.created_at DESC
+         LIMIT ${RANKING_CANDIDATE_LIMIT}
+    `;
+    params.push(asOf, asOf, viewerId);
+
+    const candidates = await query(sql, params);
+    const ranked = await rankPosts(candidates, { viewerId, origin });
+
+    const posts = ranked.slice(offset, offset + limit);
+    const hasMore = ranked.length > offset + limit;
+
+    return {
+        posts,
+        nextCursor: hasMore
+            ? { sort: 'ranked', as_of: asOf.toISOString(), offset: offset + limit }
+            : null
+    };
+}
+
+const FEED_PAGE_FETCHERS = {
+    latest: fetchLatestPage,
+    nearest: fetchNearestPage,
+    ranked: fetchRankedPage
+};
 
-    return R * c;
+const CURSOR_FIELDS = {
+    latest: { created_at: 'date', post_id: 'integer' },
+    nearest: { distance: 'number', post_id: 'integer' },
+    ranked: { as_of: 'date', offset: 'integer' }
 };
 
 router.get('/', asyncHandler(async (req, res) => {
     res.setHeader('Cache-Control', 'no-store'); // Disable caching, fix for comment num not updating on feed
 
-    // Get all active posts first
     if (!req.user || !req.user.user_id) {
         return res.status(401).json({ error: 'User not authenticated' });
     }
 
+    const sort = req.query.sort || 'latest';
+    if (!FEED_SORTS.includes(sort)) {
+        return res.status(400).json({ error: `Invalid sort. Must be one of: ${FEED_SORTS.join(', ')}` });
+    }
+
+    const limit = parseLimit(req.query.limit);
+
+    // Cursor carries the sort key of the last post on the previous page
+    let cursor = null;
+    if (req.query.cursor) {
+        cursor = decodeCursor(req.query.cursor);
+        if (!cursor || cursor.sort !== sort || !hasCursorFields(cursor, CURSOR_FIELDS[sort])) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+    }
+
     // Get user location
     const users = await query(
         'SELECT latitude, longitude, street FROM Users WHERE user_id = ?',
@@ -36,148 +193,45 @@ router.get('/', asyncHandler(async (req, res) => {
         return res.status(404).json({ error: 'User not found' });
     }
 
-    const userLocation = users[0];
-
-    // Simple query - just get all active posts
-    const posts = await query(
-        `SELECT
-             p.post_id,
-             p.user_id,
-             p.content,
-             p.post_type,
-             p.priority,
-             p.is_verified,
-             p.media_urls,
-             p.post_image,
-             p.location_lat,
-             p.location_lng,
-             p.visibility_radius,
-             p.likes_count,
-             COUNT(c.comment_id) AS comments_count,   -- ✅ Fixed
-             p.is_pinned,
-             p.status,
-             p.created_at,
-             p.updated_at,
-             u.user_id as author_id,
-             u.username as username,
-             u.display_name as display_name,
-             u.name as author_name,
-             u.profile_image_url as author_image,
-             u.verification_status as author_verification,
-             u.street as author_street,
-             u.latitude as author_latitude,
-             u.longitude as author_longitude
-         FROM Posts p
-                  JOIN Users u ON p.user_id = u.user_id
-                  LEFT JOIN Comments c ON c.post_id = p.post_id  -- ✅ Added join
-         WHERE p.status = ?
-         GROUP BY p.post_id                            -- ✅ Required for COUNT
-         ORDER BY p.is_pinned DESC, p.created_at DESC`,
-        ['active']
-    );
-
-
-
-    // Process posts
-    const processedPosts = [];
-
-    for (const post of posts) {
-        // Calculate distance
-        let distance = null;
-        if (userLocation.latitude && userLocation.longitude &&
-            post.location_lat && post.location_lng) {
-            distance = calculateDistance(
-                userLocation.latitude,
-                userLocation.longitude,
-                post.location_lat,
-                post.location_lng
-            );
-        } else if (userLocation.latitude && userLocation.longitude &&
-            post.author_latitude && post.author_longitude) {
-            distance = calculateDistance(
-                userLocation.latitude,
-                userLocation.longitude,
-                post.author_latitude,
-                post.author_longitude
-            );
+    // Clients may pass their current position, otherwise fall back to the stored home location
+    const origin = {
+        latitude: users[0].latitude !== null ? parseFloat(users[0].latitude) : null,
+        longitude: users[0].longitude !== null ? parseFloat(users[0].longitude) : null
+    };
+
+    if (req.query.latitude !== undefined || req.query.longitude !== undefined) {
+        const lat = parseFloat(req.query.latitude);
+        const lng = parseFloat(req.query.longitude);
+        const coordValidation = validateCoordinates(lat, lng);
+        if (!coordValidation.isValid) {
+            return res.status(400).json({ error: coordValidation.error });
         }
+        origin.latitude = lat;
+        origin.longitude = lng;
+    }
 
-        // Get tags as string array
-        const tagResults = await query(
-            `SELECT t.name
-       FROM PostTags pt
-       JOIN Tags t ON pt.tag_id = t.tag_id
-       WHERE pt.post_id = ?`,
-            [post.post_id]
-        );
-        
-        const tags = tagResults.map(t => t.name);
-
-        // Get incident details if needed
-        let incident_details = null;
-        if (post.post_type === 'incident') {
-            const incidents = await query(
-                'SELECT * FROM IncidentReports WHERE post_id = ?',
-                [post.post_id]
-            );
-            if (incidents.length > 0) {
-                incident_details = incidents[0];
-            }
-        }
+    if (sort === 'nearest' && (origin.latitude === null || origin.longitude === null)) {
+        return res.status(400).json({ error: 'A location is required to sort by nearest' });
+    }
 
-        // Parse media URLs
-        let media_urls = null;
-        if (post.media_urls) {
-            try {
-                media_urls = JSON.parse(post.media_urls);
-            } catch (e) {
-                media_urls = post.media_urls;
-            }
-        }
+    const { posts, nextCursor } = await FEED_PAGE_FETCHERS[sort]({
+        viewerId: req.user.user_id,
+        origin,
+        cursor,
+        limit
+    });
 
-        processedPosts.push({
-            post_id: post.post_id,
-            user_id: post.user_id,
-            content: post.content,
-            post_type: post.post_type,
-            priority: post.priority,
-            is_verified: post.is_verified,
-            media_urls,
-            post_image: post.post_image,
-            image: post.post_image, // Alias for compatibility
-            location_lat: post.location_lat,
-            location_lng: post.location_lng,
-            visibility_radius: post.visibility_radius,
-            likes_count: post.likes_count,
-            comments_count: post.comments_count,
-            is_pinned: post.is_pinned,
-            status: post.status,
-            created_at: post.created_at,
-            updated_at: post.updated_at,
-            author_id: post.author_id,
-            author_name: post.author_name,
-            name: post.author_name, // Alias for compatibility
-            username: post.username,
-            display_name: post.display_name,
-            author_image: post.author_image,
-            profile_image: post.author_image, // Alias for frontend compatibility
-            author_verification: post.author_verification,
-            author_street: post.author_street,
-            tags,
-            incident_details,
-            distance: distance ? Math.round(distance) : null,
-            distance_text: distance ? `${(distance / 1000).toFixed(1)} km away` : null
-        });
-    }
+    const processedPosts = await hydratePosts(posts, { viewerId: req.user.user_id });
 
     res.json({
         success: true,
+        sort,
         posts: processedPosts,
         pagination: {
-            page: 1,
-            limit: processedPosts.length,
-            total: processedPosts.length,
-            pages: 1
+            limit,
+            count: processedPosts.length,
+            has_more: nextCursor !== null,
+            next_cursor: nextCursor ? encodeCursor(nextCursor) : null
         }
     });
 }));
@@ -199,69 +253,23 @@ router.get('/priority', asyncHandler(async (req, res) => {
     const userLocation = users[0];
     const limitValue = 10;
 
+    const notBlocked = notBlockedSql('p.user_id', req.user.user_id);
     const posts = await query(
-        `SELECT 
-      p.*,
-      u.user_id as author_id,
-      u.name as author_name,
-      u.display_name as display_name,
-      u.username as username,
-      u.profile_image_url as author_image,
-      u.verification_status as author_verification,
-      u.latitude as author_latitude,
-      u.longitude as author_longitude
+        `SELECT p.*
     FROM Posts p
-    JOIN Users u ON p.user_id = u.user_id
     WHERE p.status = ? 
       AND (p.priority = ? OR p.priority = ?)
       AND p.created_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)
+      AND ${notBlocked.sql}
     ORDER BY FIELD(p.priority, 'urgent', 'high'), p.created_at DESC
-    LIMIT ?`,
-        ['active', 'high', 'urgent', limitValue]
+    LIMIT ${limitValue}`,
+        ['active', 'high', 'urgent', ...notBlocked.params]
     );
 
-    const processedPosts = [];
-
-    for (const post of posts) {
-        let distance = null;
-        if (userLocation.latitude && userLocation.longitude &&
-            post.author_latitude && post.author_longitude) {
-            distance = calculateDistance(
-                userLocation.latitude,
-                userLocation.longitude,
-                post.author_latitude,
-                post.author_longitude
-            );
-        }
-
-        const tagResults = await query(
-            `SELECT t.name
-       FROM PostTags pt
-       JOIN Tags t ON pt.tag_id = t.tag_id
-       WHERE pt.post_id = ?`,
-            [post.post_id]
-        );
-        
-        const tags = tagResults.map(t => t.name);
-
-        let incident_details = null;
-        if (post.post_type === 'incident') {
-            const incidents = await query(
-                'SELECT * FROM IncidentReports WHERE post_id = ?',
-                [post.post_id]
-            );
-            if (incidents.length > 0) {
-                incident_details = incidents[0];
-            }
-        }
-
-        processedPosts.push({
-            ...post,
-            tags,
-            incident_details,
-            distance: distance ? Math.round(distance) : null
-        });
-    }
+    const processedPosts = await hydratePosts(posts, {
+        viewerId: req.user.user_id,
+        origin: userLocation
+    });
 
     res.json({
         success: true,
@@ -279,84 +287,42 @@ router.get('/search', asyncHandler(async (req, res) => {
         });
     }
 
-    let posts;
-
-    if (searchQuery && !tag) {
-        posts = await query(
-            `SELECT 
-        p.*,
-        u.user_id as author_id,
-        u.name as author_name,
-        u.username as username,
-        u.display_name as display_name,
-        u.profile_image_url as author_image,
-        u.verification_status as author_verification
-      FROM Posts p
-      JOIN Users u ON p.user_id = u.user_id
-      WHERE p.status = ? AND p.content LIKE ?
-      ORDER BY p.created_at DESC`,
-            ['active', `%${searchQuery}%`]
-        );
-    } else if (tag && !searchQuery) {
-        posts = await query(
-            `SELECT 
-        p.*,
-        u.user_id as author_id,
-        u.name as author_name,
-        u.username as username,
-        u.display_name as display_name,
-        u.profile_image_url as author_image,
-        u.verification_status as author_verification
-      FROM Posts p
-      JOIN Users u ON p.user_id = u.user_id
-      WHERE p.status = ? 
-        AND EXISTS (
-          SELECT 1 FROM PostTags pt 
-          JOIN Tags t ON pt.tag_id = t.tag_id 
-          WHERE pt.post_id = p.post_id AND t.name = ?
-        )
-      ORDER BY p.created_at DESC`,
-            ['active', tag]
-        );
-    } else {
-        posts = await query(
-            `SELECT 
-        p.*,
-        u.user_id as author_id,
-        u.name as author_name,
-        u.username as username,
-        u.display_name as display_name,
-        u.profile_image_url as author_image,
-        u.verification_status as author_verification
+    let queryStr = `
+      SELECT p.*
       FROM Posts p
-      JOIN Users u ON p.user_id = u.user_id
-      WHERE p.status = ? 
-        AND p.content LIKE ?
+      WHERE p.status = ?
+    `;
+    const params = ['active'];
+
+    if (searchQuery) {
+        const term = buildBooleanQuery(searchQuery);
+        if (!term) {
+            return res.status(400).json({
+                error: `Search query must contain at least one word of ${MIN_TERM_LENGTH} or more characters`
+            });
+        }
+        queryStr += ' AND MATCH(p.content) AGAINST (? IN BOOLEAN MODE)';
+        params.push(term);
+    }
+
+    if (tag) {
+        queryStr += `
         AND EXISTS (
           SELECT 1 FROM PostTags pt 
           JOIN Tags t ON pt.tag_id = t.tag_id 
           WHERE pt.post_id = p.post_id AND t.name = ?
-        )
-      ORDER BY p.created_at DESC`,
-            ['active', `%${searchQuery}%`, tag]
-        );
+        )`;
+        params.push(tag);
     }
 
-    const processedPosts = [];
+    const notBlocked = notBlockedSql('p.user_id', req.user.user_id);
+    queryStr += ` AND ${notBlocked.sql}`;
+    params.push(...notBlocked.params);
 
-    for (const post of posts) {
-        const tagResults = await query(
-            `SELECT t.name
-       FROM PostTags pt
-       JOIN Tags t ON pt.tag_id = t.tag_id
-       WHERE pt.post_id = ?`,
-            [post.post_id]
-        );
-        
-        const tags = tagResults.map(t => t.name);
+    queryStr += ' ORDER BY p.created_at DESC';
 
-        processedPosts.push({ ...post, tags });
-    }
+    const posts = await query(queryStr, params);
+    const processedPosts = await hydratePosts(posts, { viewerId: req.user?.user_id });
 
     res.json({
         success: true,
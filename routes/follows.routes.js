@@ -3,6 +3,8 @@ const router = express.Router();
 const { query } = require('../config/database');
 const { asyncHandler } = require('../middleware/error.middleware');
 const { createNotification } = require('../utils/notifications');
+const { applyProfileVisibility } = require('../utils/profileVisibility');
+const { isBlocked, notBlockedSql } = require('../utils/blocks');
 
 // POST /api/follows/follow/:user_id - Follow a user
 router.post('/follow/:user_id', asyncHandler(async (req, res) => {
@@ -19,11 +21,15 @@ router.post('/follow/:user_id', asyncHandler(async (req, res) => {
     }
 
     // Check if followed user exists
-    const userExists = await query('SELECT user_id FROM Users WHERE user_id = ?', [followedId]);
+    const userExists = await query('SELECT user_id FROM Users WHERE user_id = ? AND deleted_at IS NULL', [followedId]);
     if (userExists.length === 0) {
         return res.status(404).json({ success: false, message: 'User not found' });
     }
 
+    if (await isBlocked(followerId, followedId)) {
+        return res.status(403).json({ success: false, message: 'You cannot follow this user' });
+    }
+
     // Check if already following
     const existingFollow = await query(
         'SELECT follow_id FROM Follows WHERE follower_id = ? AND followed_id = ?',
@@ -220,6 +226,9 @@ router.get('/followers/:user_id', asyncHandler(async (req, res) => {
     const limit = Math.min(parseInt(req.query.limit) || 20, 200); // Cap at 200
     const offset = (page - 1) * limit;
 
+    // People the viewer has blocked, or who blocked them, are left out
+    const notBlocked = notBlockedSql('f.follower_id', req.user.user_id);
+
     // Get followers with user details
     const followers = await query(`
         SELECT 
@@ -233,16 +242,18 @@ router.get('/followers/:user_id', asyncHandler(async (req, res) => {
             f.created_at as followed_at
         FROM Follows f
         JOIN Users u ON f.follower_id = u.user_id
-        WHERE f.followed_id = ?
+        WHERE f.followed_id = ? AND ${notBlocked.sql}
         ORDER BY f.created_at DESC
         LIMIT ${limit}
         OFFSET ${offset}
-    `, [userId]);
+    `, [userId, ...notBlocked.params]);
+
+    await applyProfileVisibility(req.user.user_id, followers);
 
     // Get total count
     const countResult = await query(
-        'SELECT COUNT(*) as total FROM Follows WHERE followed_id = ?',
-        [userId]
+        `SELECT COUNT(*) as total FROM Follows f WHERE f.followed_id = ? AND ${notBlocked.sql}`,
+        [userId, ...notBlocked.params]
     );
 
     res.json({
@@ -265,6 +276,9 @@ router.get('/following/:user_id', asyncHandler(async (req, res) => {
     const limit = isNaN(requestedLimit) ? 20 : Math.min(requestedLimit, 200);
     const offset = (page - 1) * limit;
 
+    // People the viewer has blocked, or who blocked them, are left out
+    const notBlocked = notBlockedSql('f.followed_id', req.user.user_id);
+
     // Get following with user details
     const following = await query(`
         SELECT 
@@ -278,16 +292,18 @@ router.get('/following/:user_id', asyncHandler(async (req, res) => {
             f.created_at as followed_at
         FROM Follows f
         JOIN Users u ON f.followed_id = u.user_id
-        WHERE f.follower_id = ?
+        WHERE f.follower_id = ? AND ${notBlocked.sql}
         ORDER BY f.created_at DESC
         LIMIT ${limit}
         OFFSET ${offset}
-    `, [userId]);
+    `, [userId, ...notBlocked.params]);
+
+    await applyProfileVisibility(req.user.user_id, following);
 
     // Get total count
     const countResult = await query(
-        'SELECT COUNT(*) as total FROM Follows WHERE follower_id = ?',
-        [userId]
+        `SELECT COUNT(*) as total FROM Follows f WHERE f.follower_id = ? AND ${notBlocked.sql}`,
+        [userId, ...notBlocked.params]
     );
 
     res.json({
@@ -3,6 +3,23 @@ const router = express.Router();
 const pool = require('../config/database');
 const { authenticateToken } = require('../middleware/auth.middleware');
 const { validateGroupCreation, validateMessage } = require('../utils/validation');
+const {
+    UNREAD_COUNT_SQL,
+    LATEST_MESSAGE_ID_SQL,
+    getActiveMembership,
+    getGroupUnreadCount,
+    markGroupRead,
+    attachReadReceipts,
+    getReadReceipts
+} = require('../utils/groupChat');
+const { emitToGroup, joinGroupRoom, leaveGroupRoom } = require('../utils/notifications');
+const { isBlocked } = require('../utils/blocks');
+const {
+    getConversationSettings,
+    updateConversationSettings,
+    organizeConversations,
+    notMutedSql
+} = require('../utils/conversationSettings');
 const crypto = require('crypto');
 
 /**
@@ -34,6 +51,7 @@ router.post('/create', authenticateToken, async (req, res) => {
              VALUES (?, ?, 'admin', 'active')`,
             [groupId, created_by]
         );
+        joinGroupRoom(created_by, groupId);
 
         res.status(201).json({ 
             success: true, 
@@ -47,14 +65,16 @@ router.post('/create', authenticateToken, async (req, res) => {
 });
 
 /**
- * Get user's groups
+ * Get user's groups, pinned first. Archived groups are left out unless ?archived=true,
+ * which lists only them.
  * GET /api/groups/my-groups
  */
 router.get('/my-groups', authenticateToken, async (req, res) => {
     const userId = req.user.user_id;
+    const archived = req.query.archived === 'true';
 
     try {
-        const [groups] = await pool.query(
+        const groups = await pool.query(
             `SELECT 
                 g.group_id,
                 g.name,
@@ -65,8 +85,9 @@ router.get('/my-groups', authenticateToken, async (req, res) => {
                 g.member_count,
                 g.created_at,
                 gm.role,
+                gm.last_read_message_id,
                 u.display_name as creator_name,
-                (SELECT COUNT(*) FROM ChatMessages WHERE group_id = g.group_id AND is_read = FALSE) as unread_count
+                ${UNREAD_COUNT_SQL} as unread_count
              FROM UserGroups g
              INNER JOIN GroupMemberships gm ON g.group_id = gm.group_id
              LEFT JOIN Users u ON g.created_by = u.user_id
@@ -75,13 +96,42 @@ router.get('/my-groups', authenticateToken, async (req, res) => {
             [userId]
         );
 
-        res.json({ success: true, groups });
+        const settings = await getConversationSettings(userId, 'group', groups.map(g => g.group_id));
+
+        res.json({ success: true, groups: organizeConversations(groups, settings, g => g.group_id, archived) });
     } catch (error) {
         console.error('Get groups error:', error);
         res.status(500).json({ error: 'Failed to fetch groups' });
     }
 });
 
+/**
+ * Archive, mute or pin a group for yourself
+ * PUT /api/groups/:groupId/settings
+ * Body: { archived, muted_until, pin_order } - any of them
+ */
+router.put('/:groupId/settings', authenticateToken, async (req, res) => {
+    const groupId = parseInt(req.params.groupId);
+    const userId = req.user.user_id;
+
+    try {
+        const membership = await getActiveMembership(groupId, userId);
+        if (!membership) {
+            return res.status(403).json({ error: 'Not a member of this group' });
+        }
+
+        const outcome = await updateConversationSettings(userId, 'group', groupId, req.body);
+        if (outcome.error) {
+            return res.status(outcome.status).json({ error: outcome.error });
+        }
+
+        res.json({ success: true, settings: outcome.settings });
+    } catch (error) {
+        console.error('Update group settings error:', error);
+        res.status(500).json({ error: 'Failed to update group settings' });
+    }
+});
+
 /**
  * Get group invites
  * GET /api/groups/invites
@@ -191,13 +241,9 @@ router.post('/:groupId/messages', authenticateToken, async (req, res) => {
 
     try {
         // Check if user is a member
-        const [membership] = await pool.query(
-            `SELECT * FROM GroupMemberships 
-             WHERE group_id = ? AND user_id = ? AND status = 'active'`,
-            [groupId, userId]
-        );
+        const membership = await getActiveMembership(groupId, userId);
 
-        if (membership.length === 0) {
+        if (!membership) {
             return res.status(403).json({ error: 'Not a member of this group' });
         }
 
@@ -205,7 +251,7 @@ router.post('/:groupId/messages', authenticateToken, async (req, res) => {
         let replyToContent = null;
         let replyToUserId = null;
         if (reply_to_message_id) {
-            const [originalMsg] = await pool.query(
+            const originalMsg = await pool.query(
                 `SELECT content, user_id FROM ChatMessages 
                  WHERE message_id = ? AND group_id = ?`,
                 [reply_to_message_id, groupId]
@@ -217,14 +263,14 @@ router.post('/:groupId/messages', authenticateToken, async (req, res) => {
         }
 
         // Insert message
-        const [result] = await pool.query(
+        const result = await pool.query(
             `INSERT INTO ChatMessages (group_id, user_id, content, message_type, media_url, media_type, media_size, thumbnail_url, duration, caption, reply_to_message_id, reply_to_content, reply_to_user_id)
              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [groupId, userId, content, message_type || 'text', media_url || null, media_type || null, media_size || null, thumbnail_url || null, duration || null, caption || null, reply_to_message_id || null, replyToContent, replyToUserId]
         );
 
         // Get the created message with user info
-        const [message] = await pool.query(
+        const message = await pool.query(
             `SELECT 
                 cm.*,
                 u.display_name,
@@ -239,13 +285,26 @@ router.post('/:groupId/messages', authenticateToken, async (req, res) => {
             [result.insertId]
         );
 
-        // Create notifications for other members (optional - can be done async)
+        // Sending a message means the sender has read up to it
+        await pool.query(
+            `UPDATE GroupMemberships
+             SET last_read_message_id = ?, last_read_at = CURRENT_TIMESTAMP
+             WHERE membership_id = ?`,
+            [result.insertId, membership.membership_id]
+        );
+
+        // Push to members who have the app open
+        emitToGroup(groupId, 'group_message', { message: message[0] });
+
+        // Create notifications for other members, except those who muted the group
+        const notMuted = notMutedSql('gm.user_id', 'group', groupId);
         await pool.query(
             `INSERT INTO Notifications (user_id, type, title, content, related_id, related_type)
              SELECT gm.user_id, 'message', ?, ?, ?, 'group'
              FROM GroupMemberships gm
-             WHERE gm.group_id = ? AND gm.user_id != ? AND gm.status = 'active'`,
-            ['New Group Message', content.slice(0, 100), groupId, groupId, userId]
+             WHERE gm.group_id = ? AND gm.user_id != ? AND gm.status = 'active'
+               AND ${notMuted.sql}`,
+            ['New Group Message', content.slice(0, 100), groupId, groupId, userId, ...notMuted.params]
         );
 
         res.status(201).json({ 
@@ -269,13 +328,9 @@ router.get('/:groupId/messages', authenticateToken, async (req, res) => {
 
     try {
         // Check if user is a member
-        const [membership] = await pool.query(
-            `SELECT * FROM GroupMemberships 
-             WHERE group_id = ? AND user_id = ? AND status = 'active'`,
-            [groupId, userId]
-        );
+        const membership = await getActiveMembership(groupId, userId);
 
-        if (membership.length === 0) {
+        if (!membership) {
             return res.status(403).json({ error: 'Not a member of this group' });
         }
 
@@ -291,51 +346,49 @@ router.get('/:groupId/messages', authenticateToken, async (req, res) => {
             FROM ChatMessages cm
             INNER JOIN Users u ON cm.user_id = u.user_id
             LEFT JOIN Users ru ON cm.reply_to_user_id = ru.user_id
-            WHERE cm.group_id = ?
+            WHERE cm.group_id = ? AND cm.is_hidden = FALSE
         `;
         const params = [groupId];
 
         if (before) {
             query += ` AND cm.message_id < ?`;
-            params.push(before);
+            params.push(parseInt(before));
         }
 
-        query += ` ORDER BY cm.created_at DESC LIMIT ?`;
-        params.push(parseInt(limit));
+        const messageLimit = Math.min(parseInt(limit) || 50, 200);
+        query += ` ORDER BY cm.created_at DESC LIMIT ${messageLimit}`;
 
-        const [messages] = await pool.query(query, params);
+        const messages = await pool.query(query, params);
 
         // Get reactions for all messages
         const messageIds = messages.map(m => m.message_id);
         let reactions = [];
         if (messageIds.length > 0) {
-            const [reactionResults] = await pool.query(
+            reactions = await pool.query(
                 `SELECT mr.*, u.username, u.display_name, u.profile_image_url
                  FROM MessageReactions mr
                  JOIN Users u ON mr.user_id = u.user_id
-                 WHERE mr.message_id IN (?) AND mr.message_type = 'group'`,
-                [messageIds]
+                 WHERE mr.message_id IN (${pool.inPlaceholders(messageIds)}) AND mr.message_type = 'group'`,
+                messageIds
             );
-            reactions = reactionResults;
         }
 
-        // Attach reactions to messages
-        const messagesWithReactions = messages.map(msg => ({
+        // Attach reactions and read receipts to messages
+        const messagesWithReactions = (await attachReadReceipts(messages)).map(msg => ({
             ...msg,
             reactions: reactions.filter(r => r.message_id === msg.message_id)
         }));
 
-        // Mark messages as read
-        await pool.query(
-            `UPDATE ChatMessages 
-             SET is_read = TRUE 
-             WHERE group_id = ? AND user_id != ?`,
-            [groupId, userId]
-        );
+        // Move the reader's cursor up to the newest message they were sent
+        let readState = { last_read_message_id: membership.last_read_message_id };
+        if (messages.length > 0) {
+            readState = await markGroupRead({ groupId, userId, messageId: messages[0].message_id });
+        }
 
         res.json({ 
             success: true, 
-            messages: messagesWithReactions.reverse() // Return in chronological order
+            messages: messagesWithReactions.reverse(), // Return in chronological order
+            last_read_message_id: readState.last_read_message_id
         });
     } catch (error) {
         console.error('Get group messages error:', error);
@@ -358,7 +411,7 @@ router.post('/:groupId/members', authenticateToken, async (req, res) => {
 
     try {
         // Check if requester is admin or moderator
-        const [membership] = await pool.query(
+        const membership = await pool.query(
             `SELECT role FROM GroupMemberships 
              WHERE group_id = ? AND user_id = ? AND status = 'active'`,
             [groupId, userId]
@@ -369,8 +422,8 @@ router.post('/:groupId/members', authenticateToken, async (req, res) => {
         }
 
         // Check if user exists
-        const [user] = await pool.query(
-            `SELECT user_id FROM Users WHERE user_id = ?`,
+        const user = await pool.query(
+            `SELECT user_id FROM Users WHERE user_id = ? AND deleted_at IS NULL`,
             [user_id]
         );
 
@@ -378,8 +431,12 @@ router.post('/:groupId/members', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
+        if (await isBlocked(userId, user_id)) {
+            return res.status(403).json({ error: 'You cannot add this user' });
+        }
+
         // Check if already a member
-        const [existing] = await pool.query(
+        const existing = await pool.query(
             `SELECT * FROM GroupMemberships WHERE group_id = ? AND user_id = ?`,
             [groupId, user_id]
         );
@@ -390,17 +447,19 @@ router.post('/:groupId/members', authenticateToken, async (req, res) => {
             }
             // Reactivate if previously removed
             await pool.query(
-                `UPDATE GroupMemberships SET status = 'active' WHERE group_id = ? AND user_id = ?`,
-                [groupId, user_id]
+                `UPDATE GroupMemberships SET status = 'active', last_read_message_id = ${LATEST_MESSAGE_ID_SQL}
+                 WHERE group_id = ? AND user_id = ?`,
+                [groupId, groupId, user_id]
             );
         } else {
             // Add new member
             await pool.query(
-                `INSERT INTO GroupMemberships (group_id, user_id, role, status)
-                 VALUES (?, ?, 'member', 'active')`,
-                [groupId, user_id]
+                `INSERT INTO GroupMemberships (group_id, user_id, role, status, last_read_message_id)
+                 VALUES (?, ?, 'member', 'active', ${LATEST_MESSAGE_ID_SQL})`,
+                [groupId, user_id, groupId]
             );
         }
+        joinGroupRoom(user_id, groupId);
 
         // Update member count
         await pool.query(
@@ -438,7 +497,7 @@ router.post('/:groupId/invite', authenticateToken, async (req, res) => {
 
     try {
         // Check inviter role (admin/mod)
-        const [inviterMembership] = await pool.query(
+        const inviterMembership = await pool.query(
             `SELECT role FROM GroupMemberships WHERE group_id = ? AND user_id = ? AND status = 'active'`,
             [groupId, inviterId]
         );
@@ -448,11 +507,15 @@ router.post('/:groupId/invite', authenticateToken, async (req, res) => {
         }
 
         // Check target user exists
-        const [target] = await pool.query(`SELECT user_id FROM Users WHERE user_id = ?`, [user_id]);
+        const target = await pool.query(`SELECT user_id FROM Users WHERE user_id = ? AND deleted_at IS NULL`, [user_id]);
         if (target.length === 0) return res.status(404).json({ error: 'User not found' });
 
+        if (await isBlocked(inviterId, user_id)) {
+            return res.status(403).json({ error: 'You cannot invite this user' });
+        }
+
         // Check membership status
-        const [existing] = await pool.query(`SELECT * FROM GroupMemberships WHERE group_id = ? AND user_id = ?`, [groupId, user_id]);
+        const existing = await pool.query(`SELECT * FROM GroupMemberships WHERE group_id = ? AND user_id = ?`, [groupId, user_id]);
 
         // generate invite id
         const inviteId = crypto.randomBytes(10).toString('hex');
@@ -682,13 +745,20 @@ router.post('/:groupId/invites/:inviteId/accept', authenticateToken, async (req,
     const userId = req.user.user_id;
 
     try {
-        const [rows] = await pool.query(`SELECT * FROM GroupMemberships WHERE group_id = ? AND user_id = ? AND invite_id = ?`, [groupId, userId, inviteId]);
+        const rows = await pool.query(`SELECT * FROM GroupMemberships WHERE group_id = ? AND user_id = ? AND invite_id = ?`, [groupId, userId, inviteId]);
         if (rows.length === 0 || rows[0].status !== 'invited') {
             return res.status(404).json({ error: 'Invite not found' });
         }
 
         // Accept: set active
-        await pool.query(`UPDATE GroupMemberships SET status = 'active', joined_at = NOW(), invite_id = NULL, invited_by = NULL, invite_created_at = NULL WHERE group_id = ? AND user_id = ?`, [groupId, userId]);
+        await pool.query(
+            `UPDATE GroupMemberships
+             SET status = 'active', joined_at = NOW(), invite_id = NULL, invited_by = NULL, invite_created_at = NULL,
+                 last_read_message_id = ${LATEST_MESSAGE_ID_SQL}
+             WHERE group_id = ? AND user_id = ?`,
+            [groupId, groupId, userId]
+        );
+        joinGroupRoom(userId, groupId);
 
         // Update member count
         await pool.query(
@@ -769,6 +839,7 @@ router.delete('/:groupId/members/:memberId', authenticateToken, async (req, res)
              WHERE group_id = ? AND user_id = ?`,
             [groupId, memberId]
         );
+        leaveGroupRoom(memberId, groupId);
 
         // Update member count
         await pool.query(
@@ -976,6 +1047,7 @@ router.post('/:groupId/leave', authenticateToken, async (req, res) => {
              WHERE group_id = ? AND user_id = ?`,
             [groupId, userId]
         );
+        leaveGroupRoom(userId, groupId);
 
         // Update member count
         await pool.query(
@@ -1007,7 +1079,7 @@ router.get('/:groupId/messages/search', authenticateToken, async (req, res) => {
 
     try {
         // Check if user is a member
-        const [membership] = await pool.query(
+        const membership = await pool.query(
             `SELECT * FROM GroupMemberships 
              WHERE group_id = ? AND user_id = ? AND status = 'active'`,
             [groupId, userId]
@@ -1017,7 +1089,7 @@ router.get('/:groupId/messages/search', authenticateToken, async (req, res) => {
             return res.status(403).json({ error: 'Not a member of this group' });
         }
 
-        const [messages] = await pool.query(
+        const messages = await pool.query(
             `SELECT 
                 cm.*,
                 u.display_name,
@@ -1025,7 +1097,7 @@ router.get('/:groupId/messages/search', authenticateToken, async (req, res) => {
                 u.profile_image_url
              FROM ChatMessages cm
              INNER JOIN Users u ON cm.user_id = u.user_id
-             WHERE cm.group_id = ? AND cm.content LIKE ?
+             WHERE cm.group_id = ? AND cm.content LIKE ? AND cm.is_hidden = FALSE
              ORDER BY cm.created_at DESC
              LIMIT 50`,
             [groupId, `%${q}%`]
@@ -1039,39 +1111,65 @@ router.get('/:groupId/messages/search', authenticateToken, async (req, res) => {
 });
 
 /**
- * Mark group messages as read
+ * Mark group messages as read, up to message_id (or the latest message)
  * PATCH /api/groups/:groupId/messages/read
  */
 router.patch('/:groupId/messages/read', authenticateToken, async (req, res) => {
     const groupId = parseInt(req.params.groupId);
     const userId = req.user.user_id;
+    const messageId = req.body.message_id ? parseInt(req.body.message_id) : null;
+
+    if (req.body.message_id && isNaN(messageId)) {
+        return res.status(400).json({ error: 'Invalid message_id' });
+    }
 
     try {
-        // Check if user is a member
-        const [membership] = await pool.query(
-            `SELECT * FROM GroupMemberships 
-             WHERE group_id = ? AND user_id = ? AND status = 'active'`,
-            [groupId, userId]
-        );
+        const outcome = await markGroupRead({ groupId, userId, messageId });
 
-        if (membership.length === 0) {
-            return res.status(403).json({ error: 'Not a member of this group' });
+        if (outcome.error) {
+            return res.status(outcome.status).json({ error: outcome.error });
         }
 
-        await pool.query(
-            `UPDATE ChatMessages 
-             SET is_read = TRUE 
-             WHERE group_id = ? AND user_id != ?`,
-            [groupId, userId]
-        );
-
-        res.json({ success: true, message: 'Messages marked as read' });
+        res.json({
+            success: true,
+            message: 'Messages marked as read',
+            last_read_message_id: outcome.last_read_message_id,
+            unread: outcome.unread
+        });
     } catch (error) {
         console.error('Mark read error:', error);
         res.status(500).json({ error: 'Failed to mark messages as read' });
     }
 });
 
+/**
+ * Members who have seen a message
+ * GET /api/groups/:groupId/messages/:messageId/receipts
+ */
+router.get('/:groupId/messages/:messageId/receipts', authenticateToken, async (req, res) => {
+    const groupId = parseInt(req.params.groupId);
+    const messageId = parseInt(req.params.messageId);
+    const userId = req.user.user_id;
+
+    try {
+        const membership = await getActiveMembership(groupId, userId);
+
+        if (!membership) {
+            return res.status(403).json({ error: 'Not a member of this group' });
+        }
+
+        const seenBy = await getReadReceipts(groupId, messageId);
+        if (!seenBy) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        res.json({ success: true, message_id: messageId, seen_by_count: seenBy.length, seen_by: seenBy });
+    } catch (error) {
+        console.error('Get read receipts error:', error);
+        res.status(500).json({ error: 'Failed to get read receipts' });
+    }
+});
+
 /**
  * Update group settings
  * PATCH /api/groups/:groupId
@@ -1137,24 +1235,15 @@ router.get('/:groupId/unread/count', authenticateToken, async (req, res) => {
 
     try {
         // Check if user is a member
-        const [membership] = await pool.query(
-            `SELECT * FROM GroupMemberships 
-             WHERE group_id = ? AND user_id = ? AND status = 'active'`,
-            [groupId, userId]
-        );
+        const membership = await getActiveMembership(groupId, userId);
 
-        if (membership.length === 0) {
+        if (!membership) {
             return res.status(403).json({ error: 'Not a member of this group' });
         }
 
-        const [[count]] = await pool.query(
-            `SELECT COUNT(*) AS unread
-             FROM ChatMessages
-             WHERE group_id = ? AND user_id != ? AND is_read = FALSE`,
-            [groupId, userId]
-        );
+        const unread = await getGroupUnreadCount(groupId, userId);
 
-        res.json({ success: true, unread: count.unread });
+        res.json({ success: true, unread });
     } catch (error) {
         console.error('Get unread count error:', error);
         res.status(500).json({ error: 'Failed to get unread count' });
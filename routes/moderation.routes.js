@@ -0,0 +1,269 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../middleware/error.middleware');
+const { requireModerator } = require('../middleware/auth.middleware');
+const {
+    CONTENT_TYPES,
+    REPORT_REASONS,
+    MODERATION_ACTIONS,
+    createReport,
+    getQueue,
+    getReportDetails,
+    applyAction,
+    getAuditTrail
+} = require('../utils/moderation');
+const {
+    VERIFICATION_DECISIONS,
+    INCIDENT_STATUSES,
+    getIncidentQueue,
+    getIncident,
+    recordVerification
+} = require('../utils/incidents');
+const { setTwoFactorRequired } = require('../utils/twoFactor');
+const { LOCKOUT_SCOPES, getLockouts } = require('../utils/authThrottle');
+const { parseLimit } = require('../utils/pagination');
+
+const parsePage = (req) => {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = parseLimit(req.query.limit);
+    return { page, limit, offset: (page - 1) * limit };
+};
+
+// POST /api/moderation/reports - Report a post, comment, direct message or group message
+router.post('/reports', asyncHandler(async (req, res) => {
+    const { content_type, reason, details } = req.body;
+    const contentId = parseInt(req.body.content_id);
+
+    if (!CONTENT_TYPES.includes(content_type)) {
+        return res.status(400).json({ error: `Invalid content_type. Must be one of: ${CONTENT_TYPES.join(', ')}` });
+    }
+    if (isNaN(contentId)) {
+        return res.status(400).json({ error: 'content_id is required' });
+    }
+    if (!REPORT_REASONS.includes(reason)) {
+        return res.status(400).json({ error: `Invalid reason. Must be one of: ${REPORT_REASONS.join(', ')}` });
+    }
+    if (details && (typeof details !== 'string' || details.length > 1000)) {
+        return res.status(400).json({ error: 'Details must not exceed 1000 characters' });
+    }
+
+    const outcome = await createReport({
+        reporterId: req.user.user_id,
+        contentType: content_type,
+        contentId,
+        reason,
+        details: details ? details.trim() : null
+    });
+
+    if (outcome.error) {
+        return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Report submitted. Thank you for helping keep the neighborhood safe.',
+        report_id: outcome.report_id
+    });
+}));
+
+// GET /api/moderation/queue?content_type=post&page=1 - Content waiting for review (moderators)
+router.get('/queue', requireModerator, asyncHandler(async (req, res) => {
+    const contentType = req.query.content_type || null;
+    if (contentType && !CONTENT_TYPES.includes(contentType)) {
+        return res.status(400).json({ error: `Invalid content_type. Must be one of: ${CONTENT_TYPES.join(', ')}` });
+    }
+
+    const { page, limit, offset } = parsePage(req);
+    const { items, total } = await getQueue({ contentType, limit, offset });
+
+    res.json({
+        success: true,
+        queue: items,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+}));
+
+// GET /api/moderation/queue/:contentType/:contentId - Reports and history for one item (moderators)
+router.get('/queue/:contentType/:contentId', requireModerator, asyncHandler(async (req, res) => {
+    const { contentType } = req.params;
+    const contentId = parseInt(req.params.contentId);
+
+    if (!CONTENT_TYPES.includes(contentType) || isNaN(contentId)) {
+        return res.status(404).json({ error: 'Content not found' });
+    }
+
+    const details = await getReportDetails(contentType, contentId);
+    if (!details.content && details.reports.length === 0) {
+        return res.status(404).json({ error: 'Content not found' });
+    }
+
+    res.json({ success: true, content_type: contentType, content_id: contentId, ...details });
+}));
+
+// POST /api/moderation/queue/:contentType/:contentId/action - Dismiss, remove, warn or suspend (moderators)
+router.post('/queue/:contentType/:contentId/action', requireModerator, asyncHandler(async (req, res) => {
+    const { contentType } = req.params;
+    const contentId = parseInt(req.params.contentId);
+    const { action, notes, remove_content, suspend_days } = req.body;
+
+    if (!CONTENT_TYPES.includes(contentType) || isNaN(contentId)) {
+        return res.status(404).json({ error: 'Content not found' });
+    }
+    if (!MODERATION_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `Invalid action. Must be one of: ${MODERATION_ACTIONS.join(', ')}` });
+    }
+
+    let suspendDays = null;
+    if (suspend_days !== undefined && suspend_days !== null) {
+        suspendDays = parseInt(suspend_days);
+        if (isNaN(suspendDays) || suspendDays < 1 || suspendDays > 365) {
+            return res.status(400).json({ error: 'suspend_days must be between 1 and 365' });
+        }
+    }
+
+    const outcome = await applyAction({
+        moderatorId: req.user.user_id,
+        contentType,
+        contentId,
+        action,
+        notes: notes ? String(notes).trim() : null,
+        removeContent: remove_content === true || remove_content === 'true',
+        suspendDays
+    });
+
+    if (outcome.error) {
+        return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.json({ success: true, message: `Action '${action}' applied` });
+}));
+
+// GET /api/moderation/audit?content_type=&content_id=&moderator_id=&target_user_id= - Audit trail (moderators)
+router.get('/audit', requireModerator, asyncHandler(async (req, res) => {
+    const { page, limit, offset } = parsePage(req);
+
+    const { actions, total } = await getAuditTrail({
+        contentType: CONTENT_TYPES.includes(req.query.content_type) ? req.query.content_type : null,
+        contentId: parseInt(req.query.content_id) || null,
+        moderatorId: parseInt(req.query.moderator_id) || null,
+        targetUserId: parseInt(req.query.target_user_id) || null,
+        limit,
+        offset
+    });
+
+    res.json({
+        success: true,
+        actions,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+}));
+
+// GET /api/moderation/incidents?status=pending,under_review - Incidents waiting for verification (moderators)
+router.get('/incidents', requireModerator, asyncHandler(async (req, res) => {
+    let statuses = ['pending', 'under_review'];
+    if (req.query.status) {
+        statuses = req.query.status.split(',').map(s => s.trim());
+        const invalid = statuses.filter(s => !INCIDENT_STATUSES.includes(s));
+        if (invalid.length > 0) {
+            return res.status(400).json({ error: `Invalid status. Must be one of: ${INCIDENT_STATUSES.join(', ')}` });
+        }
+    }
+
+    const { page, limit, offset } = parsePage(req);
+    const { incidents, total } = await getIncidentQueue({ statuses, limit, offset });
+
+    res.json({
+        success: true,
+        incidents,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+}));
+
+// GET /api/moderation/incidents/:incidentId - Incident with its verification history (moderators)
+router.get('/incidents/:incidentId', requireModerator, asyncHandler(async (req, res) => {
+    const incident = await getIncident(parseInt(req.params.incidentId));
+    if (!incident) {
+        return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    res.json({ success: true, ...incident });
+}));
+
+// POST /api/moderation/incidents/:incidentId/verify - Record a decision (moderators)
+router.post('/incidents/:incidentId/verify', requireModerator, asyncHandler(async (req, res) => {
+    const incidentId = parseInt(req.params.incidentId);
+    const { decision, notes } = req.body;
+
+    if (!VERIFICATION_DECISIONS.includes(decision)) {
+        return res.status(400).json({ error: `Invalid decision. Must be one of: ${VERIFICATION_DECISIONS.join(', ')}` });
+    }
+    if (decision === 'needs_more_info' && (!notes || !String(notes).trim())) {
+        return res.status(400).json({ error: 'Notes are required when asking for more information' });
+    }
+
+    const outcome = await recordVerification({
+        incidentId,
+        moderatorId: req.user.user_id,
+        decision,
+        notes: notes ? String(notes).trim() : null
+    });
+
+    if (outcome.error) {
+        return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    const incident = await getIncident(incidentId);
+
+    res.json({
+        success: true,
+        message: 'Decision recorded',
+        verification_status: outcome.verification_status,
+        ...incident
+    });
+}));
+
+// GET /api/moderation/lockouts?scope=account|ip&user_id= - Login and account recovery lockouts (moderators)
+router.get('/lockouts', requireModerator, asyncHandler(async (req, res) => {
+    const { page, limit, offset } = parsePage(req);
+
+    const { lockouts, total } = await getLockouts({
+        scope: LOCKOUT_SCOPES.includes(req.query.scope) ? req.query.scope : null,
+        userId: parseInt(req.query.user_id) || null,
+        limit,
+        offset
+    });
+
+    res.json({
+        success: true,
+        lockouts,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+}));
+
+// PUT /api/moderation/moderators/:userId/two-factor - Require 2FA for another moderator, or stop requiring it (moderators)
+router.put('/moderators/:userId/two-factor', requireModerator, asyncHandler(async (req, res) => {
+    const targetUserId = parseInt(req.params.userId);
+    const { required } = req.body;
+
+    if (isNaN(targetUserId)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    if (typeof required !== 'boolean') {
+        return res.status(400).json({ error: 'required must be true or false' });
+    }
+
+    const outcome = await setTwoFactorRequired({ moderatorId: req.user.user_id, targetUserId, required });
+
+    if (outcome.error) {
+        return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.json({
+        success: true,
+        message: required ? 'Two-factor authentication is now required' : 'Two-factor authentication is no longer required',
+        user_id: targetUserId,
+        two_factor_required: outcome.required
+    });
+}));
+
+module.exports = router;
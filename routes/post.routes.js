@@ -5,6 +5,19 @@ const { asyncHandler } = require('../middleware/error.middleware');
 const { requireModerator } = require('../middleware/auth.middleware');
 const { uploadPostImage, compressImage } = require('../middleware/upload.middleware');
 const { createNotification } = require('../utils/notifications');
+const { hydratePosts } = require('../utils/posts');
+const { parsePollInput, createPoll, loadPolls, castVote, closePoll } = require('../utils/polls');
+const {
+  COMMENT_SORTS,
+  COMMENT_CURSOR_FIELDS,
+  fetchCommentPage,
+  loadCommentReactions,
+  hydrateComments,
+  getComment
+} = require('../utils/comments');
+const { parseLimit, encodeCursor, decodeCursor, hasCursorFields } = require('../utils/pagination');
+const { shouldAlert, broadcastIncidentAlert } = require('../utils/alerts');
+const { isBlocked, notBlockedSql } = require('../utils/blocks');
 
 // Simple validation functions (inline)
 const validatePostContent = (content) => {
@@ -83,6 +96,16 @@ router.post('/', uploadPostImage, compressImage, asyncHandler(async (req, res) =
     return res.status(400).json({ error: priorityValidation.message });
   }
 
+  // Validate poll options for poll posts
+  let poll = null;
+  if (post_type === 'poll') {
+    const pollValidation = parsePollInput(req.body);
+    if (!pollValidation.valid) {
+      return res.status(400).json({ error: pollValidation.message });
+    }
+    poll = pollValidation.poll;
+  }
+
   // Use transaction for post creation with tags
   const result = await transaction(async (connection) => {
     // Insert post with image
@@ -159,6 +182,10 @@ router.post('/', uploadPostImage, compressImage, asyncHandler(async (req, res) =
       );
     }
 
+    if (poll) {
+      await createPoll(connection, postId, poll);
+    }
+
     // Get the created post with user info and tags
     const [posts] = await connection.execute(
       `SELECT p.*, u.name as author_name, u.profile_image_url as author_image,
@@ -185,6 +212,11 @@ router.post('/', uploadPostImage, compressImage, asyncHandler(async (req, res) =
     return post;
   });
 
+  if (poll) {
+    const polls = await loadPolls([result.post_id], req.user.user_id);
+    result.poll = polls.get(result.post_id) || null;
+  }
+
   // Award badge if applicable (first post)
   const postCount = await query(
     'SELECT COUNT(*) as count FROM Posts WHERE user_id = ?',
@@ -209,48 +241,74 @@ router.post('/', uploadPostImage, compressImage, asyncHandler(async (req, res) =
     message: 'Post created successfully',
     post: result
   });
+
+  // Alert nearby residents about urgent incidents without holding up the response
+  if (shouldAlert({ post_type, priority, severity: req.body.severity })) {
+    broadcastIncidentAlert(result.post_id).catch(err => console.error('Incident alert error:', err));
+  }
+}));
+
+// Get nearby posts based on user location
+// Registered before /:postId so "nearby" isn't treated as a post ID
+router.get('/nearby', asyncHandler(async (req, res) => {
+  let { latitude, longitude, radius, limit } = req.query;
+
+  latitude = parseFloat(latitude);
+  longitude = parseFloat(longitude);
+  radius = parseFloat(radius) || 5; // default 5 km
+  limit = Math.min(parseInt(limit) || 50, 200); // default 50 posts
+
+  if (isNaN(latitude) || isNaN(longitude)) {
+    return res.status(400).json({ error: 'Latitude and longitude are required and must be numbers' });
+  }
+
+  const notBlocked = notBlockedSql('p.user_id', req.user.user_id);
+  const posts = await query(
+    `SELECT p.*,
+           (6371000 * acos(LEAST(1,
+               cos(radians(?)) * cos(radians(p.location_lat)) *
+               cos(radians(p.location_lng) - radians(?)) +
+               sin(radians(?)) * sin(radians(p.location_lat))
+           ))) AS distance
+     FROM Posts p
+     WHERE p.status = 'active'
+       AND p.location_lat IS NOT NULL
+       AND p.location_lng IS NOT NULL
+       AND ${notBlocked.sql}
+     HAVING distance <= ?
+     ORDER BY distance ASC
+     LIMIT ${limit}`,
+    [latitude, longitude, latitude, ...notBlocked.params, radius * 1000]
+  );
+
+  const hydrated = await hydratePosts(posts, { viewerId: req.user.user_id });
+
+  res.json({ success: true, posts: hydrated });
 }));
 
 router.get('/:postId', asyncHandler(async (req, res) => {
   const { postId } = req.params;
 
+  // Posts by people on either side of a block look like they don't exist
+  const notBlocked = notBlockedSql('p.user_id', req.user.user_id);
   const posts = await query(
-    `SELECT p.*, u.name as author_name, u.display_name, u.username as username, u.profile_image_url as author_image,
-     u.verification_status as author_verification, u.user_id as author_id
-     FROM Posts p
-     JOIN Users u ON p.user_id = u.user_id
-     WHERE p.post_id = ? AND p.status = ?`,
-    [postId, 'active']
+    `SELECT p.* FROM Posts p WHERE p.post_id = ? AND p.status = ? AND ${notBlocked.sql}`,
+    [postId, 'active', ...notBlocked.params]
   );
 
   if (posts.length === 0) {
     return res.status(404).json({ error: 'Post not found' });
   }
 
-  const post = posts[0];
-
-  // Get tags for this post as string array
-  const tags = await query(
-    `SELECT t.name
-     FROM PostTags pt
-     JOIN Tags t ON pt.tag_id = t.tag_id
-     WHERE pt.post_id = ?`,
-    [postId]
+  const users = await query(
+    'SELECT latitude, longitude FROM Users WHERE user_id = ?',
+    [req.user.user_id]
   );
 
-  post.tags = tags.map(t => t.name);
-
-  // If it's an incident, get incident details
-  if (post.post_type === 'incident') {
-    const incidents = await query(
-      `SELECT * FROM IncidentReports WHERE post_id = ?`,
-      [postId]
-    );
-    
-    if (incidents.length > 0) {
-      post.incident_details = incidents[0];
-    }
-  }
+  const [post] = await hydratePosts(posts, {
+    viewerId: req.user.user_id,
+    origin: users[0] || null
+  });
 
   res.json({
     success: true,
@@ -269,28 +327,76 @@ router.get('/tags/all', asyncHandler(async (req, res) => {
   });
 }));
 
-// Add comment to a post
+// Add comment to a post, or a reply when parent_comment_id is given
 router.post("/:post_id/comments", asyncHandler(async (req, res) => {
   const { post_id } = req.params;
-  const { content } = req.body;
+  const { content, parent_comment_id } = req.body;
 
   if (!req.user?.user_id) return res.status(401).json({ error: "Unauthorized" });
   if (!content || content.trim().length === 0) return res.status(400).json({ error: "Content cannot be empty" });
 
   const userId = req.user.user_id;
 
-  const result = await query("INSERT INTO Comments (post_id, user_id, content) VALUES (?, ?, ?)", [post_id, userId, content.trim()]);
+  const posts = await query("SELECT user_id FROM Posts WHERE post_id = ? AND status = 'active'", [post_id]);
+  if (posts.length === 0) return res.status(404).json({ error: "Post not found" });
+
+  let parent = null;
+  if (parent_comment_id !== undefined && parent_comment_id !== null) {
+    parent = await getComment(parseInt(parent_comment_id));
+    if (!parent || parent.post_id !== parseInt(post_id)) {
+      return res.status(404).json({ error: "Parent comment not found" });
+    }
+    if (parent.is_deleted) {
+      return res.status(400).json({ error: "Cannot reply to a deleted comment" });
+    }
+  }
 
-  await query("UPDATE Posts SET comments_count = comments_count + 1 WHERE post_id = ?", [post_id]);
+  // No commenting on posts, or replying to comments, of people on either side of a block
+  if (await isBlocked(userId, posts[0].user_id) || (parent && await isBlocked(userId, parent.user_id))) {
+    return res.status(403).json({ error: "You cannot comment on this post" });
+  }
+
+  const commentId = await transaction(async (connection) => {
+    const [result] = await connection.execute(
+      "INSERT INTO Comments (post_id, parent_comment_id, user_id, content) VALUES (?, ?, ?, ?)",
+      [post_id, parent ? parent.comment_id : null, userId, content.trim()]
+    );
+
+    await connection.execute("UPDATE Posts SET comments_count = comments_count + 1 WHERE post_id = ?", [post_id]);
+
+    if (parent) {
+      await connection.execute(
+        "UPDATE Comments SET reply_count = reply_count + 1 WHERE comment_id = ?",
+        [parent.comment_id]
+      );
+    }
+
+    return result.insertId;
+  });
 
   // Get post owner and commenter info for notification
   const [postData] = await query(
     "SELECT p.user_id as post_owner_id, u.display_name as commenter_name FROM Posts p, Users u WHERE p.post_id = ? AND u.user_id = ?",
     [post_id, userId]
   );
-  
-  // Only send notification if someone else commented (not self-comment)
-  if (postData && postData.post_owner_id !== userId) {
+
+  // Let the parent comment's author know about the reply (not self-replies)
+  if (parent && postData && parent.user_id !== userId) {
+    await createNotification({
+      user_id: parent.user_id,
+      type: 'message',
+      title: 'New Reply',
+      content: `${postData.commenter_name} replied to your comment`,
+      related_id: post_id,
+      related_type: 'post',
+      priority: 'normal'
+    });
+  }
+
+  // Only send notification if someone else commented (not self-comment), and
+  // not twice when the post owner already got a reply notification
+  if (postData && postData.post_owner_id !== userId &&
+      !(parent && parent.user_id === postData.post_owner_id)) {
     await createNotification({
       user_id: postData.post_owner_id,
       type: 'message',
@@ -302,30 +408,115 @@ router.post("/:post_id/comments", asyncHandler(async (req, res) => {
     });
   }
 
-  res.json({ success: true, message: "Comment added", comment_id: result.insertId });
+  const [comment] = await hydrateComments([await getComment(commentId)], userId);
+
+  res.json({ success: true, message: "Comment added", comment_id: commentId, comment });
 }));
 
-// Get all comments for a post
+// Get comments for a post - top-level comments, or the replies to parent_id
 router.get("/:post_id/comments", asyncHandler(async (req, res) => {
-  const { post_id } = req.params;
+  const postId = parseInt(req.params.post_id);
+
+  const sort = req.query.sort || 'oldest';
+  if (!COMMENT_SORTS.includes(sort)) {
+    return res.status(400).json({ error: `Invalid sort. Must be one of: ${COMMENT_SORTS.join(', ')}` });
+  }
+
+  const limit = parseLimit(req.query.limit);
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor);
+    if (!cursor || cursor.sort !== sort || !hasCursorFields(cursor, COMMENT_CURSOR_FIELDS[sort])) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+  }
 
   // Optional: check if post exists first
-  const post = await query("SELECT post_id FROM Posts WHERE post_id = ?", [post_id]);
+  const post = await query("SELECT post_id FROM Posts WHERE post_id = ?", [postId]);
   if (post.length === 0) return res.status(404).json({ success: false, error: "Post not found" });
 
-  // Fetch comments with user info
-  const comments = await query(
-      `SELECT c.comment_id, c.content, c.created_at, u.user_id, u.name as author_name, u.profile_image_url as author_image
-         FROM Comments c
-         JOIN Users u ON c.user_id = u.user_id
-         WHERE c.post_id = ?
-         ORDER BY c.created_at ASC`,
-      [post_id]
+  let parentId = null;
+  if (req.query.parent_id !== undefined) {
+    parentId = parseInt(req.query.parent_id);
+    const parent = isNaN(parentId) ? null : await getComment(parentId);
+    if (!parent || parent.post_id !== postId) {
+      return res.status(404).json({ error: "Parent comment not found" });
+    }
+  }
+
+  const { comments, nextCursor } = await fetchCommentPage({
+    postId, parentId, sort, cursor, limit, viewerId: req.user.user_id
+  });
+  const hydrated = await hydrateComments(comments, req.user.user_id);
+
+  res.json({
+    success: true,
+    post_id: postId,
+    parent_id: parentId,
+    sort,
+    comments: hydrated,
+    pagination: {
+      limit,
+      count: hydrated.length,
+      has_more: nextCursor !== null,
+      next_cursor: nextCursor ? encodeCursor(nextCursor) : null
+    }
+  });
+}));
+
+// React to a comment
+router.post("/:post_id/comments/:commentId/reactions", asyncHandler(async (req, res) => {
+  const { post_id, commentId } = req.params;
+  const { emoji } = req.body;
+
+  if (!emoji || typeof emoji !== 'string' || emoji.length > 10) {
+    return res.status(400).json({ error: "Emoji is required" });
+  }
+
+  const comment = await getComment(commentId);
+  if (!comment || comment.post_id !== parseInt(post_id) || comment.is_deleted) {
+    return res.status(404).json({ error: "Comment not found" });
+  }
+
+  const result = await query(
+    "INSERT IGNORE INTO CommentReactions (comment_id, user_id, emoji) VALUES (?, ?, ?)",
+    [comment.comment_id, req.user.user_id, emoji]
   );
 
-  res.json({ success: true, post_id, comments });
+  if (result.affectedRows > 0) {
+    await query("UPDATE Comments SET reaction_count = reaction_count + 1 WHERE comment_id = ?", [comment.comment_id]);
+  }
+
+  const reactions = await loadCommentReactions([comment.comment_id], req.user.user_id);
+
+  res.json({ success: true, reactions: reactions.get(comment.comment_id) || [] });
 }));
 
+// Remove a reaction from a comment
+router.delete("/:post_id/comments/:commentId/reactions/:emoji", asyncHandler(async (req, res) => {
+  const { post_id, commentId, emoji } = req.params;
+
+  const comment = await getComment(commentId);
+  if (!comment || comment.post_id !== parseInt(post_id)) {
+    return res.status(404).json({ error: "Comment not found" });
+  }
+
+  const result = await query(
+    "DELETE FROM CommentReactions WHERE comment_id = ? AND user_id = ? AND emoji = ?",
+    [comment.comment_id, req.user.user_id, emoji]
+  );
+
+  if (result.affectedRows === 0) {
+    return res.status(404).json({ error: "Reaction not found" });
+  }
+
+  await query("UPDATE Comments SET reaction_count = reaction_count - 1 WHERE comment_id = ?", [comment.comment_id]);
+
+  const reactions = await loadCommentReactions([comment.comment_id], req.user.user_id);
+
+  res.json({ success: true, reactions: reactions.get(comment.comment_id) || [] });
+}));
 
 // Like a post
 router.post("/:post_id/like", asyncHandler(async (req, res) => {
@@ -397,6 +588,57 @@ router.get("/:post_id/like/status", asyncHandler(async (req, res) => {
   });
 }));
 
+// Vote on a poll - replaces any previous ballot
+router.post("/:post_id/poll/vote", asyncHandler(async (req, res) => {
+  const postId = parseInt(req.params.post_id);
+  const { option_ids } = req.body;
+
+  const optionIds = Array.isArray(option_ids)
+    ? [...new Set(option_ids.map(id => parseInt(id)))]
+    : [];
+
+  if (optionIds.length === 0 || optionIds.some(id => isNaN(id))) {
+    return res.status(400).json({ error: "option_ids must be a non-empty array of option IDs" });
+  }
+
+  const outcome = await castVote(postId, req.user.user_id, optionIds);
+  if (outcome.error) {
+    return res.status(outcome.status).json({ error: outcome.error });
+  }
+
+  const polls = await loadPolls([postId], req.user.user_id);
+
+  res.json({ success: true, message: "Vote recorded", poll: polls.get(postId) });
+}));
+
+// Withdraw a poll vote
+router.delete("/:post_id/poll/vote", asyncHandler(async (req, res) => {
+  const postId = parseInt(req.params.post_id);
+
+  const outcome = await castVote(postId, req.user.user_id, []);
+  if (outcome.error) {
+    return res.status(outcome.status).json({ error: outcome.error });
+  }
+
+  const polls = await loadPolls([postId], req.user.user_id);
+
+  res.json({ success: true, message: "Vote removed", poll: polls.get(postId) });
+}));
+
+// Close a poll before its closing time (author only)
+router.post("/:post_id/poll/close", asyncHandler(async (req, res) => {
+  const postId = parseInt(req.params.post_id);
+
+  const outcome = await closePoll(postId, req.user.user_id);
+  if (outcome.error) {
+    return res.status(outcome.status).json({ error: outcome.error });
+  }
+
+  const polls = await loadPolls([postId], req.user.user_id);
+
+  res.json({ success: true, message: "Poll closed", poll: polls.get(postId) });
+}));
+
 // Update a post (owner only)
 router.put("/:id", asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -405,13 +647,19 @@ router.put("/:id", asyncHandler(async (req, res) => {
   if (!req.user?.user_id) return res.status(401).json({ error: "Unauthorized" });
 
   // Check if post exists and user is the owner
-  const posts = await query("SELECT user_id FROM Posts WHERE post_id = ?", [id]);
+  const posts = await query("SELECT user_id, post_type FROM Posts WHERE post_id = ?", [id]);
   if (posts.length === 0) return res.status(404).json({ error: "Post not found" });
   
   if (posts[0].user_id !== req.user.user_id) {
     return res.status(403).json({ error: "You can only edit your own posts" });
   }
 
+  // Polls are created with the post, so the type can't be switched to or from poll
+  if (post_type !== undefined && post_type !== posts[0].post_type &&
+      (post_type === 'poll' || posts[0].post_type === 'poll')) {
+    return res.status(400).json({ error: "Post type cannot be changed to or from poll" });
+  }
+
   // Validate content if provided
   if (content !== undefined) {
     const contentValidation = validatePostContent(content);
@@ -516,11 +764,11 @@ router.put("/:postId/comments/:commentId", asyncHandler(async (req, res) => {
 
   // Check if comment exists and user is the owner
   const comments = await query(
-    "SELECT user_id, post_id FROM Comments WHERE comment_id = ?",
+    "SELECT user_id, post_id, is_deleted FROM Comments WHERE comment_id = ?",
     [commentId]
   );
   
-  if (comments.length === 0) return res.status(404).json({ error: "Comment not found" });
+  if (comments.length === 0 || comments[0].is_deleted) return res.status(404).json({ error: "Comment not found" });
   
   if (comments[0].user_id !== req.user.user_id) {
     return res.status(403).json({ error: "You can only edit your own comments" });
@@ -537,19 +785,12 @@ router.put("/:postId/comments/:commentId", asyncHandler(async (req, res) => {
   );
 
   // Get updated comment
-  const updatedComments = await query(
-    `SELECT c.comment_id, c.content, c.created_at, 
-     u.user_id, u.name as author_name, u.profile_image_url as author_image
-     FROM Comments c
-     JOIN Users u ON c.user_id = u.user_id
-     WHERE c.comment_id = ?`,
-    [commentId]
-  );
+  const [updatedComment] = await hydrateComments([await getComment(commentId)], req.user.user_id);
 
   res.json({ 
     success: true, 
     message: "Comment updated successfully", 
-    comment: updatedComments[0] 
+    comment: updatedComment 
   });
 }));
 
@@ -561,11 +802,11 @@ router.delete("/:postId/comments/:commentId", asyncHandler(async (req, res) => {
 
   // Check if comment exists and user is the owner
   const comments = await query(
-    "SELECT user_id, post_id FROM Comments WHERE comment_id = ?",
+    "SELECT user_id, post_id, parent_comment_id, reply_count, is_deleted FROM Comments WHERE comment_id = ?",
     [commentId]
   );
   
-  if (comments.length === 0) return res.status(404).json({ error: "Comment not found" });
+  if (comments.length === 0 || comments[0].is_deleted) return res.status(404).json({ error: "Comment not found" });
   
   if (comments[0].user_id !== req.user.user_id) {
     return res.status(403).json({ error: "You can only delete your own comments" });
@@ -575,81 +816,39 @@ router.delete("/:postId/comments/:commentId", asyncHandler(async (req, res) => {
     return res.status(400).json({ error: "Comment does not belong to this post" });
   }
 
-  // Delete comment
-  await query("DELETE FROM Comments WHERE comment_id = ?", [commentId]);
-
-  // Decrement comments count
-  await query("UPDATE Posts SET comments_count = comments_count - 1 WHERE post_id = ?", [postId]);
-
-  res.json({ success: true, message: "Comment deleted successfully" });
-}));
-
-// Get nearby posts based on user location
-router.get('/nearby', asyncHandler(async (req, res) => {
-  console.log('📍 /nearby route hit');
-  console.log('📥 Query params:', req.query);
-
-  let { latitude, longitude, radius, limit } = req.query;
-
-  latitude = parseFloat(latitude);
-  longitude = parseFloat(longitude);
-  radius = parseFloat(radius) || 5; // default 5 km
-  limit = parseInt(limit) || 50; // default 50 posts
-
-  if (isNaN(latitude) || isNaN(longitude)) {
-    console.warn('⚠️ Invalid latitude or longitude');
-    return res.status(400).json({ error: 'Latitude and longitude are required and must be numbers' });
-  }
+  await transaction(async (connection) => {
+    if (comments[0].reply_count > 0) {
+      // Keep the comment as a placeholder so its replies stay in the thread
+      await connection.execute(
+        "UPDATE Comments SET is_deleted = TRUE, content = '' WHERE comment_id = ?",
+        [commentId]
+      );
+    } else {
+      await connection.execute("DELETE FROM Comments WHERE comment_id = ?", [commentId]);
 
-  const sql = `
-    SELECT p.*, u.name as author_name, u.profile_image_url as author_image,
-           u.verification_status as author_verification,
-           (6371 * acos(
-               cos(radians(?)) * cos(radians(CAST(location_lat AS DECIMAL(10,6)))) *
-               cos(radians(CAST(location_lng AS DECIMAL(10,6))) - radians(?)) +
-               sin(radians(?)) * sin(radians(CAST(location_lat AS DECIMAL(10,6))))
-           )) AS distance_km
-    FROM Posts p
-           JOIN Users u ON p.user_id = u.user_id
-    WHERE p.status = 'active'
-      AND location_lat IS NOT NULL
-      AND location_lng IS NOT NULL
-    HAVING distance_km <= ?
-    ORDER BY distance_km ASC
-      LIMIT ?
-  `;
-
-  const params = [latitude, longitude, latitude, radius, limit];
-  console.log('📝 SQL params:', params);
+      // Update the parents' reply counts, removing deleted placeholders left without replies
+      let parentId = comments[0].parent_comment_id;
+      while (parentId) {
+        await connection.execute(
+          "UPDATE Comments SET reply_count = reply_count - 1 WHERE comment_id = ?",
+          [parentId]
+        );
+        const [parents] = await connection.execute(
+          "SELECT parent_comment_id, reply_count, is_deleted FROM Comments WHERE comment_id = ?",
+          [parentId]
+        );
+        if (parents.length === 0 || !parents[0].is_deleted || parents[0].reply_count > 0) break;
 
-  try {
-    const posts = await query(sql, params);
-    console.log(`✅ Fetched ${posts.length} posts`);
-
-    // Fetch tags for each post
-    for (const post of posts) {
-      const tags = await query(
-          `SELECT t.name
-         FROM PostTags pt
-         JOIN Tags t ON pt.tag_id = t.tag_id
-         WHERE pt.post_id = ?`,
-          [post.post_id]
-      );
-      post.tags = tags.map(t => t.name);
+        await connection.execute("DELETE FROM Comments WHERE comment_id = ?", [parentId]);
+        parentId = parents[0].parent_comment_id;
+      }
     }
 
-    res.json({ success: true, posts });
-  } catch (err) {
-    console.error('❌ MySQL query failed', {
-      message: err.message,
-      code: err.code,
-      sql: err.sql,
-      params,
-    });
-    res.status(500).json({ error: 'Database query failed', details: err.message });
-  }
-}));
-
+    // Decrement comments count
+    await connection.execute("UPDATE Posts SET comments_count = comments_count - 1 WHERE post_id = ?", [postId]);
+  });
 
+  res.json({ success: true, message: "Comment deleted successfully" });
+}));
 
 module.exports = router;
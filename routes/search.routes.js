@@ -0,0 +1,106 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('../config/database');
+const { asyncHandler } = require('../middleware/error.middleware');
+const { parseLimit } = require('../utils/pagination');
+const { SEARCH_TYPES, MIN_TERM_LENGTH, buildBooleanQuery, searchAll } = require('../utils/search');
+const { parseMessageSearchFilters, searchMessages } = require('../utils/messageSearch');
+
+// GET /api/search?q=garden&type=post,event&page=1&limit=20 - Search posts, events, groups and users
+router.get('/', asyncHandler(async (req, res) => {
+    if (!req.user?.user_id) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const q = (req.query.q || '').trim();
+    if (!buildBooleanQuery(q)) {
+        return res.status(400).json({
+            error: `Search query must contain at least one word of ${MIN_TERM_LENGTH} or more characters`
+        });
+    }
+
+    let types = SEARCH_TYPES;
+    if (req.query.type && req.query.type !== 'all') {
+        types = req.query.type.split(',').map(t => t.trim());
+        const invalid = types.filter(t => !SEARCH_TYPES.includes(t));
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                error: `Invalid type: ${invalid.join(', ')}. Must be one of: ${SEARCH_TYPES.join(', ')}`
+            });
+        }
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = parseLimit(req.query.limit);
+    const offset = (page - 1) * limit;
+
+    const users = await query('SELECT user_id, street FROM Users WHERE user_id = ?', [req.user.user_id]);
+    if (users.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { results, facets, total } = await searchAll(q, {
+        viewer: users[0],
+        types,
+        limit,
+        offset
+    });
+
+    res.json({
+        success: true,
+        query: q,
+        results,
+        facets,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    });
+}));
+
+// GET /api/search/messages?q=keys&sender_id=5&from=2024-01-01&to=2024-02-01&has_media=true&media_type=image
+// Search your messages in every DM conversation and group you belong to
+router.get('/messages', asyncHandler(async (req, res) => {
+    const q = (req.query.q || '').trim();
+    const parsed = parseMessageSearchFilters(req.query);
+    if (parsed.error) {
+        return res.status(parsed.status).json({ error: parsed.error });
+    }
+
+    // Without search words the filters alone pick the messages
+    if (q && !buildBooleanQuery(q)) {
+        return res.status(400).json({
+            error: `Search query must contain at least one word of ${MIN_TERM_LENGTH} or more characters`
+        });
+    }
+    if (!q && Object.keys(parsed.filters).length === 0) {
+        return res.status(400).json({ error: 'Give a search query or at least one filter' });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = parseLimit(req.query.limit);
+    const offset = (page - 1) * limit;
+
+    const { results, total } = await searchMessages(req.user.user_id, {
+        text: q,
+        filters: parsed.filters,
+        limit,
+        offset
+    });
+
+    res.json({
+        success: true,
+        query: q,
+        results,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    });
+}));
+
+module.exports = router;
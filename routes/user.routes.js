@@ -4,7 +4,13 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { query } = require('../config/database');
+const bcrypt = require('bcrypt');
 const { asyncHandler } = require('../middleware/error.middleware');
+const { streamUserExport } = require('../utils/dataExport');
+const { GRACE_PERIOD_DAYS, requestDeletion, cancelDeletion } = require('../utils/accountDeletion');
+const { verifySecondFactor } = require('../utils/twoFactor');
+const { throttleAuth } = require('../middleware/authThrottle.middleware');
+const { PROFILE_VISIBILITIES, getProfileAccess, restrictProfileFields } = require('../utils/profileVisibility');
 
 // Configure multer for profile image uploads
 const storage = multer.diskStorage({
@@ -172,12 +178,16 @@ router.put('/profile', asyncHandler(async (req, res) => {
 router.get('/public/:userId', asyncHandler(async (req, res) => {
     const { userId } = req.params;
     const users = await query(`SELECT user_id, display_name, username, name, profile_image_url, bio, age,
-                                      occupation, interests, skills, verification_status, created_at
+                                      occupation, interests, skills, street, verification_status, created_at
                                FROM Users
                                WHERE user_id = ?
     `,[userId]);
     if (users.length === 0) {return res.status(404).json({ success: false, message: 'User not found' });}
-    res.json({success: true, user: users[0]});
+
+    // Fields the profile's visibility doesn't let this viewer see come back as null
+    const access = await getProfileAccess(req.user.user_id, [users[0].user_id]);
+    restrictProfileFields(access, users);
+    res.json({success: true, user: users[0], profile_restricted: access.get(users[0].user_id) === 'basic'});
 }));
 
 // Request verification
@@ -260,6 +270,100 @@ router.post('/admin/users/:userId/verify', asyncHandler(async (req, res) => {
   });
 }));
 
+// Get urgent incident alert preference
+router.get('/alert-preferences', asyncHandler(async (req, res) => {
+  const users = await query(
+    'SELECT urgent_alerts_enabled, latitude, longitude FROM Users WHERE user_id = ?',
+    [req.user.user_id]
+  );
+  if (users.length === 0) return res.status(404).json({ success: false, message: 'User not found' });
+
+  res.json({
+    success: true,
+    preferences: {
+      urgent_alerts_enabled: !!users[0].urgent_alerts_enabled,
+      // Alerts are matched against the stored home location
+      has_location: users[0].latitude !== null && users[0].longitude !== null
+    }
+  });
+}));
+
+// Opt in or out of urgent incident alerts for your area
+router.put('/alert-preferences', asyncHandler(async (req, res) => {
+  const { urgent_alerts_enabled } = req.body;
+
+  if (typeof urgent_alerts_enabled !== 'boolean') {
+    return res.status(400).json({ success: false, message: 'urgent_alerts_enabled must be true or false' });
+  }
+
+  await query(
+    'UPDATE Users SET urgent_alerts_enabled = ? WHERE user_id = ?',
+    [urgent_alerts_enabled, req.user.user_id]
+  );
+
+  res.json({
+    success: true,
+    message: urgent_alerts_enabled ? 'Urgent alerts turned on' : 'Urgent alerts turned off',
+    preferences: { urgent_alerts_enabled }
+  });
+}));
+
+// Get privacy settings
+router.get('/privacy-settings', asyncHandler(async (req, res) => {
+  const users = await query(
+    'SELECT show_last_seen, profile_visibility FROM Users WHERE user_id = ?',
+    [req.user.user_id]
+  );
+  if (users.length === 0) return res.status(404).json({ success: false, message: 'User not found' });
+
+  res.json({
+    success: true,
+    settings: {
+      show_last_seen: !!users[0].show_last_seen,
+      profile_visibility: users[0].profile_visibility
+    }
+  });
+}));
+
+// Show or hide your last-seen time, and choose who sees your full profile
+router.put('/privacy-settings', asyncHandler(async (req, res) => {
+  const { show_last_seen, profile_visibility } = req.body;
+
+  if (show_last_seen === undefined && profile_visibility === undefined) {
+    return res.status(400).json({ success: false, message: 'Nothing to update' });
+  }
+  if (show_last_seen !== undefined && typeof show_last_seen !== 'boolean') {
+    return res.status(400).json({ success: false, message: 'show_last_seen must be true or false' });
+  }
+  if (profile_visibility !== undefined && !PROFILE_VISIBILITIES.includes(profile_visibility)) {
+    return res.status(400).json({
+      success: false,
+      message: `profile_visibility must be one of: ${PROFILE_VISIBILITIES.join(', ')}`
+    });
+  }
+
+  await query(
+    `UPDATE Users
+     SET show_last_seen = COALESCE(?, show_last_seen), profile_visibility = COALESCE(?, profile_visibility)
+     WHERE user_id = ?`,
+    [show_last_seen ?? null, profile_visibility ?? null, req.user.user_id]
+  );
+
+  const users = await query(
+    'SELECT show_last_seen, profile_visibility FROM Users WHERE user_id = ?',
+    [req.user.user_id]
+  );
+
+  res.json({
+    success: true,
+    message: 'Privacy settings updated',
+    settings: {
+      show_last_seen: !!users[0].show_last_seen,
+      profile_visibility: users[0].profile_visibility
+    }
+  });
+}));
+
 // Import compression middleware
 const { compressImage } = require('../middleware/upload.middleware');
 
@@ -347,4 +451,69 @@ router.post('/profile/image', upload.single('profile_image'), compressImage, asy
   });
 }));
 
+// Download everything you've put into NeighborNet: a zip with data.json and your uploaded files
+router.get('/me/export', asyncHandler(async (req, res) => {
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`neighbornet-export-${req.user.user_id}-${date}.zip`);
+  res.type('application/zip');
+
+  await streamUserExport(req.user.user_id, res);
+}));
+
+// Schedule your account for deletion (needs your password, and a code if 2FA is on)
+router.delete('/me', throttleAuth('two_factor', {
+  accountEmail: (req) => req.user.email
+}), asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  if (!password) {
+    return res.status(400).json({ success: false, message: 'Password is required' });
+  }
+
+  const users = await query(
+    'SELECT password_hash, two_factor_enabled, deletion_scheduled_for FROM Users WHERE user_id = ?',
+    [req.user.user_id]
+  );
+  const user = users[0];
+
+  if (user.deletion_scheduled_for) {
+    return res.status(400).json({
+      success: false,
+      message: 'Your account is already scheduled for deletion',
+      deletion_scheduled_for: user.deletion_scheduled_for
+    });
+  }
+
+  const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+  if (!isPasswordValid) {
+    await req.authThrottle.fail();
+    return res.status(401).json({ success: false, message: 'Invalid password' });
+  }
+
+  if (user.two_factor_enabled && !(await verifySecondFactor(req.user.user_id, code))) {
+    await req.authThrottle.fail();
+    return res.status(401).json({ success: false, message: 'Invalid two-factor code' });
+  }
+
+  await req.authThrottle.succeed();
+  const scheduledFor = await requestDeletion(req.user.user_id);
+
+  res.json({
+    success: true,
+    message: `Your account will be deleted in ${GRACE_PERIOD_DAYS} days. Log in and cancel before then to keep it.`,
+    deletion_scheduled_for: scheduledFor
+  });
+}));
+
+// Keep your account after all
+router.post('/me/cancel-deletion', asyncHandler(async (req, res) => {
+  const cancelled = await cancelDeletion(req.user.user_id);
+
+  if (!cancelled) {
+    return res.status(400).json({ success: false, message: 'Your account is not scheduled for deletion' });
+  }
+
+  res.json({ success: true, message: 'Account deletion cancelled' });
+}));
+
 module.exports = router;
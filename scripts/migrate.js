@@ -0,0 +1,267 @@
+require('dotenv').config();
+const mysql = require('mysql2/promise');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Versioned database migrations.
+ *
+ * Migrations live in database/migrations as numbered pairs:
+ *   002_add_something.up.sql   - applies the change
+ *   002_add_something.down.sql - reverts it
+ * Applied versions are tracked in the schema_migrations table.
+ *
+ * Usage:
+ *   node scripts/migrate.js migrate        Apply all pending migrations
+ *   node scripts/migrate.js rollback [n]   Revert the last n migrations (default 1)
+ *   node scripts/migrate.js status         Show applied and pending migrations
+ *   node scripts/migrate.js create <name>  Create an empty migration pair
+ *   node scripts/migrate.js baseline       Mark the baseline as applied on a database
+ *                                          created from the old schema.sql (001 is that
+ *                                          schema, so run migrate afterwards)
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'database', 'migrations');
+const FILE_PATTERN = /^(\d{3,})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+/**
+ * Read the migration files on disk
+ * @returns {Array<object>} { version, name, upPath, downPath } sorted by version
+ */
+function loadMigrations() {
+    const byVersion = new Map();
+
+    for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+        const match = file.match(FILE_PATTERN);
+        if (!match) continue;
+
+        const [, version, name, direction] = match;
+        if (!byVersion.has(version)) {
+            byVersion.set(version, { version, name });
+        }
+        byVersion.get(version)[direction === 'up' ? 'upPath' : 'downPath'] = path.join(MIGRATIONS_DIR, file);
+    }
+
+    return [...byVersion.values()].sort((a, b) => parseInt(a.version) - parseInt(b.version));
+}
+
+function checksum(sql) {
+    return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+async function ensureMigrationsTable(connection) {
+    await connection.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(20) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum CHAR(64) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )`
+    );
+}
+
+async function getApplied(connection) {
+    const [rows] = await connection.query('SELECT * FROM schema_migrations ORDER BY version');
+    return new Map(rows.map(row => [row.version, row]));
+}
+
+/**
+ * Connect to the configured database, creating it if needed
+ */
+async function connect() {
+    const dbName = process.env.DB_NAME || 'neighbornet';
+
+    const connection = await mysql.createConnection({
+        host: process.env.DB_HOST || 'localhost',
+        user: process.env.DB_USER || 'root',
+        password: process.env.DB_PASSWORD || '',
+        multipleStatements: true
+    });
+
+    await connection.query(`CREATE DATABASE IF NOT EXISTS \`${dbName}\``);
+    await connection.query(`USE \`${dbName}\``);
+    await ensureMigrationsTable(connection);
+
+    return connection;
+}
+
+/**
+ * Apply every pending migration in order. Stops at the first failure.
+ * MySQL commits DDL implicitly, so a failed migration may be partly applied
+ * and has to be fixed by hand before running again.
+ * @param {object} connection - mysql2 connection with multipleStatements enabled
+ * @returns {Promise<number>} Number of migrations applied
+ */
+async function migrate(connection) {
+    const applied = await getApplied(connection);
+    const pending = loadMigrations().filter(m => !applied.has(m.version));
+
+    if (pending.length === 0) {
+        console.log('✅ Database is up to date');
+        return 0;
+    }
+
+    for (const migration of pending) {
+        if (!migration.upPath) {
+            throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+        }
+
+        const sql = fs.readFileSync(migration.upPath, 'utf8');
+        console.log(`⬆️  Applying ${migration.version}_${migration.name}...`);
+
+        await connection.query(sql);
+        await connection.query(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+            [migration.version, migration.name, checksum(sql)]
+        );
+    }
+
+    console.log(`✅ Applied ${pending.length} migration(s)`);
+    return pending.length;
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {number} steps - How many migrations to revert
+ * @returns {Promise<number>} Number of migrations reverted
+ */
+async function rollback(connection, steps = 1) {
+    const applied = [...(await getApplied(connection)).values()].reverse().slice(0, steps);
+    const migrations = new Map(loadMigrations().map(m => [m.version, m]));
+
+    if (applied.length === 0) {
+        console.log('ℹ️  Nothing to roll back');
+        return 0;
+    }
+
+    for (const row of applied) {
+        const migration = migrations.get(row.version);
+        if (!migration || !migration.downPath) {
+            throw new Error(`Migration ${row.version}_${row.name} has no .down.sql file`);
+        }
+
+        console.log(`⬇️  Reverting ${row.version}_${row.name}...`);
+        await connection.query(fs.readFileSync(migration.downPath, 'utf8'));
+        await connection.query('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+    }
+
+    console.log(`✅ Rolled back ${applied.length} migration(s)`);
+    return applied.length;
+}
+
+/**
+ * Print applied and pending migrations, flagging applied files that changed since
+ */
+async function status(connection) {
+    const applied = await getApplied(connection);
+    const migrations = loadMigrations();
+
+    console.log('Version  Status    Applied at                Name');
+    for (const migration of migrations) {
+        const row = applied.get(migration.version);
+        let state = 'pending';
+        if (row) {
+            const current = migration.upPath ? checksum(fs.readFileSync(migration.upPath, 'utf8')) : null;
+            state = current === row.checksum ? 'applied' : 'modified';
+        }
+        const appliedAt = row ? new Date(row.applied_at).toISOString() : '';
+        console.log(`${migration.version.padEnd(9)}${state.padEnd(10)}${appliedAt.padEnd(26)}${migration.name}`);
+    }
+
+    // Applied versions whose files were deleted
+    for (const [version, row] of applied) {
+        if (!migrations.some(m => m.version === version)) {
+            console.log(`${version.padEnd(9)}${'missing'.padEnd(10)}${new Date(row.applied_at).toISOString().padEnd(26)}${row.name}`);
+        }
+    }
+}
+
+/**
+ * Mark the baseline migration as applied without running it
+ */
+async function baseline(connection) {
+    const applied = await getApplied(connection);
+    if (applied.size > 0) {
+        throw new Error('Migrations have already been applied to this database');
+    }
+
+    const first = loadMigrations()[0];
+    const sql = fs.readFileSync(first.upPath, 'utf8');
+    await connection.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+        [first.version, first.name, checksum(sql)]
+    );
+    console.log(`✅ Marked ${first.version}_${first.name} as applied`);
+}
+
+/**
+ * Create an empty up/down pair with the next version number
+ */
+function create(name) {
+    const slug = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!slug) {
+        throw new Error('Usage: node scripts/migrate.js create <name>');
+    }
+
+    const migrations = loadMigrations();
+    const last = migrations.length > 0 ? parseInt(migrations[migrations.length - 1].version) : 0;
+    const version = String(last + 1).padStart(3, '0');
+
+    for (const direction of ['up', 'down']) {
+        const file = path.join(MIGRATIONS_DIR, `${version}_${slug}.${direction}.sql`);
+        fs.writeFileSync(file, `-- ${version}_${slug} (${direction})\n\n`);
+        console.log(`📝 Created ${path.relative(process.cwd(), file)}`);
+    }
+}
+
+const run = async () => {
+    const [command = 'migrate', arg] = process.argv.slice(2);
+
+    if (command === 'create') {
+        try {
+            create(arg);
+        } catch (error) {
+            console.error('❌', error.message);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    const commands = {
+        migrate: (connection) => migrate(connection),
+        rollback: (connection) => rollback(connection, Math.max(1, parseInt(arg) || 1)),
+        status: (connection) => status(connection),
+        baseline: (connection) => baseline(connection)
+    };
+
+    if (!commands[command]) {
+        console.error(`Unknown command: ${command}`);
+        console.error('Commands: migrate, rollback [steps], status, create <name>, baseline');
+        process.exit(1);
+    }
+
+    let connection;
+    try {
+        connection = await connect();
+        await commands[command](connection);
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (connection) {
+            await connection.end();
+        }
+    }
+};
+
+if (require.main === module) {
+    run();
+}
+
+module.exports = {
+    connect,
+    migrate,
+    rollback,
+    status
+};
@@ -1,7 +1,5 @@
 require('dotenv').config();
-const mysql = require('mysql2/promise');
-const fs = require('fs');
-const path = require('path');
+const { connect, migrate } = require('./migrate');
 
 const setupDatabase = async () => {
     console.log('🚀 Starting NeighborNet Database Setup...\n');
@@ -9,40 +7,20 @@ const setupDatabase = async () => {
     let connection;
 
     try {
-        console.log('📡 Connecting to MySQL...');
-        connection = await mysql.createConnection({
-            host: process.env.DB_HOST || 'localhost',
-            user: process.env.DB_USER || 'root',
-            password: process.env.DB_PASSWORD || '',
-            multipleStatements: true
-        });
-        console.log('✅ Connected to MySQL\n');
-        console.log("Database connection failed")
-
         const dbName = process.env.DB_NAME || 'neighbornet';
-        console.log(`📦 Creating database '${dbName}'...`);
-        await connection.query(`CREATE DATABASE IF NOT EXISTS ${dbName}`);
-        console.log('✅ Database created/verified\n');
-
-        await connection.query(`USE ${dbName}`);
-
-        console.log('📋 Reading schema.sql...');
-        const schemaPath = path.join(__dirname, '..', 'database', 'schema.sql');
 
-        if (!fs.existsSync(schemaPath)) {
-            throw new Error('schema.sql file not found at: ' + schemaPath);
-        }
-
-        const schema = fs.readFileSync(schemaPath, 'utf8');
-        console.log('✅ Schema file loaded\n');
+        console.log(`📡 Connecting to MySQL and creating database '${dbName}' if needed...`);
+        connection = await connect();
+        console.log('✅ Connected to MySQL\n');
 
-        console.log('🔨 Executing database schema...');
-        await connection.query(schema);
-        console.log('✅ Database schema created successfully\n');
+        // Only pending migrations run, so existing data is kept
+        console.log('🔨 Running migrations...');
+        await migrate(connection);
+        console.log();
 
         console.log('🔍 Verifying tables...');
         const [tables] = await connection.query('SHOW TABLES');
-        console.log(`✅ Created ${tables.length} tables:`);
+        console.log(`✅ Database has ${tables.length} tables:`);
         tables.forEach(table => {
             const tableName = Object.values(table)[0];
             console.log(`   - ${tableName}`);
@@ -127,7 +105,7 @@ const setupDatabase = async () => {
         console.error('\nTroubleshooting:');
         console.error('1. Make sure MySQL is running');
         console.error('2. Check your .env file has correct DB credentials');
-        console.error('3. Ensure schema.sql exists in database/ folder');
+        console.error('3. Run `npm run migrate:status` to see which migration failed');
         console.error('4. Verify MySQL user has CREATE DATABASE privileges\n');
         process.exit(1);
     } finally {
@@ -19,17 +19,35 @@ const notificationRoutes = require('./routes/notifications.routes');
 const badgeRoutes = require('./routes/badges.routes');
 const contactRoutes = require('./routes/contacts.routes');
 const followRoutes = require('./routes/follows.routes');
+const blockRoutes = require('./routes/blocks.routes');
 const mediaRoutes = require('./routes/media.routes');
 const reactionsRoutes = require('./routes/reactions.routes');
+const searchRoutes = require('./routes/search.routes');
+const moderationRoutes = require('./routes/moderation.routes');
 
 const { errorHandler } = require('./middleware/error.middleware');
 const { authenticateToken } = require('./middleware/auth.middleware');
 const { configureSocket } = require('./config/socket');
 const { initializeSocketIO } = require('./utils/notifications');
+const { attachRealtime } = require('./config/realtime');
 
 const app = express();
 const server = http.createServer(app);
 
+// Behind a reverse proxy or load balancer, trust its X-Forwarded-For so req.ip is the
+// client's address (rate limits and sign-in throttling count per IP). TRUST_PROXY takes
+// a number of proxy hops, true/false, or a list of proxy addresses/subnets; unset trusts none.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY.trim();
+  if (/^\d+$/.test(trustProxy)) {
+    app.set('trust proxy', parseInt(trustProxy));
+  } else if (trustProxy === 'true' || trustProxy === 'false') {
+    app.set('trust proxy', trustProxy === 'true');
+  } else {
+    app.set('trust proxy', trustProxy);
+  }
+}
+
 // Initialize Socket.IO
 const io = new Server(server, {
   cors: {
@@ -121,6 +139,9 @@ app.use('/api/notifications', authenticateToken, notificationRoutes);
 app.use('/api/badges', authenticateToken, badgeRoutes);
 app.use('/api/contacts', authenticateToken, contactRoutes);
 app.use('/api/follows', authenticateToken, followRoutes);
+app.use('/api/blocks', authenticateToken, blockRoutes);
+app.use('/api/search', authenticateToken, searchRoutes);
+app.use('/api/moderation', authenticateToken, moderationRoutes);
 app.use('/api', mediaRoutes);
 app.use('/api', reactionsRoutes);
 
@@ -138,7 +159,8 @@ server.timeout = 60000; // 60 seconds
 server.keepAliveTimeout = 65000; // 65 seconds
 server.headersTimeout = 66000; // 66 seconds
 
-server.listen(PORT, HOST, () => {
+// The real-time backend (in-memory or Redis) has to be ready before sockets connect
+attachRealtime(io).then(() => server.listen(PORT, HOST, () => {
   const networkInterfaces = require('os').networkInterfaces();
   let localIP = 'localhost';
   
@@ -158,6 +180,9 @@ server.listen(PORT, HOST, () => {
   console.log(`📁 Static files served from: ${path.join(__dirname, 'uploads')}`);
   console.log(`🖼️  Test image: http://${localIP}:${PORT}/uploads/profiles/2_1764820020805.jpg`);
   console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}\n`);
+})).catch((error) => {
+  console.error('❌ Failed to start real-time backend:', error.message);
+  process.exit(1);
 });
 
 module.exports = { app, server, io };
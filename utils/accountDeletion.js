@@ -0,0 +1,306 @@
+const { query, transaction } = require('../config/database');
+const { sendEmail } = require('../config/email');
+const { revokeAllTokens } = require('./auth');
+const { disconnectUser } = require('./notifications');
+const { postUploadUrls, removeUploads } = require('./uploads');
+const { sanitizeInput } = require('./validation');
+
+/**
+ * Account deletion.
+ *
+ * Asking to delete an account logs it out everywhere and schedules the deletion after a
+ * grace period; logging back in and cancelling stops it. When the deletion runs, the
+ * Users row is kept as an anonymous "Deleted user" so group messages - which belong to
+ * the group's conversation - stay readable. Everything else the user made is removed,
+ * including their uploaded files. Direct messages they received stay with the sender.
+ */
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+const DELETED_USER_NAME = 'Deleted user';
+
+// Due deletions are picked up this often
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+setInterval(() => {
+    purgeDueAccounts().catch(console.error);
+}, PURGE_INTERVAL_MS).unref();
+
+/**
+ * Schedule an account for deletion and log it out everywhere
+ * @returns {Promise<Date>} When the account will be deleted
+ */
+async function requestDeletion(userId) {
+    await query(
+        `UPDATE Users
+         SET deletion_requested_at = NOW(),
+             deletion_scheduled_for = DATE_ADD(NOW(), INTERVAL ${GRACE_PERIOD_DAYS} DAY)
+         WHERE user_id = ?`,
+        [userId]
+    );
+
+    await revokeAllTokens(userId);
+    disconnectUser(userId);
+
+    const users = await query('SELECT email, name, deletion_scheduled_for FROM Users WHERE user_id = ?', [userId]);
+    const user = users[0];
+    const deletionDate = new Date(user.deletion_scheduled_for).toDateString();
+
+    await sendEmail({
+        to: user.email,
+        subject: 'Your NeighborNet Account Will Be Deleted',
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #4A90E2;">Account Deletion Scheduled</h2>
+                <p>Hi ${sanitizeInput(user.name)},</p>
+                <p>Your account will be permanently deleted on <strong>${deletionDate}</strong>.</p>
+                <p>Changed your mind? Log in and cancel the deletion before then.</p>
+                <p style="color: #999; font-size: 12px;">If you didn't ask for this, log in, cancel the deletion and change your password.</p>
+            </div>
+        `,
+        text: `Your NeighborNet account will be permanently deleted on ${deletionDate}. Log in and cancel the deletion before then to keep it.`
+    });
+
+    return user.deletion_scheduled_for;
+}
+
+/**
+ * Stop a scheduled deletion
+ * @returns {Promise<boolean>} false if no deletion was scheduled
+ */
+async function cancelDeletion(userId) {
+    const result = await query(
+        `UPDATE Users SET deletion_requested_at = NULL, deletion_scheduled_for = NULL
+         WHERE user_id = ? AND deletion_scheduled_for IS NOT NULL AND deleted_at IS NULL`,
+        [userId]
+    );
+    return result.affectedRows === 1;
+}
+
+/**
+ * Hand a group to another member if the departing user is its only admin
+ */
+async function handOverGroups(connection, userId) {
+    const [groups] = await connection.execute(
+        `SELECT gm.group_id
+         FROM GroupMemberships gm
+         WHERE gm.user_id = ? AND gm.role = 'admin' AND gm.status = 'active'
+           AND NOT EXISTS (
+               SELECT 1 FROM GroupMemberships other
+               WHERE other.group_id = gm.group_id AND other.user_id != gm.user_id
+                 AND other.role = 'admin' AND other.status = 'active'
+           )`,
+        [userId]
+    );
+
+    for (const { group_id } of groups) {
+        // Longest-standing moderator first, then longest-standing member
+        await connection.execute(
+            `UPDATE GroupMemberships SET role = 'admin'
+             WHERE group_id = ? AND user_id != ? AND status = 'active'
+             ORDER BY FIELD(role, 'moderator', 'member'), joined_at
+             LIMIT 1`,
+            [group_id, userId]
+        );
+    }
+}
+
+/**
+ * Delete an account now. Runs once: an account that's already deleted is left alone.
+ * @param {number} userId
+ * @param {object} options
+ * @param {boolean} options.onlyIfDue - Only go ahead if the grace period is over
+ * @returns {Promise<boolean>} Whether the account was deleted
+ */
+async function deleteAccount(userId, { onlyIfDue = false } = {}) {
+    const outcome = await transaction(async (connection) => {
+        const [users] = await connection.execute(
+            `SELECT user_id, email, profile_image_url FROM Users
+             WHERE user_id = ? AND deleted_at IS NULL
+               ${onlyIfDue ? 'AND deletion_scheduled_for <= NOW()' : ''}
+             FOR UPDATE`,
+            [userId]
+        );
+        if (users.length === 0) return null;
+
+        const user = users[0];
+        const deletedEmail = `deleted-${userId}@deleted.invalid`;
+
+        const [posts] = await connection.execute(
+            'SELECT post_image, media_urls FROM Posts WHERE user_id = ?',
+            [userId]
+        );
+        const [sentMessages] = await connection.execute(
+            'SELECT media_url FROM DirectMessages WHERE sender_id = ? AND media_url IS NOT NULL',
+            [userId]
+        );
+        const uploadUrls = [
+            user.profile_image_url,
+            ...posts.flatMap(postUploadUrls),
+            ...sentMessages.map(m => m.media_url)
+        ].filter(Boolean);
+
+        // Posts go, taking their comments, likes, polls, events and incident reports with them
+        await connection.execute('DELETE FROM Posts WHERE user_id = ?', [userId]);
+
+        // Likes, comments and reactions on other people's posts
+        await connection.execute(
+            `UPDATE Posts p
+             JOIN Likes l ON l.post_id = p.post_id
+             SET p.likes_count = GREATEST(p.likes_count - 1, 0)
+             WHERE l.user_id = ?`,
+            [userId]
+        );
+        await connection.execute('DELETE FROM Likes WHERE user_id = ?', [userId]);
+
+        await connection.execute(
+            `UPDATE Posts p
+             JOIN (SELECT post_id, COUNT(*) AS removed FROM Comments
+                   WHERE user_id = ? AND is_deleted = FALSE GROUP BY post_id) c ON c.post_id = p.post_id
+             SET p.comments_count = GREATEST(p.comments_count - c.removed, 0)`,
+            [userId]
+        );
+        // Placeholders keep replies from other people in their threads
+        await connection.execute(
+            "UPDATE Comments SET is_deleted = TRUE, content = '' WHERE user_id = ?",
+            [userId]
+        );
+
+        await connection.execute(
+            `UPDATE Comments c
+             JOIN (SELECT comment_id, COUNT(*) AS removed FROM CommentReactions
+                   WHERE user_id = ? GROUP BY comment_id) r ON r.comment_id = c.comment_id
+             SET c.reaction_count = GREATEST(c.reaction_count - r.removed, 0)`,
+            [userId]
+        );
+        await connection.execute('DELETE FROM CommentReactions WHERE user_id = ?', [userId]);
+
+        // Direct messages they sent, and reactions on them
+        await connection.execute(
+            `DELETE mr FROM MessageReactions mr
+             JOIN DirectMessages dm ON mr.message_type = 'dm' AND mr.message_id = dm.message_id
+             WHERE dm.sender_id = ?`,
+            [userId]
+        );
+        await connection.execute('DELETE FROM DirectMessages WHERE sender_id = ?', [userId]);
+        await connection.execute('DELETE FROM MessageReactions WHERE user_id = ?', [userId]);
+
+        // Group messages stay; the user leaves their groups
+        await handOverGroups(connection, userId);
+        const [memberships] = await connection.execute(
+            `SELECT group_id FROM GroupMemberships WHERE user_id = ? AND status = 'active'`,
+            [userId]
+        );
+        await connection.execute(
+            `UPDATE GroupMemberships SET status = 'removed' WHERE user_id = ?`,
+            [userId]
+        );
+        for (const { group_id } of memberships) {
+            await connection.execute(
+                `UPDATE UserGroups
+                 SET member_count = (SELECT COUNT(*) FROM GroupMemberships WHERE group_id = ? AND status = 'active')
+                 WHERE group_id = ?`,
+                [group_id, group_id]
+            );
+        }
+
+        // Events they signed up for
+        await connection.execute(
+            `UPDATE Events e
+             JOIN EventSignups s ON s.event_id = e.event_id
+             SET e.current_attendees = GREATEST(e.current_attendees - 1, 0)
+             WHERE s.user_id = ?`,
+            [userId]
+        );
+
+        const personalTables = [
+            ['EventSignups', 'user_id'],
+            ['RSVPs', 'user_id'],
+            ['PollVotes', 'user_id'],
+            ['Follows', 'follower_id'],
+            ['Follows', 'followed_id'],
+            ['TrustedContacts', 'user_id'],
+            ['TrustedContacts', 'trusted_user_id'],
+            ['UserBadges', 'user_id'],
+            ['Notifications', 'user_id'],
+            ['NotificationTokens', 'user_id'],
+            ['IncidentAlertRecipients', 'user_id'],
+            ['RefreshTokens', 'user_id'],
+            ['Sessions', 'user_id'],
+            ['TwoFactorBackupCodes', 'user_id'],
+            ['LoginChallenges', 'user_id'],
+            ['UserBlocks', 'blocker_id'],
+            ['UserBlocks', 'blocked_id'],
+            ['MessageRequests', 'sender_id'],
+            ['MessageRequests', 'receiver_id'],
+            ['ConversationSettings', 'user_id']
+        ];
+        for (const [table, column] of personalTables) {
+            await connection.execute(`DELETE FROM ${table} WHERE ${column} = ?`, [userId]);
+        }
+
+        // Lockout records stay for the audit trail, without the email address
+        await connection.execute(
+            `DELETE FROM AuthAttempts WHERE scope = 'account' AND identifier = ?`,
+            [user.email]
+        );
+        await connection.execute(
+            `UPDATE AuthLockouts SET identifier = ? WHERE scope = 'account' AND identifier = ?`,
+            [deletedEmail, user.email]
+        );
+
+        // What's left of the user is an anonymous author for the content that stays
+        await connection.execute(
+            `UPDATE Users
+             SET email = ?, username = ?, name = ?, display_name = ?, password_hash = '!',
+                 phone = NULL, age = NULL, occupation = NULL, skills = NULL, interests = NULL, bio = NULL,
+                 address = NULL, street = NULL, latitude = NULL, longitude = NULL, profile_image_url = NULL,
+                 verification_token = NULL, verification_token_expires = NULL,
+                 reset_password_token = NULL, reset_password_expires = NULL,
+                 two_factor_secret = NULL, two_factor_enabled = FALSE, two_factor_enabled_at = NULL,
+                 two_factor_last_step = NULL, two_factor_required = FALSE,
+                 is_moderator = FALSE, profile_visibility = 'private', show_last_seen = FALSE, last_seen_at = NULL,
+                 last_login = NULL, token_version = token_version + 1,
+                 deletion_requested_at = NULL, deletion_scheduled_for = NULL, deleted_at = NOW()
+             WHERE user_id = ?`,
+            [deletedEmail, `deleted_${userId}`, DELETED_USER_NAME, DELETED_USER_NAME, userId]
+        );
+
+        return { uploadUrls };
+    });
+
+    if (!outcome) return false;
+
+    disconnectUser(userId);
+    await removeUploads(userId, outcome.uploadUrls);
+
+    console.log(`🗑️  Deleted account ${userId}`);
+    return true;
+}
+
+/**
+ * Delete every account whose grace period is over
+ * @returns {Promise<number>} How many accounts were deleted
+ */
+async function purgeDueAccounts() {
+    const due = await query(
+        'SELECT user_id FROM Users WHERE deletion_scheduled_for <= NOW() AND deleted_at IS NULL'
+    );
+
+    let deleted = 0;
+    for (const { user_id } of due) {
+        try {
+            if (await deleteAccount(user_id, { onlyIfDue: true })) deleted++;
+        } catch (error) {
+            console.error(`Failed to delete account ${user_id}:`, error);
+        }
+    }
+    return deleted;
+}
+
+module.exports = {
+    GRACE_PERIOD_DAYS,
+    requestDeletion,
+    cancelDeletion,
+    deleteAccount,
+    purgeDueAccounts
+};
@@ -0,0 +1,165 @@
+const { query, transaction } = require('../config/database');
+const { createBulkNotifications, emitToUser } = require('./notifications');
+
+/**
+ * Geo-targeted incident alerts - tells residents near an urgent incident about it.
+ * Residents are matched on their stored home location; the same person is not
+ * alerted twice about the same kind of incident in the same area within a short window.
+ */
+
+// An alert counts as a repeat if a resident got one for the same incident type
+// within this many meters and minutes
+const DEDUP_RADIUS_METERS = parseInt(process.env.ALERT_DEDUP_RADIUS_METERS) || 500;
+const DEDUP_WINDOW_MINUTES = parseInt(process.env.ALERT_DEDUP_WINDOW_MINUTES) || 30;
+
+// Safety cap on recipients for a single alert
+const MAX_ALERT_RECIPIENTS = 2000;
+
+/**
+ * SQL haversine distance in meters between two coordinate expressions
+ */
+function distanceSql(latA, lngA, latB, lngB) {
+    return `(6371000 * acos(LEAST(1,
+                cos(radians(${latA})) * cos(radians(${latB})) *
+                cos(radians(${lngB}) - radians(${lngA})) +
+                sin(radians(${latA})) * sin(radians(${latB}))
+            )))`;
+}
+
+/**
+ * Whether an incident should trigger an alert
+ * @param {object} incident - { post_type, priority, severity }
+ */
+function shouldAlert(incident) {
+    return incident.post_type === 'incident' &&
+        (incident.priority === 'urgent' || incident.severity === 'critical');
+}
+
+/**
+ * Residents to alert: inside the radius, opted in, not the author, and not
+ * already alerted about this kind of incident nearby in the dedup window
+ * @returns {Promise<Array<number>>} User IDs
+ */
+async function findRecipients({ authorId, latitude, longitude, radius, incidentType }) {
+    const rows = await query(
+        `SELECT u.user_id
+         FROM Users u
+         WHERE u.user_id != ?
+           AND u.urgent_alerts_enabled = TRUE
+           AND u.account_status = 'active'
+           AND u.latitude IS NOT NULL
+           AND u.longitude IS NOT NULL
+           AND ${distanceSql('?', '?', 'u.latitude', 'u.longitude')} <= ?
+           AND NOT EXISTS (
+               SELECT 1
+               FROM IncidentAlertRecipients ar
+               JOIN IncidentAlerts a ON ar.alert_id = a.alert_id
+               WHERE ar.user_id = u.user_id
+                 AND a.incident_type = ?
+                 AND a.created_at >= DATE_SUB(NOW(), INTERVAL ${DEDUP_WINDOW_MINUTES} MINUTE)
+                 AND ${distanceSql('a.latitude', 'a.longitude', '?', '?')} <= ${DEDUP_RADIUS_METERS}
+           )
+         LIMIT ${MAX_ALERT_RECIPIENTS}`,
+        [authorId, latitude, longitude, latitude, radius, incidentType, latitude, longitude, latitude]
+    );
+    return rows.map(r => r.user_id);
+}
+
+/**
+ * Alert residents near a new urgent or critical incident
+ * @param {number} postId
+ * @returns {Promise<object|null>} { alert_id, recipients } or null when no alert was sent
+ */
+async function broadcastIncidentAlert(postId) {
+    const rows = await query(
+        `SELECT p.post_id, p.user_id, p.content, p.post_type, p.priority, p.visibility_radius,
+                COALESCE(p.location_lat, u.latitude) AS latitude,
+                COALESCE(p.location_lng, u.longitude) AS longitude,
+                ir.incident_type, ir.severity, ir.location_description
+         FROM Posts p
+         JOIN Users u ON p.user_id = u.user_id
+         JOIN IncidentReports ir ON ir.post_id = p.post_id
+         WHERE p.post_id = ? AND p.status = 'active'`,
+        [postId]
+    );
+
+    const incident = rows[0];
+    if (!incident || !shouldAlert(incident) ||
+        incident.latitude === null || incident.longitude === null) {
+        return null;
+    }
+
+    const latitude = parseFloat(incident.latitude);
+    const longitude = parseFloat(incident.longitude);
+    const radius = incident.visibility_radius;
+
+    const recipients = await findRecipients({
+        authorId: incident.user_id,
+        latitude,
+        longitude,
+        radius,
+        incidentType: incident.incident_type
+    });
+
+    // Every alert is recorded, even when nobody was in range
+    const alertId = await transaction(async (connection) => {
+        const [result] = await connection.execute(
+            `INSERT INTO IncidentAlerts (post_id, incident_type, latitude, longitude, radius, recipient_count)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [postId, incident.incident_type, latitude, longitude, radius, recipients.length]
+        );
+
+        if (recipients.length > 0) {
+            await connection.execute(
+                `INSERT INTO IncidentAlertRecipients (alert_id, user_id)
+                 VALUES ${recipients.map(() => '(?, ?)').join(', ')}`,
+                recipients.flatMap(userId => [result.insertId, userId])
+            );
+        }
+
+        return result.insertId;
+    });
+
+    if (recipients.length === 0) {
+        return { alert_id: alertId, recipients: 0 };
+    }
+
+    const typeLabel = incident.incident_type.replace(/_/g, ' ');
+    const where = incident.location_description ? ` near ${incident.location_description}` : ' near you';
+
+    await createBulkNotifications(recipients, {
+        type: 'alert',
+        title: `Urgent: ${typeLabel}${where}`,
+        content: incident.content.slice(0, 200),
+        related_id: postId,
+        related_type: 'post',
+        priority: 'urgent'
+    });
+
+    // Separate event so clients can show a full-screen alert, not just a notification badge
+    const payload = {
+        alert_id: alertId,
+        post_id: postId,
+        incident_type: incident.incident_type,
+        severity: incident.severity,
+        priority: incident.priority,
+        content: incident.content.slice(0, 200),
+        location_description: incident.location_description,
+        latitude,
+        longitude
+    };
+    for (const userId of recipients) {
+        emitToUser(userId, 'incident_alert', payload);
+    }
+
+    console.log(`🚨 Incident alert for post ${postId} sent to ${recipients.length} resident(s)`);
+
+    return { alert_id: alertId, recipients: recipients.length };
+}
+
+module.exports = {
+    DEDUP_RADIUS_METERS,
+    DEDUP_WINDOW_MINUTES,
+    shouldAlert,
+    broadcastIncidentAlert
+};
@@ -0,0 +1,243 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+const { createSession, touchSession, revokeSession, revokeAllSessions } = require('./sessions');
+
+/**
+ * Authentication tokens, shared by the HTTP middleware and the socket handshake.
+ *
+ * Access tokens are short-lived JWTs carrying { userId, tokenVersion, familyId }.
+ * Refresh tokens are random strings stored hashed in RefreshTokens; each use replaces
+ * the token with a new one. Reusing a replaced token revokes every token in its family.
+ * Bumping Users.token_version kills every access token the user holds.
+ * A token family is one login session (utils/sessions): the family ID is the session ID,
+ * so revoking a session cuts off its access tokens as well as its refresh tokens.
+ */
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_EXPIRY = process.env.JWT_ACCESS_EXPIRY || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+if (!JWT_SECRET) {
+    throw new Error('JWT_SECRET is not set. Add it to your .env file.');
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Account checks shared by every way of authenticating
+ * @returns {object|null} { status, error, ... } when the user may not use the API
+ */
+function checkAccount(user) {
+    // Suspensions without an end date last until a moderator lifts them
+    if (user.account_status === 'suspended' &&
+        (!user.suspended_until || new Date(user.suspended_until) > new Date())) {
+        return { status: 403, error: 'Your account has been suspended.', suspended_until: user.suspended_until };
+    }
+    return null;
+}
+
+/**
+ * Store a new refresh token
+ * @param {Function} execute - (sql, params) => result; `query`, or a wrapper around a transaction connection
+ * @returns {Promise<object>} { token, tokenId }
+ */
+async function storeRefreshToken(execute, userId, familyId) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+    const result = await execute(
+        `INSERT INTO RefreshTokens (user_id, family_id, token_hash, expires_at)
+         VALUES (?, ?, ?, ?)`,
+        [userId, familyId, hashToken(token), expiresAt]
+    );
+
+    return { token, tokenId: result.insertId };
+}
+
+function signAccessToken(userId, tokenVersion, familyId) {
+    return jwt.sign({ userId, tokenVersion, familyId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRY });
+}
+
+/**
+ * Start a session and issue its first access/refresh pair
+ * @param {number} userId
+ * @param {object} device - From sessions.deviceFromRequest
+ * @returns {Promise<object>} { access_token, refresh_token, expires_in, session_id }
+ */
+async function issueTokens(userId, device) {
+    const users = await query('SELECT token_version FROM Users WHERE user_id = ?', [userId]);
+    const familyId = await createSession(userId, device);
+    const { token } = await storeRefreshToken(query, userId, familyId);
+
+    return {
+        access_token: signAccessToken(userId, users[0].token_version, familyId),
+        refresh_token: token,
+        expires_in: ACCESS_TOKEN_EXPIRY,
+        session_id: familyId
+    };
+}
+
+/**
+ * Verify an access token and load its user
+ * @param {string} token
+ * @param {object} options
+ * @param {string} options.ipAddress - Recorded as the session's latest address
+ * @param {boolean} options.allowTwoFactorSetup - Let in accounts that must set up 2FA but haven't yet
+ * @returns {Promise<object>} { user, sessionId } or { status, error }
+ */
+async function verifyAccessToken(token, { ipAddress = null, allowTwoFactorSetup = false } = {}) {
+    if (!token) {
+        return { status: 401, error: 'Access denied. No token provided.' };
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return { status: 401, error: 'Token expired.' };
+        }
+        return { status: 401, error: 'Invalid token.' };
+    }
+
+    const users = await query(
+        `SELECT user_id, email, name, is_moderator, verification_status, account_status, suspended_until, token_version,
+                two_factor_enabled, two_factor_required
+         FROM Users WHERE user_id = ?`,
+        [decoded.userId]
+    );
+
+    if (users.length === 0) {
+        return { status: 401, error: 'Invalid token. User not found.' };
+    }
+
+    const user = users[0];
+    if (decoded.tokenVersion !== user.token_version) {
+        return { status: 401, error: 'Token has been revoked.' };
+    }
+
+    const blocked = checkAccount(user);
+    if (blocked) return blocked;
+
+    if (!(await touchSession(decoded.familyId, ipAddress))) {
+        return { status: 401, error: 'Session has been revoked.' };
+    }
+
+    // A moderator required 2FA for this account: nothing but enrollment until it's on
+    if (user.two_factor_required && !user.two_factor_enabled && !allowTwoFactorSetup) {
+        return {
+            status: 403,
+            error: 'Two-factor authentication must be set up for this account.',
+            two_factor_setup_required: true
+        };
+    }
+
+    delete user.token_version;
+    return { user, sessionId: decoded.familyId };
+}
+
+/**
+ * Trade a refresh token for a new pair. The old refresh token stops working.
+ * @returns {Promise<object>} { access_token, refresh_token, expires_in } or { status, error }
+ */
+async function rotateRefreshToken(refreshToken) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return { status: 400, error: 'refresh_token is required' };
+    }
+
+    let reused = null;
+    const outcome = await transaction(async (connection) => {
+        const execute = async (sql, params) => (await connection.execute(sql, params))[0];
+
+        const [rows] = await connection.execute(
+            `SELECT rt.*, u.token_version, u.account_status, u.suspended_until, s.revoked_at AS session_revoked_at
+             FROM RefreshTokens rt
+             JOIN Users u ON rt.user_id = u.user_id
+             JOIN Sessions s ON rt.family_id = s.session_id
+             WHERE rt.token_hash = ?
+             FOR UPDATE`,
+            [hashToken(refreshToken)]
+        );
+
+        if (rows.length === 0) {
+            return { status: 401, error: 'Invalid refresh token' };
+        }
+
+        const current = rows[0];
+
+        if (current.session_revoked_at) {
+            return { status: 401, error: 'Session has been revoked. Please log in again.' };
+        }
+
+        if (current.revoked_at) {
+            // A replaced token came back - someone else may hold a copy, so end the whole login
+            await connection.execute(
+                'UPDATE RefreshTokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+                [current.family_id]
+            );
+            reused = current;
+            return { status: 401, error: 'Refresh token has already been used. Please log in again.' };
+        }
+
+        if (new Date(current.expires_at) <= new Date()) {
+            return { status: 401, error: 'Refresh token expired. Please log in again.' };
+        }
+
+        const blocked = checkAccount(current);
+        if (blocked) return blocked;
+
+        const { token, tokenId } = await storeRefreshToken(execute, current.user_id, current.family_id);
+        await connection.execute(
+            'UPDATE RefreshTokens SET revoked_at = NOW(), replaced_by_token_id = ? WHERE token_id = ?',
+            [tokenId, current.token_id]
+        );
+
+        return {
+            access_token: signAccessToken(current.user_id, current.token_version, current.family_id),
+            refresh_token: token,
+            expires_in: ACCESS_TOKEN_EXPIRY
+        };
+    });
+
+    // After commit, so the session's access tokens and sockets go too
+    if (reused) {
+        await revokeSession(reused.user_id, reused.family_id);
+    }
+    return outcome;
+}
+
+/**
+ * Log out one login: end the refresh token's session
+ * @returns {Promise<boolean>} Whether the token was found
+ */
+async function revokeRefreshToken(refreshToken) {
+    const rows = await query(
+        'SELECT user_id, family_id FROM RefreshTokens WHERE token_hash = ?',
+        [hashToken(refreshToken)]
+    );
+    if (rows.length === 0) return false;
+
+    await revokeSession(rows[0].user_id, rows[0].family_id);
+    return true;
+}
+
+/**
+ * Log out everywhere: revoke every refresh token and invalidate every access token
+ */
+async function revokeAllTokens(userId) {
+    await query('UPDATE Users SET token_version = token_version + 1 WHERE user_id = ?', [userId]);
+    await query(
+        'UPDATE RefreshTokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+        [userId]
+    );
+    await revokeAllSessions(userId);
+}
+
+module.exports = {
+    issueTokens,
+    verifyAccessToken,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllTokens
+};
@@ -0,0 +1,254 @@
+const { query } = require('../config/database');
+const { sendEmail } = require('../config/email');
+const { sanitizeInput } = require('./validation');
+
+/**
+ * Brute-force protection for the login and account recovery routes.
+ *
+ * Attempts are counted per account (the email sent) and per IP address. After a few
+ * attempts each new one has to wait longer (1s, 2s, 4s ... up to a minute); reaching the
+ * limit locks the account or IP out of that route for a while. The account owner gets an
+ * email when their account is locked, and every lockout is kept in AuthLockouts.
+ *
+ * For /login and /2fa/login only failures count. The recovery routes send email, so every
+ * request counts. Wrong second-factor codes have their own count, so a stolen password
+ * can't be used to open challenge after challenge and guess codes; it also covers the
+ * signed-in routes that ask for a password or code again (replacing backup codes,
+ * turning 2FA off, deleting the account).
+ */
+
+const LOCKOUT_SCOPES = ['account', 'ip'];
+
+const POLICIES = {
+    login: {
+        windowMinutes: 15,
+        lockoutMinutes: 15,
+        limits: { account: { free: 3, lockAt: 10 }, ip: { free: 10, lockAt: 50 } },
+        description: 'failed sign-in attempts'
+    },
+    two_factor: {
+        windowMinutes: 15,
+        lockoutMinutes: 15,
+        limits: { account: { free: 3, lockAt: 10 }, ip: { free: 10, lockAt: 50 } },
+        description: 'wrong two-factor codes'
+    },
+    forgot_password: {
+        windowMinutes: 60,
+        lockoutMinutes: 60,
+        limits: { account: { free: 2, lockAt: 5 }, ip: { free: 5, lockAt: 20 } },
+        description: 'password reset requests'
+    },
+    forgot_username: {
+        windowMinutes: 60,
+        lockoutMinutes: 60,
+        limits: { account: { free: 2, lockAt: 5 }, ip: { free: 5, lockAt: 20 } },
+        description: 'username reminder requests'
+    },
+    resend_verification: {
+        windowMinutes: 60,
+        lockoutMinutes: 60,
+        limits: { account: { free: 2, lockAt: 5 }, ip: { free: 5, lockAt: 20 } },
+        description: 'verification email requests'
+    }
+};
+
+const MAX_DELAY_SECONDS = 60;
+
+// Attempts older than every window are no longer needed
+const ATTEMPT_RETENTION_HOURS = 24;
+
+setInterval(() => {
+    query(`DELETE FROM AuthAttempts WHERE created_at < DATE_SUB(NOW(), INTERVAL ${ATTEMPT_RETENTION_HOURS} HOUR)`)
+        .catch(console.error);
+}, 60 * 60 * 1000).unref();
+
+/**
+ * The account and IP an attempt is counted against
+ * @param {object} subject - { email, ipAddress }
+ * @returns {Array<object>} [{ scope, identifier }]
+ */
+function identifiersFor({ email, ipAddress }) {
+    const identifiers = [];
+    if (email && typeof email === 'string') {
+        identifiers.push({ scope: 'account', identifier: email.trim().toLowerCase().slice(0, 255) });
+    }
+    if (ipAddress) {
+        identifiers.push({ scope: 'ip', identifier: ipAddress });
+    }
+    return identifiers;
+}
+
+const waitMessage = (seconds) => seconds >= 60
+    ? `Too many attempts. Try again in ${Math.ceil(seconds / 60)} minute(s).`
+    : `Too many attempts. Try again in ${seconds} second(s).`;
+
+/**
+ * Whether an attempt may go ahead right now
+ * @param {string} action - A key of POLICIES
+ * @param {object} subject - { email, ipAddress }
+ * @returns {Promise<object|null>} { status, error, retry_after } when it has to wait
+ */
+async function checkThrottle(action, subject) {
+    const policy = POLICIES[action];
+    let retryAfter = 0;
+
+    for (const { scope, identifier } of identifiersFor(subject)) {
+        const lockouts = await query(
+            `SELECT TIMESTAMPDIFF(SECOND, NOW(), MAX(locked_until)) AS seconds_left
+             FROM AuthLockouts
+             WHERE action = ? AND scope = ? AND identifier = ? AND locked_until > NOW()`,
+            [action, scope, identifier]
+        );
+        if (lockouts[0].seconds_left !== null) {
+            retryAfter = Math.max(retryAfter, lockouts[0].seconds_left + 1);
+            continue;
+        }
+
+        const attempts = await query(
+            `SELECT COUNT(*) AS attempts, TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS seconds_since_last
+             FROM AuthAttempts
+             WHERE action = ? AND scope = ? AND identifier = ?
+               AND created_at > DATE_SUB(NOW(), INTERVAL ${policy.windowMinutes} MINUTE)`,
+            [action, scope, identifier]
+        );
+
+        const { attempts: count, seconds_since_last } = attempts[0];
+        const overFree = count - policy.limits[scope].free;
+        if (overFree > 0) {
+            const delay = Math.min(2 ** (overFree - 1), MAX_DELAY_SECONDS);
+            if (seconds_since_last < delay) {
+                retryAfter = Math.max(retryAfter, delay - seconds_since_last);
+            }
+        }
+    }
+
+    if (retryAfter === 0) return null;
+    return { status: 429, error: waitMessage(retryAfter), retry_after: retryAfter };
+}
+
+/**
+ * Tell the account owner their account was locked
+ */
+async function sendLockoutNotice(action, email, lockoutMinutes) {
+    const users = await query('SELECT user_id, email, name FROM Users WHERE email = ?', [email]);
+    if (users.length === 0) return null;
+
+    const user = users[0];
+    const { description } = POLICIES[action];
+
+    await sendEmail({
+        to: user.email,
+        subject: 'NeighborNet Account Temporarily Locked',
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #4A90E2;">Account Temporarily Locked</h2>
+                <p>Hi ${sanitizeInput(user.name)},</p>
+                <p>We saw too many ${description} for your account, so we've paused them for ${lockoutMinutes} minutes.</p>
+                <p>If this was you, wait and try again. If it wasn't, someone may be trying to get into your account -
+                   consider changing your password and turning on two-factor authentication.</p>
+            </div>
+        `,
+        text: `Too many ${description} for your NeighborNet account. They are paused for ${lockoutMinutes} minutes. ` +
+            'If this wasn\'t you, consider changing your password and turning on two-factor authentication.'
+    });
+
+    return user.user_id;
+}
+
+/**
+ * Count an attempt, locking the account or IP out once it reaches the limit
+ * @param {string} action - A key of POLICIES
+ * @param {object} subject - { email, ipAddress }
+ */
+async function recordAttempt(action, subject) {
+    const policy = POLICIES[action];
+
+    for (const { scope, identifier } of identifiersFor(subject)) {
+        await query(
+            'INSERT INTO AuthAttempts (action, scope, identifier) VALUES (?, ?, ?)',
+            [action, scope, identifier]
+        );
+
+        const attempts = await query(
+            `SELECT COUNT(*) AS attempts FROM AuthAttempts
+             WHERE action = ? AND scope = ? AND identifier = ?
+               AND created_at > DATE_SUB(NOW(), INTERVAL ${policy.windowMinutes} MINUTE)`,
+            [action, scope, identifier]
+        );
+        const count = attempts[0].attempts;
+        if (count < policy.limits[scope].lockAt) continue;
+
+        // Start counting from zero once the lockout ends
+        await query(
+            'DELETE FROM AuthAttempts WHERE action = ? AND scope = ? AND identifier = ?',
+            [action, scope, identifier]
+        );
+
+        const userId = scope === 'account'
+            ? await sendLockoutNotice(action, identifier, policy.lockoutMinutes)
+            : null;
+
+        await query(
+            `INSERT INTO AuthLockouts (action, scope, identifier, user_id, ip_address, attempt_count, locked_until)
+             VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ${policy.lockoutMinutes} MINUTE))`,
+            [action, scope, identifier, userId, subject.ipAddress || null, count]
+        );
+
+        console.warn(`🔒 ${scope} ${identifier} locked out of ${action} for ${policy.lockoutMinutes} minutes`);
+    }
+}
+
+/**
+ * Forget an account's failed attempts after it succeeds (the IP's count is kept)
+ */
+async function clearAttempts(action, subject) {
+    const account = identifiersFor({ email: subject.email }).find(i => i.scope === 'account');
+    if (!account) return;
+
+    await query(
+        'DELETE FROM AuthAttempts WHERE action = ? AND scope = ? AND identifier = ?',
+        [action, 'account', account.identifier]
+    );
+}
+
+/**
+ * Lockout audit trail, newest first
+ */
+async function getLockouts({ scope = null, userId = null, limit = 20, offset = 0 }) {
+    const conditions = [];
+    const params = [];
+
+    if (scope) {
+        conditions.push('l.scope = ?');
+        params.push(scope);
+    }
+    if (userId) {
+        conditions.push('l.user_id = ?');
+        params.push(userId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [lockouts, totals] = await Promise.all([
+        query(
+            `SELECT l.*, u.username, u.display_name, (l.locked_until > NOW()) AS is_active
+             FROM AuthLockouts l
+             LEFT JOIN Users u ON l.user_id = u.user_id
+             ${where}
+             ORDER BY l.created_at DESC, l.lockout_id DESC
+             LIMIT ${limit} OFFSET ${offset}`,
+            params
+        ),
+        query(`SELECT COUNT(*) AS total FROM AuthLockouts l ${where}`, params)
+    ]);
+
+    return { lockouts, total: totals[0].total };
+}
+
+module.exports = {
+    LOCKOUT_SCOPES,
+    checkThrottle,
+    recordAttempt,
+    clearAttempts,
+    getLockouts
+};
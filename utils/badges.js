@@ -18,11 +18,11 @@ async function checkAndAwardBadges(userId) {
     const [userStats] = await query(
       `SELECT 
         (SELECT COUNT(*) FROM Posts WHERE user_id = ? AND status = 'active') as post_count,
-        (SELECT COUNT(*) FROM Comments WHERE user_id = ?) as comment_count,
+        (SELECT COUNT(*) FROM Comments WHERE user_id = ? AND is_deleted = FALSE) as comment_count,
         (SELECT COUNT(*) FROM Likes WHERE post_id IN (SELECT post_id FROM Posts WHERE user_id = ?)) as likes_received,
         (SELECT COUNT(*) FROM EventSignups WHERE user_id = ?) as events_attended,
         (SELECT COUNT(*) FROM Events WHERE organizer_id = ?) as events_created,
-        (SELECT COUNT(*) FROM IncidentReports ir JOIN Posts p ON ir.post_id = p.post_id WHERE p.user_id = ?) as incidents_reported,
+        (SELECT COUNT(*) FROM IncidentReports ir JOIN Posts p ON ir.post_id = p.post_id WHERE p.user_id = ? AND ir.verification_status = 'verified') as incidents_reported,
         (SELECT COUNT(*) FROM TrustedContacts WHERE user_id = ? AND status = 'accepted') as trusted_contacts`,
       [userId, userId, userId, userId, userId, userId, userId]
     );
@@ -0,0 +1,131 @@
+const { query, transaction } = require('../config/database');
+const { leavePresenceRoom } = require('./notifications');
+
+/**
+ * Blocking. A block works both ways: neither user can message, follow, invite or
+ * comment on the other, and each drops out of the other's feed, comment threads and
+ * attendee lists. Only the blocker can lift it. The blocked user is never told.
+ */
+
+/**
+ * SQL condition: the user in `column` and `userId` haven't blocked each other
+ * @returns {object} { sql, params }
+ */
+function notBlockedSql(column, userId) {
+    return {
+        sql: `NOT EXISTS (
+                  SELECT 1 FROM UserBlocks ub
+                  WHERE (ub.blocker_id = ? AND ub.blocked_id = ${column})
+                     OR (ub.blocker_id = ${column} AND ub.blocked_id = ?)
+              )`,
+        params: [userId, userId]
+    };
+}
+
+/**
+ * Whether either user has blocked the other
+ * @returns {Promise<boolean>}
+ */
+async function isBlocked(userId, otherUserId) {
+    const rows = await query(
+        `SELECT 1 FROM UserBlocks
+         WHERE (blocker_id = ? AND blocked_id = ?) OR (blocker_id = ? AND blocked_id = ?)
+         LIMIT 1`,
+        [userId, otherUserId, otherUserId, userId]
+    );
+    return rows.length > 0;
+}
+
+/**
+ * Everyone the user has blocked or been blocked by
+ * @returns {Promise<Set>} User IDs
+ */
+async function getBlockedUserIds(userId) {
+    const rows = await query(
+        `SELECT blocked_id AS user_id FROM UserBlocks WHERE blocker_id = ?
+         UNION
+         SELECT blocker_id AS user_id FROM UserBlocks WHERE blocked_id = ?`,
+        [userId, userId]
+    );
+    return new Set(rows.map(row => row.user_id));
+}
+
+/**
+ * Block a user. Follows and trusted contacts between the two end, open group invites
+ * from one to the other are withdrawn, and neither keeps following the other's presence.
+ * @returns {Promise<object>} { status, error } on failure, { blocked: true } on success
+ */
+async function blockUser(blockerId, blockedId) {
+    if (blockerId === blockedId) {
+        return { status: 400, error: 'You cannot block yourself' };
+    }
+
+    const users = await query('SELECT user_id FROM Users WHERE user_id = ? AND deleted_at IS NULL', [blockedId]);
+    if (users.length === 0) {
+        return { status: 404, error: 'User not found' };
+    }
+
+    await transaction(async (connection) => {
+        await connection.execute(
+            'INSERT IGNORE INTO UserBlocks (blocker_id, blocked_id) VALUES (?, ?)',
+            [blockerId, blockedId]
+        );
+        await connection.execute(
+            `DELETE FROM Follows
+             WHERE (follower_id = ? AND followed_id = ?) OR (follower_id = ? AND followed_id = ?)`,
+            [blockerId, blockedId, blockedId, blockerId]
+        );
+        await connection.execute(
+            `DELETE FROM TrustedContacts
+             WHERE (user_id = ? AND trusted_user_id = ?) OR (user_id = ? AND trusted_user_id = ?)`,
+            [blockerId, blockedId, blockedId, blockerId]
+        );
+        await connection.execute(
+            `UPDATE GroupMemberships SET status = 'rejected', invite_id = NULL
+             WHERE status = 'invited'
+               AND ((user_id = ? AND invited_by = ?) OR (user_id = ? AND invited_by = ?))`,
+            [blockerId, blockedId, blockedId, blockerId]
+        );
+    });
+
+    leavePresenceRoom(blockerId, blockedId);
+    leavePresenceRoom(blockedId, blockerId);
+
+    return { blocked: true };
+}
+
+/**
+ * Lift a block the user made
+ * @returns {Promise<boolean>} false if they hadn't blocked that user
+ */
+async function unblockUser(blockerId, blockedId) {
+    const result = await query(
+        'DELETE FROM UserBlocks WHERE blocker_id = ? AND blocked_id = ?',
+        [blockerId, blockedId]
+    );
+    return result.affectedRows === 1;
+}
+
+/**
+ * The people a user has blocked, most recent first
+ * @returns {Promise<Array>}
+ */
+async function listBlockedUsers(userId) {
+    return query(
+        `SELECT u.user_id, u.username, u.display_name, u.profile_image_url, ub.created_at AS blocked_at
+         FROM UserBlocks ub
+         JOIN Users u ON ub.blocked_id = u.user_id
+         WHERE ub.blocker_id = ?
+         ORDER BY ub.created_at DESC`,
+        [userId]
+    );
+}
+
+module.exports = {
+    notBlockedSql,
+    isBlocked,
+    getBlockedUserIds,
+    blockUser,
+    unblockUser,
+    listBlockedUsers
+};
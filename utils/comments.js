@@ -0,0 +1,204 @@
+const { query, inPlaceholders } = require('../config/database');
+const { applyProfileVisibility } = require('./profileVisibility');
+const { notBlockedSql } = require('./blocks');
+
+/**
+ * Threaded comments - paging through a post's comments (or a comment's replies)
+ * and shaping them for the API.
+ */
+
+const COMMENT_SORTS = ['oldest', 'newest', 'top'];
+
+// Fields each sort's cursor must carry, and what kind of value each holds
+const COMMENT_CURSOR_FIELDS = {
+    oldest: { created_at: 'date', comment_id: 'integer' },
+    newest: { created_at: 'date', comment_id: 'integer' },
+    top: { score: 'integer', comment_id: 'integer' }
+};
+
+/**
+ * Keyset condition, order and next cursor for each sort.
+ * "top" orders by reactions + replies, which are kept on the Comments row.
+ */
+const SORT_STRATEGIES = {
+    oldest: {
+        after: (cursor) => ({
+            sql: '(c.created_at > ? OR (c.created_at = ? AND c.comment_id > ?))',
+            params: [new Date(cursor.created_at), new Date(cursor.created_at), parseInt(cursor.comment_id)]
+        }),
+        orderBy: 'c.created_at ASC, c.comment_id ASC',
+        cursorFor: (row) => ({
+            sort: 'oldest',
+            created_at: new Date(row.created_at).toISOString(),
+            comment_id: row.comment_id
+        })
+    },
+    newest: {
+        after: (cursor) => ({
+            sql: '(c.created_at < ? OR (c.created_at = ? AND c.comment_id < ?))',
+            params: [new Date(cursor.created_at), new Date(cursor.created_at), parseInt(cursor.comment_id)]
+        }),
+        orderBy: 'c.created_at DESC, c.comment_id DESC',
+        cursorFor: (row) => ({
+            sort: 'newest',
+            created_at: new Date(row.created_at).toISOString(),
+            comment_id: row.comment_id
+        })
+    },
+    top: {
+        after: (cursor) => ({
+            sql: `((c.reaction_count + c.reply_count) < ?
+                   OR ((c.reaction_count + c.reply_count) = ? AND c.comment_id < ?))`,
+            params: [parseInt(cursor.score), parseInt(cursor.score), parseInt(cursor.comment_id)]
+        }),
+        orderBy: '(c.reaction_count + c.reply_count) DESC, c.comment_id DESC',
+        cursorFor: (row) => ({
+            sort: 'top',
+            score: row.reaction_count + row.reply_count,
+            comment_id: row.comment_id
+        })
+    }
+};
+
+/**
+ * Fetch one page of comments at one level of a thread
+ * @param {object} options
+ * @param {number} options.postId
+ * @param {number|null} options.parentId - null for top-level comments, otherwise the comment whose replies to list
+ * @param {string} options.sort - One of COMMENT_SORTS
+ * @param {object|null} options.cursor - Decoded cursor from the previous page
+ * @param {number} options.limit
+ * @param {number|null} options.viewerId - Leaves out comments by people the viewer has blocked or been blocked by
+ * @returns {Promise<object>} { comments, nextCursor }
+ */
+async function fetchCommentPage({ postId, parentId = null, sort = 'oldest', cursor = null, limit, viewerId = null }) {
+    const strategy = SORT_STRATEGIES[sort];
+
+    const conditions = ['c.post_id = ?', 'c.is_hidden = FALSE'];
+    const params = [postId];
+
+    if (parentId === null) {
+        conditions.push('c.parent_comment_id IS NULL');
+    } else {
+        conditions.push('c.parent_comment_id = ?');
+        params.push(parentId);
+    }
+
+    if (viewerId) {
+        const notBlocked = notBlockedSql('c.user_id', viewerId);
+        conditions.push(notBlocked.sql);
+        params.push(...notBlocked.params);
+    }
+
+    if (cursor) {
+        const after = strategy.after(cursor);
+        conditions.push(after.sql);
+        params.push(...after.params);
+    }
+
+    const rows = await query(
+        `SELECT c.*, u.name AS author_name, u.display_name, u.profile_image_url AS author_image
+         FROM Comments c
+         JOIN Users u ON c.user_id = u.user_id
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY ${strategy.orderBy}
+         LIMIT ${limit + 1}`,
+        params
+    );
+
+    const hasMore = rows.length > limit;
+    const comments = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+        comments,
+        nextCursor: hasMore ? strategy.cursorFor(comments[comments.length - 1]) : null
+    };
+}
+
+/**
+ * Summarize reactions for a set of comments
+ * @returns {Promise<Map>} commentId -> [{ emoji, count, reacted }]
+ */
+async function loadCommentReactions(commentIds, viewerId = null) {
+    if (commentIds.length === 0) return new Map();
+
+    const rows = await query(
+        `SELECT comment_id, emoji, COUNT(*) AS count, MAX(user_id = ?) AS reacted
+         FROM CommentReactions
+         WHERE comment_id IN (${inPlaceholders(commentIds)})
+         GROUP BY comment_id, emoji
+         ORDER BY comment_id, count DESC, MIN(created_at)`,
+        [viewerId, ...commentIds]
+    );
+
+    const reactionsByComment = new Map();
+    for (const row of rows) {
+        if (!reactionsByComment.has(row.comment_id)) {
+            reactionsByComment.set(row.comment_id, []);
+        }
+        reactionsByComment.get(row.comment_id).push({
+            emoji: row.emoji,
+            count: row.count,
+            reacted: !!row.reacted
+        });
+    }
+    return reactionsByComment;
+}
+
+/**
+ * Shape comment rows (from fetchCommentPage or getComment) for the API.
+ * Deleted comments that still have replies keep their place in the thread without content.
+ * @param {Array} comments
+ * @param {number} viewerId - For the `reacted` flag on reactions and the authors' profile visibility
+ * @returns {Promise<Array>}
+ */
+async function hydrateComments(comments, viewerId = null) {
+    if (!comments || comments.length === 0) return [];
+
+    const reactionsByComment = await loadCommentReactions(comments.map(c => c.comment_id), viewerId);
+    await applyProfileVisibility(viewerId, comments, { fields: { name: 'author_name' } });
+
+    return comments.map(comment => {
+        const deleted = !!comment.is_deleted;
+
+        return {
+            comment_id: comment.comment_id,
+            post_id: comment.post_id,
+            parent_comment_id: comment.parent_comment_id,
+            content: deleted ? null : comment.content,
+            is_deleted: deleted,
+            created_at: comment.created_at,
+            user_id: deleted ? null : comment.user_id,
+            author_name: deleted ? null : comment.author_name,
+            display_name: deleted ? null : comment.display_name,
+            author_image: deleted ? null : comment.author_image,
+            reply_count: comment.reply_count,
+            reaction_count: comment.reaction_count,
+            reactions: reactionsByComment.get(comment.comment_id) || []
+        };
+    });
+}
+
+/**
+ * Load a single comment with its author
+ * @returns {Promise<object|null>} Comment row or null
+ */
+async function getComment(commentId) {
+    const rows = await query(
+        `SELECT c.*, u.name AS author_name, u.display_name, u.profile_image_url AS author_image
+         FROM Comments c
+         JOIN Users u ON c.user_id = u.user_id
+         WHERE c.comment_id = ?`,
+        [commentId]
+    );
+    return rows[0] || null;
+}
+
+module.exports = {
+    COMMENT_SORTS,
+    COMMENT_CURSOR_FIELDS,
+    fetchCommentPage,
+    loadCommentReactions,
+    hydrateComments,
+    getComment
+};
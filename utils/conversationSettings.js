@@ -0,0 +1,158 @@
+const { query, inPlaceholders } = require('../config/database');
+
+/**
+ * Per-user conversation settings for DMs and groups: archived, muted until a time, and
+ * pinned position. Each user's settings only change their own lists and notifications.
+ * A DM conversation is identified by the other user's ID, a group by its group ID.
+ */
+
+const CONVERSATION_TYPES = ['dm', 'group'];
+
+/**
+ * Shape a ConversationSettings row (or its absence) for the API
+ */
+function formatSettings(row) {
+    const mutedUntil = row?.muted_until ? new Date(row.muted_until) : null;
+    const isMuted = !!mutedUntil && mutedUntil > new Date();
+    return {
+        archived: !!row?.archived_at,
+        archived_at: row?.archived_at || null,
+        muted_until: isMuted ? mutedUntil : null,
+        is_muted: isMuted,
+        pin_order: row?.pin_order ?? null
+    };
+}
+
+/**
+ * Settings for several conversations of one type
+ * @returns {Promise<Map>} conversationId -> settings; conversations with none get the defaults
+ */
+async function getConversationSettings(userId, type, conversationIds) {
+    const settings = new Map(conversationIds.map(id => [id, formatSettings(null)]));
+    if (conversationIds.length === 0) return settings;
+
+    const rows = await query(
+        `SELECT * FROM ConversationSettings
+         WHERE user_id = ? AND conversation_type = ? AND conversation_id IN (${inPlaceholders(conversationIds)})`,
+        [userId, type, ...conversationIds]
+    );
+    for (const row of rows) {
+        settings.set(row.conversation_id, formatSettings(row));
+    }
+    return settings;
+}
+
+/**
+ * Change a user's settings for one conversation. Fields left out stay as they are.
+ * @param {object} changes - archived (boolean), muted_until (timestamp, or null to unmute),
+ *   pin_order (positive integer, or null to unpin)
+ * @returns {Promise<object>} { status, error } on failure, { settings } on success
+ */
+async function updateConversationSettings(userId, type, conversationId, changes) {
+    const { archived, muted_until, pin_order } = changes || {};
+    const columns = {};
+
+    if (archived !== undefined) {
+        if (typeof archived !== 'boolean') {
+            return { status: 400, error: 'archived must be true or false' };
+        }
+        columns.archived_at = archived ? new Date() : null;
+    }
+
+    if (muted_until !== undefined) {
+        if (muted_until === null) {
+            columns.muted_until = null;
+        } else {
+            const until = new Date(muted_until);
+            if (isNaN(until.getTime())) {
+                return { status: 400, error: 'Invalid muted_until date' };
+            }
+            if (until <= new Date()) {
+                return { status: 400, error: 'muted_until must be in the future' };
+            }
+            columns.muted_until = until;
+        }
+    }
+
+    if (pin_order !== undefined) {
+        if (pin_order !== null && (!Number.isInteger(pin_order) || pin_order < 1)) {
+            return { status: 400, error: 'pin_order must be a positive whole number, or null to unpin' };
+        }
+        columns.pin_order = pin_order;
+    }
+
+    const names = Object.keys(columns);
+    if (names.length === 0) {
+        return { status: 400, error: 'Nothing to update' };
+    }
+
+    await query(
+        `INSERT INTO ConversationSettings (user_id, conversation_type, conversation_id, ${names.join(', ')})
+         VALUES (?, ?, ?, ${inPlaceholders(names)})
+         ON DUPLICATE KEY UPDATE ${names.map(name => `${name} = VALUES(${name})`).join(', ')}`,
+        [userId, type, conversationId, ...names.map(name => columns[name])]
+    );
+
+    const settings = await getConversationSettings(userId, type, [conversationId]);
+    return { settings: settings.get(conversationId) };
+}
+
+/**
+ * Attach settings to a list of conversations and apply them: archived conversations are
+ * only listed when asked for, and pinned ones go first in pin order. Otherwise the list
+ * keeps its order.
+ * @param {Array<object>} conversations
+ * @param {Map} settings - From getConversationSettings
+ * @param {function} idOf - Conversation ID of a list item
+ * @param {boolean} archived - List archived conversations instead of the rest
+ * @returns {Array<object>}
+ */
+function organizeConversations(conversations, settings, idOf, archived = false) {
+    const listed = conversations
+        .map(conversation => ({ ...conversation, settings: settings.get(idOf(conversation)) || formatSettings(null) }))
+        .filter(conversation => conversation.settings.archived === archived);
+
+    const pinned = listed
+        .filter(conversation => conversation.settings.pin_order !== null)
+        .sort((a, b) => a.settings.pin_order - b.settings.pin_order);
+    const rest = listed.filter(conversation => conversation.settings.pin_order === null);
+
+    return [...pinned, ...rest];
+}
+
+/**
+ * Whether a user has muted a conversation right now
+ * @returns {Promise<boolean>}
+ */
+async function isConversationMuted(userId, type, conversationId) {
+    const rows = await query(
+        `SELECT 1 FROM ConversationSettings
+         WHERE user_id = ? AND conversation_type = ? AND conversation_id = ? AND muted_until > NOW()`,
+        [userId, type, conversationId]
+    );
+    return rows.length > 0;
+}
+
+/**
+ * SQL condition: the user in `userColumn` hasn't muted the conversation right now
+ * @returns {object} { sql, params }
+ */
+function notMutedSql(userColumn, type, conversationId) {
+    return {
+        sql: `NOT EXISTS (
+                  SELECT 1 FROM ConversationSettings cs
+                  WHERE cs.user_id = ${userColumn} AND cs.conversation_type = ?
+                    AND cs.conversation_id = ? AND cs.muted_until > NOW()
+              )`,
+        params: [type, conversationId]
+    };
+}
+
+module.exports = {
+    CONVERSATION_TYPES,
+    getConversationSettings,
+    updateConversationSettings,
+    organizeConversations,
+    isConversationMuted,
+    notMutedSql
+};
@@ -0,0 +1,177 @@
+const path = require('path');
+const archiver = require('archiver');
+const { query } = require('../config/database');
+const { ownedUploads, postUploadUrls } = require('./uploads');
+
+/**
+ * Personal data export: everything a user has put into NeighborNet, as a zip with
+ * data.json plus the files they uploaded under uploads/.
+ */
+
+// Columns that are credentials, not personal data
+const SECRET_USER_COLUMNS = [
+    'password_hash',
+    'verification_token',
+    'verification_token_expires',
+    'reset_password_token',
+    'reset_password_expires',
+    'token_version',
+    'two_factor_secret',
+    'two_factor_last_step'
+];
+
+/**
+ * Collect a user's data
+ * @returns {Promise<object>} { data, uploadUrls }
+ */
+async function collectUserData(userId) {
+    const users = await query('SELECT * FROM Users WHERE user_id = ?', [userId]);
+    const profile = users[0];
+    SECRET_USER_COLUMNS.forEach(column => delete profile[column]);
+
+    const [
+        posts, comments, directMessages, groupMessages, groupMemberships,
+        rsvps, eventSignups, badges, trustedContacts, following, followers, blocked
+    ] = await Promise.all([
+        query('SELECT * FROM Posts WHERE user_id = ? ORDER BY created_at', [userId]),
+        query(
+            `SELECT comment_id, post_id, parent_comment_id, content, created_at
+             FROM Comments WHERE user_id = ? AND is_deleted = FALSE ORDER BY created_at`,
+            [userId]
+        ),
+        query(
+            `SELECT dm.message_id, dm.sender_id, s.username AS sender_username, dm.receiver_id, r.username AS receiver_username,
+                    dm.content, dm.media_url, dm.media_type, dm.caption, dm.is_edited, dm.reply_to_message_id, dm.created_at
+             FROM DirectMessages dm
+             JOIN Users s ON dm.sender_id = s.user_id
+             JOIN Users r ON dm.receiver_id = r.user_id
+             WHERE dm.sender_id = ? OR dm.receiver_id = ?
+             ORDER BY dm.created_at`,
+            [userId, userId]
+        ),
+        query(
+            `SELECT cm.message_id, cm.group_id, g.name AS group_name, cm.content, cm.message_type, cm.media_url,
+                    cm.media_type, cm.caption, cm.is_edited, cm.reply_to_message_id, cm.created_at
+             FROM ChatMessages cm
+             JOIN UserGroups g ON cm.group_id = g.group_id
+             WHERE cm.user_id = ?
+             ORDER BY cm.created_at`,
+            [userId]
+        ),
+        query(
+            `SELECT gm.group_id, g.name AS group_name, gm.role, gm.status, gm.joined_at
+             FROM GroupMemberships gm
+             JOIN UserGroups g ON gm.group_id = g.group_id
+             WHERE gm.user_id = ?`,
+            [userId]
+        ),
+        query(
+            `SELECT r.event_id, e.title, e.event_date, r.status, r.created_at
+             FROM RSVPs r JOIN Events e ON r.event_id = e.event_id
+             WHERE r.user_id = ?`,
+            [userId]
+        ),
+        query(
+            `SELECT s.event_id, e.title, e.event_date, s.signed_up_at
+             FROM EventSignups s JOIN Events e ON s.event_id = e.event_id
+             WHERE s.user_id = ?`,
+            [userId]
+        ),
+        query(
+            `SELECT b.name, b.description, b.tier, ub.earned_at
+             FROM UserBadges ub JOIN Badges b ON ub.badge_id = b.badge_id
+             WHERE ub.user_id = ?`,
+            [userId]
+        ),
+        query(
+            `SELECT tc.user_id, tc.trusted_user_id, u.username AS trusted_username, tc.status, tc.created_at
+             FROM TrustedContacts tc
+             JOIN Users u ON u.user_id = IF(tc.user_id = ?, tc.trusted_user_id, tc.user_id)
+             WHERE tc.user_id = ? OR tc.trusted_user_id = ?`,
+            [userId, userId, userId]
+        ),
+        query(
+            `SELECT u.user_id, u.username, f.created_at
+             FROM Follows f JOIN Users u ON f.followed_id = u.user_id
+             WHERE f.follower_id = ?`,
+            [userId]
+        ),
+        query(
+            `SELECT u.user_id, u.username, f.created_at
+             FROM Follows f JOIN Users u ON f.follower_id = u.user_id
+             WHERE f.followed_id = ?`,
+            [userId]
+        ),
+        query(
+            `SELECT u.user_id, u.username, ub.created_at
+             FROM UserBlocks ub JOIN Users u ON ub.blocked_id = u.user_id
+             WHERE ub.blocker_id = ?`,
+            [userId]
+        )
+    ]);
+
+    const uploadUrls = [
+        profile.profile_image_url,
+        ...posts.flatMap(postUploadUrls),
+        ...directMessages.filter(m => m.sender_id === userId).map(m => m.media_url),
+        ...groupMessages.map(m => m.media_url)
+    ].filter(Boolean);
+
+    return {
+        data: {
+            exported_at: new Date().toISOString(),
+            profile,
+            posts,
+            comments,
+            direct_messages: directMessages,
+            group_messages: groupMessages,
+            group_memberships: groupMemberships,
+            rsvps,
+            event_signups: eventSignups,
+            badges,
+            contacts: {
+                trusted_contacts: trustedContacts,
+                following,
+                followers,
+                blocked
+            }
+        },
+        uploadUrls
+    };
+}
+
+/**
+ * Write a user's export as a zip
+ * @param {number} userId
+ * @param {object} output - Writable stream, e.g. the response
+ */
+async function streamUserExport(userId, output) {
+    const { data, uploadUrls } = await collectUserData(userId);
+
+    const files = await ownedUploads(userId, uploadUrls);
+
+    await new Promise((resolve, reject) => {
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        archive.on('warning', (error) => console.error('Export warning:', error.message));
+        // Part of the zip may already be sent, so the download can only be cut off
+        archive.on('error', (error) => {
+            output.destroy(error);
+            reject(error);
+        });
+        archive.on('end', resolve);
+        archive.pipe(output);
+
+        archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+        for (const filePath of files) {
+            archive.file(filePath, { name: `uploads/${path.basename(filePath)}` });
+        }
+
+        archive.finalize().catch(reject);
+    });
+}
+
+module.exports = {
+    SECRET_USER_COLUMNS,
+    collectUserData,
+    streamUserExport
+};
@@ -0,0 +1,160 @@
+const { query } = require('../config/database');
+const { createNotification, emitToUser } = require('./notifications');
+const { validateDirectMessage } = require('./validation');
+const { isBlocked } = require('./blocks');
+const { openMessageRequest } = require('./messageRequests');
+
+/**
+ * Direct messages - sending, and pushing changes to both participants in real time.
+ * Used by the REST routes and the socket `send_direct_message` handler.
+ * First messages from strangers go through utils/messageRequests.
+ */
+
+/**
+ * Load a direct message with sender and reply-to details
+ * @returns {Promise<object|null>}
+ */
+async function getDirectMessage(messageId) {
+    const rows = await query(
+        `SELECT dm.*,
+                u.display_name as sender_name,
+                u.username as sender_username,
+                u.profile_image_url as sender_image,
+                ru.display_name as reply_to_sender_name,
+                ru.username as reply_to_sender_username
+         FROM DirectMessages dm
+         INNER JOIN Users u ON dm.sender_id = u.user_id
+         LEFT JOIN Users ru ON dm.reply_to_sender_id = ru.user_id
+         WHERE dm.message_id = ?`,
+        [messageId]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * All reactions on a direct message, oldest first
+ */
+async function getDirectMessageReactions(messageId) {
+    return query(
+        `SELECT mr.*, u.username, u.display_name, u.profile_image_url
+         FROM MessageReactions mr
+         JOIN Users u ON mr.user_id = u.user_id
+         WHERE mr.message_id = ? AND mr.message_type = 'dm'
+         ORDER BY mr.created_at`,
+        [messageId]
+    );
+}
+
+/**
+ * Emit an event to the sender and receiver of a message
+ * @param {object} message - Needs sender_id and receiver_id
+ */
+function emitToParticipants(message, event, payload) {
+    emitToUser(message.sender_id, event, payload);
+    if (message.receiver_id !== message.sender_id) {
+        emitToUser(message.receiver_id, event, payload);
+    }
+}
+
+/**
+ * Send a direct message, notify the receiver and push it to both participants
+ * @param {object} options
+ * @param {number} options.senderId
+ * @param {object} options.data - receiver_id, content, and optional media_url, media_type,
+ *   media_size, thumbnail_url, duration, caption, reply_to_message_id
+ * @returns {Promise<object>} { status, error } on failure, { message } on success;
+ *   message.is_request is true when it opened a message request
+ */
+async function sendDirectMessage({ senderId, data }) {
+    const {
+        receiver_id, content, media_url, media_type, media_size,
+        thumbnail_url, duration, caption, reply_to_message_id
+    } = data || {};
+
+    const validation = validateDirectMessage({ receiver_id, content });
+    if (!validation.isValid) {
+        return { status: 400, error: validation.errors.join(', ') };
+    }
+
+    if (senderId === receiver_id) {
+        return { status: 400, error: 'Cannot send message to yourself' };
+    }
+
+    const receiver = await query('SELECT user_id FROM Users WHERE user_id = ? AND deleted_at IS NULL', [receiver_id]);
+    if (receiver.length === 0) {
+        return { status: 404, error: 'Receiver not found' };
+    }
+
+    if (await isBlocked(senderId, receiver_id)) {
+        return { status: 403, error: 'You cannot message this user' };
+    }
+
+    const request = await openMessageRequest(senderId, receiver_id);
+    if (request.error) {
+        return { status: request.status, error: request.error };
+    }
+
+    // If replying to a message, keep a copy of the original in case it is deleted later
+    let replyToContent = null;
+    let replyToSenderId = null;
+    if (reply_to_message_id) {
+        const original = await query(
+            `SELECT content, sender_id FROM DirectMessages
+             WHERE message_id = ? AND (sender_id = ? OR receiver_id = ?)`,
+            [reply_to_message_id, senderId, senderId]
+        );
+        if (original.length > 0) {
+            replyToContent = original[0].content;
+            replyToSenderId = original[0].sender_id;
+        }
+    }
+
+    const result = await query(
+        `INSERT INTO DirectMessages (sender_id, receiver_id, content, media_url, media_type, media_size, thumbnail_url, duration, caption, reply_to_message_id, reply_to_content, reply_to_sender_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            senderId, receiver_id, content, media_url || null, media_type || null, media_size || null,
+            thumbnail_url || null, duration || null, caption || null, reply_to_message_id || null,
+            replyToContent, replyToSenderId
+        ]
+    );
+
+    const message = await getDirectMessage(result.insertId);
+    message.is_request = request.isRequest;
+
+    if (request.isRequest) {
+        // The receiver gets it in their requests folder, not as a regular message
+        emitToUser(senderId, 'direct_message', { message });
+        emitToUser(receiver_id, 'message_request', { message });
+
+        await createNotification({
+            user_id: receiver_id,
+            type: 'message',
+            title: 'New Message Request',
+            content: `${message.sender_name} wants to send you a message`,
+            related_id: senderId,
+            related_type: 'user'
+        });
+    } else {
+        // Sent to the sender too so their other screens stay in sync
+        emitToParticipants(message, 'direct_message', { message });
+
+        await createNotification({
+            user_id: receiver_id,
+            type: 'message',
+            title: 'New Message',
+            content: content.slice(0, 100),
+            related_id: senderId,
+            related_type: 'user'
+        });
+    }
+
+    return { message };
+}
+
+module.exports = {
+    getDirectMessage,
+    getDirectMessageReactions,
+    emitToParticipants,
+    sendDirectMessage
+};
@@ -0,0 +1,161 @@
+const { query, inPlaceholders } = require('../config/database');
+const { emitToGroup } = require('./notifications');
+
+/**
+ * Group chat read state - every member has their own read cursor
+ * (GroupMemberships.last_read_message_id). Messages after the cursor are unread
+ * for that member; a message is "seen" by every other member whose cursor has reached it.
+ */
+
+/**
+ * Unread count for the membership aliased `gm`, for use inside a SELECT
+ */
+const UNREAD_COUNT_SQL = `(SELECT COUNT(*) FROM ChatMessages cm_unread
+      WHERE cm_unread.group_id = gm.group_id
+        AND cm_unread.user_id != gm.user_id
+        AND cm_unread.is_hidden = FALSE
+        AND cm_unread.message_id > COALESCE(gm.last_read_message_id, 0))`;
+
+/**
+ * The group's newest message, for use as the read cursor of a membership that just
+ * became active so a new or returning member starts with nothing unread. Takes the group ID.
+ */
+const LATEST_MESSAGE_ID_SQL = '(SELECT MAX(message_id) FROM ChatMessages WHERE group_id = ?)';
+
+/**
+ * Active membership of a user in a group
+ * @returns {Promise<object|null>}
+ */
+async function getActiveMembership(groupId, userId) {
+    const rows = await query(
+        `SELECT * FROM GroupMemberships
+         WHERE group_id = ? AND user_id = ? AND status = 'active'`,
+        [groupId, userId]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Unread messages for a member
+ */
+async function getGroupUnreadCount(groupId, userId) {
+    const rows = await query(
+        `SELECT ${UNREAD_COUNT_SQL} AS unread
+         FROM GroupMemberships gm
+         WHERE gm.group_id = ? AND gm.user_id = ?`,
+        [groupId, userId]
+    );
+    return rows.length > 0 ? rows[0].unread : 0;
+}
+
+/**
+ * Move a member's read cursor forward and tell the other members.
+ * The cursor never moves backwards, so reading older pages doesn't mark newer messages unread.
+ * @param {object} options
+ * @param {number} options.groupId
+ * @param {number} options.userId
+ * @param {number|null} options.messageId - Last message read; defaults to the latest message in the group
+ * @returns {Promise<object>} { status, error } on failure, { last_read_message_id, unread } on success
+ */
+async function markGroupRead({ groupId, userId, messageId = null }) {
+    const membership = await getActiveMembership(groupId, userId);
+    if (!membership) {
+        return { status: 403, error: 'Not a member of this group' };
+    }
+
+    let targetId;
+    if (messageId) {
+        const rows = await query(
+            'SELECT message_id FROM ChatMessages WHERE message_id = ? AND group_id = ?',
+            [messageId, groupId]
+        );
+        if (rows.length === 0) {
+            return { status: 404, error: 'Message not found' };
+        }
+        targetId = rows[0].message_id;
+    } else {
+        const rows = await query(
+            'SELECT MAX(message_id) AS latest FROM ChatMessages WHERE group_id = ?',
+            [groupId]
+        );
+        targetId = rows[0].latest;
+    }
+
+    const previousId = membership.last_read_message_id || 0;
+
+    if (targetId && targetId > previousId) {
+        await query(
+            `UPDATE GroupMemberships
+             SET last_read_message_id = GREATEST(COALESCE(last_read_message_id, 0), ?),
+                 last_read_at = CURRENT_TIMESTAMP
+             WHERE membership_id = ?`,
+            [targetId, membership.membership_id]
+        );
+
+        emitToGroup(groupId, 'group_read', { group_id: groupId, user_id: userId, last_read_message_id: targetId });
+    }
+
+    return {
+        last_read_message_id: Math.max(targetId || 0, previousId) || null,
+        unread: await getGroupUnreadCount(groupId, userId)
+    };
+}
+
+/**
+ * Add `seen_by_count` to group messages: how many other active members have read each one
+ * @param {Array} messages - ChatMessages rows from a single group
+ * @returns {Promise<Array>}
+ */
+async function attachReadReceipts(messages) {
+    if (messages.length === 0) return messages;
+
+    const messageIds = messages.map(m => m.message_id);
+    const rows = await query(
+        `SELECT cm.message_id, COUNT(gm.user_id) AS seen_by_count
+         FROM ChatMessages cm
+         JOIN GroupMemberships gm
+           ON gm.group_id = cm.group_id
+          AND gm.status = 'active'
+          AND gm.user_id != cm.user_id
+          AND gm.last_read_message_id >= cm.message_id
+         WHERE cm.message_id IN (${inPlaceholders(messageIds)})
+         GROUP BY cm.message_id`,
+        messageIds
+    );
+
+    const seenBy = new Map(rows.map(r => [r.message_id, r.seen_by_count]));
+    return messages.map(m => ({ ...m, seen_by_count: seenBy.get(m.message_id) || 0 }));
+}
+
+/**
+ * Members who have read a message, most recent readers first
+ * @returns {Promise<Array|null>} null when the message isn't in the group
+ */
+async function getReadReceipts(groupId, messageId) {
+    const messages = await query(
+        'SELECT message_id, user_id FROM ChatMessages WHERE message_id = ? AND group_id = ?',
+        [messageId, groupId]
+    );
+    if (messages.length === 0) return null;
+
+    return query(
+        `SELECT u.user_id, u.display_name, u.username, u.profile_image_url, gm.last_read_at
+         FROM GroupMemberships gm
+         JOIN Users u ON gm.user_id = u.user_id
+         WHERE gm.group_id = ? AND gm.status = 'active'
+           AND gm.user_id != ?
+           AND gm.last_read_message_id >= ?
+         ORDER BY gm.last_read_at DESC`,
+        [groupId, messages[0].user_id, messageId]
+    );
+}
+
+module.exports = {
+    UNREAD_COUNT_SQL,
+    LATEST_MESSAGE_ID_SQL,
+    getActiveMembership,
+    getGroupUnreadCount,
+    markGroupRead,
+    attachReadReceipts,
+    getReadReceipts
+};
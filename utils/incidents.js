@@ -0,0 +1,175 @@
+const { query, transaction, inPlaceholders } = require('../config/database');
+const { hydratePosts } = require('./posts');
+const { createNotification } = require('./notifications');
+const { checkAndAwardBadges } = require('./badges');
+
+/**
+ * Incident verification - moderators review incident posts and their decisions
+ * are kept in the Verifications table.
+ */
+
+const VERIFICATION_DECISIONS = ['verified', 'rejected', 'needs_more_info'];
+
+// IncidentReports.verification_status for each decision
+const DECISION_STATUS = {
+    verified: 'verified',
+    rejected: 'false_report',
+    needs_more_info: 'under_review'
+};
+
+const INCIDENT_STATUSES = ['pending', 'verified', 'false_report', 'under_review'];
+
+const REPORTER_MESSAGES = {
+    verified: 'Your incident report has been verified by a moderator.',
+    rejected: 'Your incident report could not be verified and was marked as a false report.',
+    needs_more_info: 'A moderator needs more information about your incident report.'
+};
+
+/**
+ * Incidents waiting for review. Most severe first, then oldest first.
+ * @param {object} options
+ * @param {Array<string>} options.statuses - verification_status values to include
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @returns {Promise<object>} { incidents, total }
+ */
+async function getIncidentQueue({ statuses = ['pending', 'under_review'], limit = 20, offset = 0 }) {
+    const placeholders = inPlaceholders(statuses);
+
+    const [rows, totals] = await Promise.all([
+        query(
+            `SELECT p.*
+             FROM IncidentReports ir
+             JOIN Posts p ON ir.post_id = p.post_id
+             WHERE ir.verification_status IN (${placeholders}) AND p.status != 'removed'
+             ORDER BY FIELD(ir.severity, 'critical', 'high', 'medium', 'low'), ir.created_at ASC
+             LIMIT ${limit} OFFSET ${offset}`,
+            statuses
+        ),
+        query(
+            `SELECT COUNT(*) AS total
+             FROM IncidentReports ir
+             JOIN Posts p ON ir.post_id = p.post_id
+             WHERE ir.verification_status IN (${placeholders}) AND p.status != 'removed'`,
+            statuses
+        )
+    ]);
+
+    return { incidents: await hydratePosts(rows), total: totals[0].total };
+}
+
+/**
+ * Decision history for an incident, newest first
+ */
+async function getVerificationHistory(incidentId) {
+    return query(
+        `SELECT v.verification_id, v.decision, v.notes, v.created_at,
+                v.moderator_id, u.display_name AS moderator_name
+         FROM Verifications v
+         JOIN Users u ON v.moderator_id = u.user_id
+         WHERE v.incident_id = ?
+         ORDER BY v.created_at DESC, v.verification_id DESC`,
+        [incidentId]
+    );
+}
+
+/**
+ * Load an incident with its post
+ * @returns {Promise<object|null>} { post, history } or null
+ */
+async function getIncident(incidentId) {
+    const rows = await query(
+        `SELECT p.* FROM IncidentReports ir
+         JOIN Posts p ON ir.post_id = p.post_id
+         WHERE ir.incident_id = ?`,
+        [incidentId]
+    );
+    if (rows.length === 0) return null;
+
+    const [[post], history] = await Promise.all([
+        hydratePosts(rows),
+        getVerificationHistory(incidentId)
+    ]);
+
+    return { post, history };
+}
+
+/**
+ * Record a moderator's decision on an incident, update the incident and its post,
+ * and let the reporter know.
+ * @param {object} options
+ * @param {number} options.incidentId
+ * @param {number} options.moderatorId
+ * @param {string} options.decision - One of VERIFICATION_DECISIONS
+ * @param {string} options.notes - Shared with the reporter
+ * @returns {Promise<object>} { status, error } on failure, { verification_status } on success
+ */
+async function recordVerification({ incidentId, moderatorId, decision, notes = null }) {
+    const outcome = await transaction(async (connection) => {
+        const [incidents] = await connection.execute(
+            `SELECT ir.incident_id, ir.post_id, p.user_id AS reporter_id
+             FROM IncidentReports ir
+             JOIN Posts p ON ir.post_id = p.post_id
+             WHERE ir.incident_id = ?
+             FOR UPDATE`,
+            [incidentId]
+        );
+
+        if (incidents.length === 0) {
+            return { status: 404, error: 'Incident not found' };
+        }
+
+        const incident = incidents[0];
+        if (incident.reporter_id === moderatorId) {
+            return { status: 403, error: 'You cannot verify your own incident report' };
+        }
+
+        const status = DECISION_STATUS[decision];
+
+        await connection.execute(
+            'INSERT INTO Verifications (incident_id, moderator_id, decision, notes) VALUES (?, ?, ?, ?)',
+            [incidentId, moderatorId, decision, notes]
+        );
+
+        await connection.execute(
+            `UPDATE IncidentReports
+             SET verification_status = ?, verified_by = ?, verified_at = NOW()
+             WHERE incident_id = ?`,
+            [status, moderatorId, incidentId]
+        );
+
+        await connection.execute(
+            'UPDATE Posts SET is_verified = ? WHERE post_id = ?',
+            [decision === 'verified', incident.post_id]
+        );
+
+        return { verification_status: status, post_id: incident.post_id, reporter_id: incident.reporter_id };
+    });
+
+    if (outcome.error) return outcome;
+
+    await createNotification({
+        user_id: outcome.reporter_id,
+        type: 'verification',
+        title: 'Incident Report Update',
+        content: notes ? `${REPORTER_MESSAGES[decision]} Note: ${notes}` : REPORTER_MESSAGES[decision],
+        related_id: outcome.post_id,
+        related_type: 'post',
+        priority: decision === 'needs_more_info' ? 'high' : 'normal'
+    });
+
+    // Badges only count verified reports
+    if (decision === 'verified') {
+        await checkAndAwardBadges(outcome.reporter_id);
+    }
+
+    return { verification_status: outcome.verification_status };
+}
+
+module.exports = {
+    VERIFICATION_DECISIONS,
+    INCIDENT_STATUSES,
+    getIncidentQueue,
+    getIncident,
+    recordVerification
+};
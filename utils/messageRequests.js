@@ -0,0 +1,134 @@
+const { query } = require('../config/database');
+
+/**
+ * Message requests. A direct message from someone the receiver isn't connected to lands
+ * in the receiver's requests folder instead of their conversations. Connected means the
+ * receiver follows the sender, they are trusted contacts, they share a group, or the
+ * receiver has messaged the sender before. The sender gets one message until the
+ * receiver accepts; ignoring keeps the sender waiting without telling them.
+ */
+
+// Blocking also blocks the sender (utils/blocks); for the request it counts as ignoring
+const MESSAGE_REQUEST_ACTIONS = ['accept', 'ignore', 'block'];
+
+/**
+ * Whether the receiver has a connection with the sender that lets messages straight through
+ * @returns {Promise<boolean>}
+ */
+async function isConnected(senderId, receiverId) {
+    const rows = await query(
+        `SELECT
+             EXISTS (SELECT 1 FROM Follows WHERE follower_id = ? AND followed_id = ?)
+             OR EXISTS (
+                 SELECT 1 FROM TrustedContacts
+                 WHERE status = 'accepted'
+                   AND ((user_id = ? AND trusted_user_id = ?) OR (user_id = ? AND trusted_user_id = ?))
+             )
+             OR EXISTS (
+                 SELECT 1 FROM GroupMemberships a
+                 JOIN GroupMemberships b ON a.group_id = b.group_id
+                 WHERE a.user_id = ? AND b.user_id = ? AND a.status = 'active' AND b.status = 'active'
+             )
+             OR EXISTS (SELECT 1 FROM DirectMessages WHERE sender_id = ? AND receiver_id = ?)
+             AS connected`,
+        [
+            receiverId, senderId,
+            senderId, receiverId, receiverId, senderId,
+            senderId, receiverId,
+            receiverId, senderId
+        ]
+    );
+    return !!rows[0].connected;
+}
+
+/**
+ * Decide whether a message may be sent and whether it is a message request.
+ * Call before saving the message: a first message from a stranger opens the request here.
+ * @returns {Promise<object>} { status, error } if the sender has to wait, otherwise { isRequest }
+ */
+async function openMessageRequest(senderId, receiverId) {
+    // Writing back to someone whose request is waiting accepts it
+    await query(
+        `UPDATE MessageRequests SET status = 'accepted', responded_at = NOW()
+         WHERE sender_id = ? AND receiver_id = ? AND status != 'accepted'`,
+        [receiverId, senderId]
+    );
+
+    // Connecting later (a follow, a shared group...) lets a waiting request through too
+    if (await isConnected(senderId, receiverId)) {
+        await query(
+            `UPDATE MessageRequests SET status = 'accepted', responded_at = NOW()
+             WHERE sender_id = ? AND receiver_id = ? AND status != 'accepted'`,
+            [senderId, receiverId]
+        );
+        return { isRequest: false };
+    }
+
+    const existing = await query(
+        'SELECT status FROM MessageRequests WHERE sender_id = ? AND receiver_id = ?',
+        [senderId, receiverId]
+    );
+    if (existing.length > 0) {
+        return existing[0].status === 'accepted'
+            ? { isRequest: false }
+            : { status: 403, error: 'Your message request has not been accepted yet' };
+    }
+
+    // The primary key lets only one of two simultaneous first messages through
+    const result = await query(
+        'INSERT IGNORE INTO MessageRequests (sender_id, receiver_id) VALUES (?, ?)',
+        [senderId, receiverId]
+    );
+    if (result.affectedRows === 0) {
+        return { status: 403, error: 'Your message request has not been accepted yet' };
+    }
+    return { isRequest: true };
+}
+
+/**
+ * Accept, ignore or block a waiting request
+ * @param {number} receiverId - The user answering
+ * @param {number} senderId - Who sent the request
+ * @param {string} action - One of MESSAGE_REQUEST_ACTIONS
+ * @returns {Promise<boolean>} false if there was no open request from that sender
+ */
+async function respondToMessageRequest(receiverId, senderId, action) {
+    const status = action === 'accept' ? 'accepted' : 'ignored';
+    const result = await query(
+        `UPDATE MessageRequests SET status = ?, responded_at = NOW()
+         WHERE sender_id = ? AND receiver_id = ? AND status != 'accepted'`,
+        [status, senderId, receiverId]
+    );
+    return result.affectedRows === 1;
+}
+
+/**
+ * Requests from strangers and to strangers that haven't been accepted, by the other user
+ * @returns {Promise<object>} { incoming: Map(senderId -> status), outgoing: Set(receiverId) }
+ */
+async function getOpenRequests(userId) {
+    const rows = await query(
+        `SELECT sender_id, receiver_id, status FROM MessageRequests
+         WHERE (sender_id = ? OR receiver_id = ?) AND status != 'accepted'`,
+        [userId, userId]
+    );
+
+    const incoming = new Map();
+    const outgoing = new Set();
+    for (const row of rows) {
+        if (row.receiver_id === userId) {
+            incoming.set(row.sender_id, row.status);
+        } else {
+            outgoing.add(row.receiver_id);
+        }
+    }
+    return { incoming, outgoing };
+}
+
+module.exports = {
+    MESSAGE_REQUEST_ACTIONS,
+    isConnected,
+    openMessageRequest,
+    respondToMessageRequest,
+    getOpenRequests
+};
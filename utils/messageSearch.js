@@ -0,0 +1,331 @@
+const { query, inPlaceholders } = require('../config/database');
+const { buildBooleanQuery } = require('./search');
+const { notBlockedSql } = require('./blocks');
+
+/**
+ * Message search across every DM conversation and group a user can read.
+ * Backed by the FULLTEXT indexes on message content and captions (BOOLEAN MODE,
+ * prefix matching, like utils/search). Newest messages first.
+ */
+
+// Characters of message text shown around the first match
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40;
+
+/**
+ * Validate the search filters from a query string
+ * @param {object} params - sender_id, from, to, has_media ('true' | 'false'), media_type
+ * @returns {object} { status, error } if invalid, otherwise { filters }
+ */
+function parseMessageSearchFilters({ sender_id, from, to, has_media, media_type } = {}) {
+    const filters = {};
+
+    if (sender_id !== undefined) {
+        filters.senderId = parseInt(sender_id);
+        if (!filters.senderId) {
+            return { status: 400, error: 'Invalid sender_id' };
+        }
+    }
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value === undefined) continue;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            return { status: 400, error: `Invalid ${name} date` };
+        }
+        filters[name] = date;
+    }
+    // A date without a time means up to the end of that day
+    if (filters.to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        filters.before = new Date(filters.to.getTime() + 24 * 60 * 60 * 1000);
+        delete filters.to;
+    }
+    const until = filters.before || filters.to;
+    if (filters.from && until && filters.from > until) {
+        return { status: 400, error: 'from must be before to' };
+    }
+
+    if (has_media !== undefined) {
+        if (has_media !== 'true' && has_media !== 'false') {
+            return { status: 400, error: 'has_media must be true or false' };
+        }
+        filters.hasMedia = has_media === 'true';
+    }
+
+    if (media_type !== undefined) {
+        // A full MIME type ('image/png') or just its kind ('image')
+        if (!/^[\w.+-]+(\/[\w.+-]+)?$/.test(media_type)) {
+            return { status: 400, error: 'Invalid media_type' };
+        }
+        filters.mediaType = media_type.toLowerCase();
+    }
+
+    return { filters };
+}
+
+/**
+ * WHERE conditions shared by both sources
+ * @param {string} alias - Message table alias
+ * @param {string} senderColumn - Column holding the message's sender
+ */
+function filterConditions(alias, senderColumn, term, filters) {
+    const conditions = [`${alias}.is_hidden = FALSE`];
+    const params = [];
+
+    if (term) {
+        conditions.push(`MATCH(${alias}.content, ${alias}.caption) AGAINST (? IN BOOLEAN MODE)`);
+        params.push(term);
+    }
+    if (filters.senderId) {
+        conditions.push(`${senderColumn} = ?`);
+        params.push(filters.senderId);
+    }
+    if (filters.from) {
+        conditions.push(`${alias}.created_at >= ?`);
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        conditions.push(`${alias}.created_at <= ?`);
+        params.push(filters.to);
+    }
+    if (filters.before) {
+        conditions.push(`${alias}.created_at < ?`);
+        params.push(filters.before);
+    }
+    if (filters.hasMedia !== undefined) {
+        conditions.push(`${alias}.media_url IS ${filters.hasMedia ? 'NOT NULL' : 'NULL'}`);
+    }
+    if (filters.mediaType) {
+        if (filters.mediaType.includes('/')) {
+            conditions.push(`${alias}.media_type = ?`);
+            params.push(filters.mediaType);
+        } else {
+            conditions.push(`${alias}.media_type LIKE ?`);
+            params.push(`${filters.mediaType}/%`);
+        }
+    }
+
+    return { sql: conditions.join(' AND '), params };
+}
+
+/**
+ * One SELECT per kind of conversation, with the same columns so they can be UNIONed.
+ * DMs leave out requests the user ignored and anyone on either side of a block,
+ * like the conversation list.
+ */
+function buildSources(userId, term, filters) {
+    const dm = filterConditions('dm', 'dm.sender_id', term, filters);
+    const group = filterConditions('cm', 'cm.user_id', term, filters);
+    // One of the two is the user, who can't block themselves
+    const senderNotBlocked = notBlockedSql('dm.sender_id', userId);
+    const receiverNotBlocked = notBlockedSql('dm.receiver_id', userId);
+
+    return {
+        sql: `SELECT 'dm' AS conversation_type, dm.message_id,
+                     IF(dm.sender_id = ?, dm.receiver_id, dm.sender_id) AS conversation_id,
+                     dm.sender_id, dm.content, dm.caption, dm.media_url, dm.media_type, dm.created_at
+              FROM DirectMessages dm
+              WHERE (dm.sender_id = ? OR dm.receiver_id = ?) AND ${dm.sql}
+                AND ${senderNotBlocked.sql} AND ${receiverNotBlocked.sql}
+                AND NOT EXISTS (
+                    SELECT 1 FROM MessageRequests mr
+                    WHERE mr.sender_id = dm.sender_id AND mr.receiver_id = ? AND mr.status = 'ignored'
+                )
+              UNION ALL
+              SELECT 'group' AS conversation_type, cm.message_id, cm.group_id AS conversation_id,
+                     cm.user_id AS sender_id, cm.content, cm.caption, cm.media_url, cm.media_type, cm.created_at
+              FROM ChatMessages cm
+              JOIN GroupMemberships gm ON gm.group_id = cm.group_id AND gm.user_id = ? AND gm.status = 'active'
+              WHERE cm.message_type != 'system' AND ${group.sql}`,
+        params: [
+            userId, userId, userId, ...dm.params,
+            ...senderNotBlocked.params, ...receiverNotBlocked.params, userId,
+            userId, ...group.params
+        ]
+    };
+}
+
+/**
+ * Escape a word for use in a regular expression
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Match search words at the start of a word, like the search itself, and capture the
+ * rest of that word
+ */
+function wordPattern(words) {
+    return new RegExp(`(^|[^\\p{L}\\p{N}])((?:${words.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*)`, 'giu');
+}
+
+/**
+ * Cut the text down to the part around the first match and find every match in it
+ * @param {string} text
+ * @param {Array<string>} words - Search words
+ * @returns {object} { snippet, highlights: [[start, end], ...] } - offsets into the snippet
+ */
+function buildSnippet(text, words) {
+    if (!text) return { snippet: '', highlights: [] };
+    if (words.length === 0) {
+        return {
+            snippet: text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH)}…` : text,
+            highlights: []
+        };
+    }
+
+    const pattern = wordPattern(words);
+    const first = pattern.exec(text);
+    pattern.lastIndex = 0;
+    const matchAt = first ? first.index + first[1].length : 0;
+
+    const start = Math.max(0, matchAt - SNIPPET_LEAD);
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+    const prefix = start > 0 ? '…' : '';
+    const body = text.slice(start, end);
+    const snippet = `${prefix}${body}${end < text.length ? '…' : ''}`;
+
+    const highlights = [];
+    let match;
+    while ((match = pattern.exec(body)) !== null) {
+        const matchStart = prefix.length + match.index + match[1].length;
+        highlights.push([matchStart, matchStart + match[2].length]);
+    }
+
+    return { snippet, highlights };
+}
+
+/**
+ * The text a snippet is cut from: whichever of content and caption matched
+ */
+function snippetText(row, words) {
+    if (words.length > 0 && row.caption && !wordPattern(words).test(row.content || '')) {
+        return row.caption;
+    }
+    return row.content || row.caption;
+}
+
+/**
+ * Where each result was said: the other person for a DM, the group for a group message
+ * @returns {Promise<object>} { users: Map, groups: Map }
+ */
+async function loadConversations(rows) {
+    const userIds = [...new Set(rows.flatMap(row =>
+        row.conversation_type === 'dm' ? [row.sender_id, row.conversation_id] : [row.sender_id]
+    ))];
+    const groupIds = [...new Set(rows.filter(row => row.conversation_type === 'group').map(row => row.conversation_id))];
+
+    const [users, groups] = await Promise.all([
+        userIds.length > 0
+            ? query(
+                `SELECT user_id, username, display_name, profile_image_url
+                 FROM Users WHERE user_id IN (${inPlaceholders(userIds)})`,
+                userIds
+            )
+            : [],
+        groupIds.length > 0
+            ? query(
+                `SELECT group_id, name, group_type, is_private
+                 FROM UserGroups WHERE group_id IN (${inPlaceholders(groupIds)})`,
+                groupIds
+            )
+            : []
+    ]);
+
+    return {
+        users: new Map(users.map(user => [user.user_id, user])),
+        groups: new Map(groups.map(group => [group.group_id, group]))
+    };
+}
+
+/**
+ * The messages just before and after a result in its conversation
+ * @returns {Promise<object>} { before, after } - each a message or null
+ */
+async function loadContext(userId, row) {
+    const neighbour = (comparison, order) => (row.conversation_type === 'dm'
+        ? query(
+            `SELECT message_id, sender_id, content, media_type, created_at
+             FROM DirectMessages
+             WHERE ((sender_id = ? AND receiver_id = ?) OR (sender_id = ? AND receiver_id = ?))
+               AND is_hidden = FALSE AND message_id ${comparison} ?
+             ORDER BY message_id ${order}
+             LIMIT 1`,
+            [userId, row.conversation_id, row.conversation_id, userId, row.message_id]
+        )
+        : query(
+            `SELECT message_id, user_id AS sender_id, content, media_type, created_at
+             FROM ChatMessages
+             WHERE group_id = ? AND is_hidden = FALSE AND message_id ${comparison} ?
+             ORDER BY message_id ${order}
+             LIMIT 1`,
+            [row.conversation_id, row.message_id]
+        ));
+
+    const [before, after] = await Promise.all([neighbour('<', 'DESC'), neighbour('>', 'ASC')]);
+    return { before: before[0] || null, after: after[0] || null };
+}
+
+/**
+ * Search the messages a user can read
+ * @param {number} userId
+ * @param {object} options
+ * @param {string} options.text - Raw search text; may be empty when filters are given
+ * @param {object} options.filters - From parseMessageSearchFilters
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @returns {Promise<object>} { results, total }
+ */
+async function searchMessages(userId, { text = '', filters = {}, limit = 20, offset = 0 }) {
+    const term = text ? buildBooleanQuery(text) : null;
+    const words = term ? term.split(' ').map(word => word.slice(0, -1)) : [];
+
+    const sources = buildSources(userId, term, filters);
+    const [countRows, page] = await Promise.all([
+        query(`SELECT COUNT(*) AS total FROM (${sources.sql}) results`, sources.params),
+        query(
+            `SELECT * FROM (${sources.sql}) results
+             ORDER BY created_at DESC, message_id DESC
+             LIMIT ${limit} OFFSET ${offset}`,
+            sources.params
+        )
+    ]);
+
+    const [{ users, groups }, contexts] = await Promise.all([
+        loadConversations(page),
+        Promise.all(page.map(row => loadContext(userId, row)))
+    ]);
+
+    const results = page.map((row, index) => {
+        const sender = users.get(row.sender_id) || null;
+        const conversation = row.conversation_type === 'dm'
+            ? { type: 'dm', user: users.get(row.conversation_id) || null }
+            : { type: 'group', group: groups.get(row.conversation_id) || null };
+
+        return {
+            conversation,
+            message: {
+                message_id: row.message_id,
+                sender_id: row.sender_id,
+                sender_name: sender ? sender.display_name : null,
+                sender_username: sender ? sender.username : null,
+                sender_image: sender ? sender.profile_image_url : null,
+                content: row.content,
+                caption: row.caption,
+                media_url: row.media_url,
+                media_type: row.media_type,
+                created_at: row.created_at
+            },
+            ...buildSnippet(snippetText(row, words), words),
+            context: contexts[index]
+        };
+    });
+
+    return { results, total: countRows[0].total };
+}
+
+module.exports = {
+    parseMessageSearchFilters,
+    searchMessages
+};
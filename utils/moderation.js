@@ -0,0 +1,395 @@
+const { query, transaction, inPlaceholders } = require('../config/database');
+const { createNotification } = require('./notifications');
+
+/**
+ * Content reporting and moderation - reports from users, auto-hiding,
+ * moderator decisions and the audit trail (ModerationActions).
+ */
+
+const REPORT_REASONS = ['spam', 'harassment', 'hate_speech', 'violence', 'misinformation', 'scam', 'inappropriate', 'other'];
+const MODERATION_ACTIONS = ['dismiss', 'remove', 'warn', 'suspend'];
+
+// Distinct reporters needed before content is hidden pending review
+const AUTO_HIDE_THRESHOLD = parseInt(process.env.MODERATION_AUTO_HIDE_THRESHOLD) || 3;
+
+/**
+ * How each reportable content type is loaded, checked and hidden.
+ * `select` returns rows normalized to content_id, author_id, content, is_hidden, is_removed.
+ */
+const CONTENT_SOURCES = {
+    post: {
+        select: (placeholders) =>
+            `SELECT post_id AS content_id, user_id AS author_id, content, post_id,
+                    status = 'reported' AS is_hidden, status = 'removed' AS is_removed, created_at
+             FROM Posts WHERE post_id IN (${placeholders})`,
+        canView: async () => true,
+        hide: (connection, id) =>
+            connection.execute("UPDATE Posts SET status = 'reported' WHERE post_id = ? AND status = 'active'", [id]),
+        restore: (connection, id) =>
+            connection.execute("UPDATE Posts SET status = 'active' WHERE post_id = ? AND status = 'reported'", [id]),
+        remove: (connection, id) =>
+            connection.execute("UPDATE Posts SET status = 'removed' WHERE post_id = ?", [id])
+    },
+
+    comment: {
+        select: (placeholders) =>
+            `SELECT comment_id AS content_id, user_id AS author_id, content, post_id,
+                    is_hidden, is_deleted AS is_removed, created_at
+             FROM Comments WHERE comment_id IN (${placeholders})`,
+        canView: async () => true,
+        hide: (connection, id) =>
+            connection.execute('UPDATE Comments SET is_hidden = TRUE WHERE comment_id = ?', [id]),
+        restore: (connection, id) =>
+            connection.execute('UPDATE Comments SET is_hidden = FALSE WHERE comment_id = ?', [id]),
+        // Removed comments stay hidden; the audit trail records that it was a removal
+        remove: (connection, id) =>
+            connection.execute('UPDATE Comments SET is_hidden = TRUE WHERE comment_id = ?', [id])
+    },
+
+    direct_message: {
+        select: (placeholders) =>
+            `SELECT message_id AS content_id, sender_id AS author_id, content, receiver_id,
+                    is_hidden, FALSE AS is_removed, created_at
+             FROM DirectMessages WHERE message_id IN (${placeholders})`,
+        // Only the two people in the conversation can report a DM
+        canView: async (item, userId) => item.author_id === userId || item.receiver_id === userId,
+        hide: (connection, id) =>
+            connection.execute('UPDATE DirectMessages SET is_hidden = TRUE WHERE message_id = ?', [id]),
+        restore: (connection, id) =>
+            connection.execute('UPDATE DirectMessages SET is_hidden = FALSE WHERE message_id = ?', [id]),
+        remove: (connection, id) =>
+            connection.execute('UPDATE DirectMessages SET is_hidden = TRUE WHERE message_id = ?', [id])
+    },
+
+    group_message: {
+        select: (placeholders) =>
+            `SELECT message_id AS content_id, user_id AS author_id, content, group_id,
+                    is_hidden, FALSE AS is_removed, created_at
+             FROM ChatMessages WHERE message_id IN (${placeholders})`,
+        canView: async (item, userId) => {
+            const memberships = await query(
+                "SELECT 1 FROM GroupMemberships WHERE group_id = ? AND user_id = ? AND status = 'active'",
+                [item.group_id, userId]
+            );
+            return memberships.length > 0;
+        },
+        hide: (connection, id) =>
+            connection.execute('UPDATE ChatMessages SET is_hidden = TRUE WHERE message_id = ?', [id]),
+        restore: (connection, id) =>
+            connection.execute('UPDATE ChatMessages SET is_hidden = FALSE WHERE message_id = ?', [id]),
+        remove: (connection, id) =>
+            connection.execute('UPDATE ChatMessages SET is_hidden = TRUE WHERE message_id = ?', [id])
+    }
+};
+
+const CONTENT_TYPES = Object.keys(CONTENT_SOURCES);
+
+/**
+ * Load reported content of one type
+ * @returns {Promise<Map>} contentId -> normalized row
+ */
+async function loadContent(contentType, ids) {
+    if (ids.length === 0) return new Map();
+
+    const rows = await query(CONTENT_SOURCES[contentType].select(inPlaceholders(ids)), ids);
+    return new Map(rows.map(row => [row.content_id, {
+        ...row,
+        is_hidden: !!row.is_hidden,
+        is_removed: !!row.is_removed
+    }]));
+}
+
+/**
+ * Write an audit trail entry
+ * @param {object} connection - Transaction connection
+ */
+async function recordAction(connection, { moderatorId = null, contentType, contentId, targetUserId, action, notes = null }) {
+    await connection.execute(
+        `INSERT INTO ModerationActions (moderator_id, content_type, content_id, target_user_id, action, notes)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [moderatorId, contentType, contentId, targetUserId || null, action, notes]
+    );
+}
+
+/**
+ * Report a piece of content. Hides it once AUTO_HIDE_THRESHOLD distinct users
+ * have reported it and it is still pending review.
+ * @returns {Promise<object>} { status, error } on failure, { report_id, auto_hidden } on success
+ */
+async function createReport({ reporterId, contentType, contentId, reason, details = null }) {
+    const items = await loadContent(contentType, [contentId]);
+    const item = items.get(contentId);
+
+    if (!item || item.is_removed || !(await CONTENT_SOURCES[contentType].canView(item, reporterId))) {
+        return { status: 404, error: 'Content not found' };
+    }
+    if (item.author_id === reporterId) {
+        return { status: 400, error: 'You cannot report your own content' };
+    }
+
+    return transaction(async (connection) => {
+        const [result] = await connection.execute(
+            `INSERT IGNORE INTO ContentReports (reporter_id, content_type, content_id, reason, details)
+             VALUES (?, ?, ?, ?, ?)`,
+            [reporterId, contentType, contentId, reason, details]
+        );
+
+        if (result.affectedRows === 0) {
+            return { status: 409, error: 'You have already reported this content' };
+        }
+
+        const [counts] = await connection.execute(
+            `SELECT COUNT(DISTINCT reporter_id) AS reporters
+             FROM ContentReports
+             WHERE content_type = ? AND content_id = ? AND status = 'pending'`,
+            [contentType, contentId]
+        );
+
+        let autoHidden = false;
+        if (!item.is_hidden && counts[0].reporters >= AUTO_HIDE_THRESHOLD) {
+            await CONTENT_SOURCES[contentType].hide(connection, contentId);
+            await recordAction(connection, {
+                contentType,
+                contentId,
+                targetUserId: item.author_id,
+                action: 'auto_hide',
+                notes: `Hidden after ${counts[0].reporters} reports`
+            });
+            autoHidden = true;
+        }
+
+        return { report_id: result.insertId, auto_hidden: autoHidden };
+    });
+}
+
+/**
+ * Content with pending reports, most reported first
+ * @param {object} options
+ * @param {string} options.contentType - Optional filter
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @returns {Promise<object>} { items, total }
+ */
+async function getQueue({ contentType = null, limit = 20, offset = 0 }) {
+    const conditions = ["status = 'pending'"];
+    const params = [];
+    if (contentType) {
+        conditions.push('content_type = ?');
+        params.push(contentType);
+    }
+    const where = conditions.join(' AND ');
+
+    const [groups, totals] = await Promise.all([
+        query(
+            `SELECT content_type, content_id,
+                    COUNT(*) AS report_count,
+                    GROUP_CONCAT(DISTINCT reason ORDER BY reason) AS reasons,
+                    MIN(created_at) AS first_reported_at,
+                    MAX(created_at) AS last_reported_at
+             FROM ContentReports
+             WHERE ${where}
+             GROUP BY content_type, content_id
+             ORDER BY report_count DESC, first_reported_at ASC
+             LIMIT ${limit} OFFSET ${offset}`,
+            params
+        ),
+        query(
+            `SELECT COUNT(DISTINCT content_type, content_id) AS total FROM ContentReports WHERE ${where}`,
+            params
+        )
+    ]);
+
+    // Load each type's content in one query
+    const contentByType = {};
+    await Promise.all(CONTENT_TYPES.map(async (type) => {
+        const ids = groups.filter(g => g.content_type === type).map(g => g.content_id);
+        contentByType[type] = await loadContent(type, ids);
+    }));
+
+    const authorIds = [...new Set(Object.values(contentByType)
+        .flatMap(map => [...map.values()].map(item => item.author_id)))];
+    const authors = authorIds.length > 0
+        ? await query(
+            `SELECT user_id, display_name, username, profile_image_url, account_status, warning_count
+             FROM Users WHERE user_id IN (${inPlaceholders(authorIds)})`,
+            authorIds
+        )
+        : [];
+    const authorsById = new Map(authors.map(a => [a.user_id, a]));
+
+    const items = groups.map(group => {
+        const content = contentByType[group.content_type].get(group.content_id) || null;
+        return {
+            content_type: group.content_type,
+            content_id: group.content_id,
+            report_count: group.report_count,
+            reasons: group.reasons ? group.reasons.split(',') : [],
+            first_reported_at: group.first_reported_at,
+            last_reported_at: group.last_reported_at,
+            content,
+            author: content ? authorsById.get(content.author_id) || null : null
+        };
+    });
+
+    return { items, total: totals[0].total };
+}
+
+/**
+ * Individual reports and audit history for one piece of content
+ */
+async function getReportDetails(contentType, contentId) {
+    const items = await loadContent(contentType, [contentId]);
+
+    const [reports, actions] = await Promise.all([
+        query(
+            `SELECT r.report_id, r.reason, r.details, r.status, r.created_at, r.resolved_at,
+                    u.user_id AS reporter_id, u.display_name AS reporter_name
+             FROM ContentReports r
+             JOIN Users u ON r.reporter_id = u.user_id
+             WHERE r.content_type = ? AND r.content_id = ?
+             ORDER BY r.created_at DESC`,
+            [contentType, contentId]
+        ),
+        getAuditTrail({ contentType, contentId, limit: 50 })
+    ]);
+
+    return { content: items.get(contentId) || null, reports, actions: actions.actions };
+}
+
+/**
+ * Apply a moderator decision to reported content and resolve its pending reports
+ * @param {object} options
+ * @param {number} options.moderatorId
+ * @param {string} options.contentType
+ * @param {number} options.contentId
+ * @param {string} options.action - One of MODERATION_ACTIONS
+ * @param {string} options.notes - Reason shown in the audit trail
+ * @param {boolean} options.removeContent - Also remove the content when warning or suspending
+ * @param {number} options.suspendDays - Suspension length, omit for an indefinite suspension
+ * @returns {Promise<object>} { status, error } on failure, {} on success
+ */
+async function applyAction({ moderatorId, contentType, contentId, action, notes = null, removeContent = false, suspendDays = null }) {
+    const items = await loadContent(contentType, [contentId]);
+    const item = items.get(contentId);
+    if (!item) {
+        return { status: 404, error: 'Content not found' };
+    }
+
+    const source = CONTENT_SOURCES[contentType];
+    const audit = { moderatorId, contentType, contentId, targetUserId: item.author_id, notes };
+
+    await transaction(async (connection) => {
+        if (action === 'dismiss') {
+            await source.restore(connection, contentId);
+        }
+
+        if (action === 'remove' || (removeContent && (action === 'warn' || action === 'suspend'))) {
+            await source.remove(connection, contentId);
+            if (action !== 'remove') {
+                await recordAction(connection, { ...audit, action: 'remove' });
+            }
+        }
+
+        if (action === 'warn') {
+            await connection.execute(
+                'UPDATE Users SET warning_count = warning_count + 1 WHERE user_id = ?',
+                [item.author_id]
+            );
+        }
+
+        if (action === 'suspend') {
+            await connection.execute(
+                `UPDATE Users SET account_status = 'suspended',
+                        suspended_until = ${suspendDays ? 'DATE_ADD(NOW(), INTERVAL ? DAY)' : 'NULL'}
+                 WHERE user_id = ?`,
+                suspendDays ? [suspendDays, item.author_id] : [item.author_id]
+            );
+        }
+
+        await recordAction(connection, { ...audit, action });
+
+        await connection.execute(
+            `UPDATE ContentReports SET status = ?, resolved_at = NOW()
+             WHERE content_type = ? AND content_id = ? AND status = 'pending'`,
+            [action === 'dismiss' ? 'dismissed' : 'actioned', contentType, contentId]
+        );
+    });
+
+    const messages = {
+        remove: 'Some of your content was removed for breaking the community guidelines.',
+        warn: 'You received a warning for content that breaks the community guidelines.',
+        suspend: suspendDays
+            ? `Your account has been suspended for ${suspendDays} day(s) for breaking the community guidelines.`
+            : 'Your account has been suspended for breaking the community guidelines.'
+    };
+
+    if (messages[action]) {
+        await createNotification({
+            user_id: item.author_id,
+            type: 'system',
+            title: 'Moderation Notice',
+            content: notes ? `${messages[action]} Reason: ${notes}` : messages[action],
+            related_id: contentType === 'post' || contentType === 'comment' ? item.post_id : null,
+            related_type: contentType === 'post' || contentType === 'comment' ? 'post' : null,
+            priority: 'high'
+        });
+    }
+
+    return {};
+}
+
+/**
+ * Audit trail of moderation decisions, newest first
+ * @returns {Promise<object>} { actions, total }
+ */
+async function getAuditTrail({ contentType = null, contentId = null, moderatorId = null, targetUserId = null, limit = 20, offset = 0 }) {
+    const conditions = [];
+    const params = [];
+
+    if (contentType) {
+        conditions.push('ma.content_type = ?');
+        params.push(contentType);
+    }
+    if (contentId) {
+        conditions.push('ma.content_id = ?');
+        params.push(contentId);
+    }
+    if (moderatorId) {
+        conditions.push('ma.moderator_id = ?');
+        params.push(moderatorId);
+    }
+    if (targetUserId) {
+        conditions.push('ma.target_user_id = ?');
+        params.push(targetUserId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [actions, totals] = await Promise.all([
+        query(
+            `SELECT ma.*, m.display_name AS moderator_name, t.display_name AS target_user_name
+             FROM ModerationActions ma
+             LEFT JOIN Users m ON ma.moderator_id = m.user_id
+             LEFT JOIN Users t ON ma.target_user_id = t.user_id
+             ${where}
+             ORDER BY ma.created_at DESC, ma.action_id DESC
+             LIMIT ${limit} OFFSET ${offset}`,
+            params
+        ),
+        query(`SELECT COUNT(*) AS total FROM ModerationActions ma ${where}`, params)
+    ]);
+
+    return { actions, total: totals[0].total };
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    REPORT_REASONS,
+    MODERATION_ACTIONS,
+    AUTO_HIDE_THRESHOLD,
+    createReport,
+    getQueue,
+    getReportDetails,
+    applyAction,
+    getAuditTrail
+};
@@ -1,8 +1,17 @@
 const { query } = require('../config/database');
+const { getPresenceStore } = require('../config/realtime');
+const { isConversationMuted } = require('./conversationSettings');
 
-// Store for Socket.IO instance and connected users
+// Socket.IO instance. Every socket joins `user:<id>` for its user, `session:<id>`
+// for the login it authenticated with, and `group:<id>` for each group the user is
+// an active member of. With the Redis backend (config/realtime) room broadcasts
+// reach sockets on every instance.
 let io = null;
-const connectedUsers = new Map(); // userId -> socketId
+
+const userRoom = (userId) => `user:${userId}`;
+const groupRoom = (groupId) => `group:${groupId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+const presenceRoom = (userId) => `presence:${userId}`;
 
 /**
  * Initialize Socket.IO instance
@@ -13,30 +22,114 @@ function initializeSocketIO(socketIOInstance) {
 }
 
 /**
- * Register a user's socket connection
+ * Register a user's socket connection: join their user room and their group rooms
+ * @param {object} socket - Authenticated socket (socket.userId and socket.sessionId are set)
+ */
+async function registerUserSocket(socket) {
+    const userId = socket.userId;
+    socket.join([userRoom(userId), sessionRoom(socket.sessionId)]);
+
+    const memberships = await query(
+        `SELECT group_id FROM GroupMemberships WHERE user_id = ? AND status = 'active'`,
+        [userId]
+    );
+    socket.join(memberships.map(m => groupRoom(m.group_id)));
+
+    console.log(`👤 User ${userId} connected (socket: ${socket.id})`);
+}
+
+/**
+ * Unregister a user's socket connection. Socket.IO removes it from its rooms.
+ */
+function unregisterUserSocket(socket) {
+    console.log(`👤 User ${socket.userId} disconnected (socket: ${socket.id})`);
+}
+
+/**
+ * Whether a user has at least one device connected, on any instance
+ * @returns {Promise<boolean>}
+ */
+async function isUserConnected(userId) {
+    const devices = await getPresenceStore().getDeviceStatuses(userId);
+    return devices.length > 0;
+}
+
+/**
+ * Disconnect every socket a user has open, on any instance (e.g. after logging out everywhere)
+ */
+function disconnectUser(userId) {
+    if (!io) return;
+    io.in(userRoom(userId)).disconnectSockets(true);
+}
+
+/**
+ * Disconnect the sockets opened with one login session, on any instance
+ */
+function disconnectSession(sessionId) {
+    if (!io) return;
+    io.in(sessionRoom(sessionId)).disconnectSockets(true);
+}
+
+/**
+ * Emit an event to every device of a user
  */
-function registerUserSocket(userId, socketId) {
-    connectedUsers.set(userId, socketId);
-    console.log(`👤 User ${userId} connected (socket: ${socketId})`);
+function emitToUser(userId, event, payload) {
+    if (!io) return;
+    io.to(userRoom(userId)).emit(event, payload);
+}
+
+/**
+ * Emit an event to every socket in a room (e.g. post:<id>)
+ */
+function emitToRoom(room, event, payload) {
+    if (!io) return;
+    io.to(room).emit(event, payload);
+}
+
+/**
+ * Emit an event to every connected member of a group
+ * @param {number} exceptUserId - Leave out this user's devices (e.g. the sender)
+ */
+function emitToGroup(groupId, event, payload, exceptUserId = null) {
+    if (!io) return;
+    let target = io.to(groupRoom(groupId));
+    if (exceptUserId) {
+        target = target.except(userRoom(exceptUserId));
+    }
+    target.emit(event, payload);
 }
 
 /**
- * Unregister a user's socket connection
+ * Add all of a user's connected devices to a group room (after joining a group)
  */
-function unregisterUserSocket(userId) {
-    connectedUsers.delete(userId);
-    console.log(`👤 User ${userId} disconnected`);
+function joinGroupRoom(userId, groupId) {
+    if (!io) return;
+    io.in(userRoom(userId)).socketsJoin(groupRoom(groupId));
 }
 
 /**
- * Get socket ID for a user
+ * Remove all of a user's connected devices from a group room (after leaving or removal)
  */
-function getUserSocketId(userId) {
-    return connectedUsers.get(userId);
+function leaveGroupRoom(userId, groupId) {
+    if (!io) return;
+    io.in(userRoom(userId)).socketsLeave(groupRoom(groupId));
 }
 
 /**
- * Create a notification and emit it in real-time
+ * Stop a user's connected devices from following another user's presence (after a block)
+ */
+function leavePresenceRoom(userId, watchedUserId) {
+    if (!io) return;
+    io.in(userRoom(userId)).socketsLeave(presenceRoom(watchedUserId));
+}
+
+// Message notifications about a DM or group belong to that conversation and follow its mute
+const CONVERSATION_TYPE_BY_RELATED_TYPE = { user: 'dm', group: 'group' };
+
+/**
+ * Create a notification and emit it in real-time.
+ * Message notifications for a conversation the user has muted are dropped.
+ * @returns {Promise<object|null>} The notification, or null if none was created
  */
 async function createNotification({ 
     user_id, 
@@ -55,6 +148,11 @@ async function createNotification({
             return null;
         }
 
+        const conversationType = type === 'message' && CONVERSATION_TYPE_BY_RELATED_TYPE[related_type];
+        if (conversationType && related_id && await isConversationMuted(user_id, conversationType, related_id)) {
+            return null;
+        }
+
         // Insert into database
         const result = await query(
             `INSERT INTO Notifications (user_id, type, title, content, related_id, related_type, priority)
@@ -65,7 +163,7 @@ async function createNotification({
         const notificationId = result.insertId;
 
         // Get the full notification data
-        const [notification] = await query(
+        const notification = await query(
             `SELECT n.*, 
                     CASE 
                         WHEN n.related_type = 'user' THEN u.display_name
@@ -84,12 +182,9 @@ async function createNotification({
         );
 
         // Check if user is connected via WebSocket
-        const socketId = getUserSocketId(user_id);
-        const isOnline = socketId && io;
-
-        if (isOnline && notification.length > 0) {
-            // User is online - send via WebSocket
-            io.to(socketId).emit('new_notification', notification[0]);
+        if (await isUserConnected(user_id) && notification.length > 0) {
+            // User is online - send to all of their devices
+            emitToUser(user_id, 'new_notification', notification[0]);
             console.log(`🔔 WebSocket notification sent to user ${user_id} (${type}): ${title}`);
         } else {
             // User is offline - notification stored in database for later retrieval
@@ -128,13 +223,10 @@ async function getUnreadCount(userId) {
  * Emit unread count update to a user
  */
 async function emitUnreadCount(userId) {
-    if (!io) return;
-    
-    const socketId = getUserSocketId(userId);
-    if (socketId) {
-        const count = await getUnreadCount(userId);
-        io.to(socketId).emit('unread_count', { count });
-    }
+    if (!(await isUserConnected(userId))) return;
+
+    const count = await getUnreadCount(userId);
+    emitToUser(userId, 'unread_count', { count });
 }
 
 /**
@@ -163,7 +255,15 @@ module.exports = {
     initializeSocketIO,
     registerUserSocket,
     unregisterUserSocket,
-    getUserSocketId,
+    isUserConnected,
+    disconnectUser,
+    disconnectSession,
+    emitToUser,
+    emitToRoom,
+    emitToGroup,
+    joinGroupRoom,
+    leaveGroupRoom,
+    leavePresenceRoom,
     createNotification,
     createBulkNotifications,
     getUnreadCount,
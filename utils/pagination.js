@@ -0,0 +1,74 @@
+/**
+ * Cursor (keyset) pagination helpers
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+/**
+ * Parse a requested page size
+ * @param {string|number} value - Raw limit from the query string
+ * @param {number} defaultLimit - Used when the value is missing or invalid
+ * @param {number} maxLimit - Upper bound for the page size
+ * @returns {number} Page size between 1 and maxLimit
+ */
+function parseLimit(value, defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT) {
+    const parsed = parseInt(value, 10);
+    if (isNaN(parsed) || parsed < 1) {
+        return defaultLimit;
+    }
+    return Math.min(parsed, maxLimit);
+}
+
+/**
+ * Encode the sort key of the last row of a page into an opaque cursor
+ * @param {object} values - Sort key values, e.g. { created_at, post_id }
+ * @returns {string} URL-safe cursor string
+ */
+function encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor
+ * @returns {object|null} Sort key values, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    if (!cursor || typeof cursor !== 'string') {
+        return null;
+    }
+
+    try {
+        const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return values && typeof values === 'object' ? values : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Checks for the kinds of value a cursor carries
+const CURSOR_VALUE_CHECKS = {
+    date: (value) => (typeof value === 'string' || typeof value === 'number') && !isNaN(new Date(value).getTime()),
+    integer: (value) => Number.isInteger(value),
+    number: (value) => typeof value === 'number' && Number.isFinite(value)
+};
+
+/**
+ * Whether a decoded cursor has every field a sort needs, with usable values
+ * @param {object} cursor - From decodeCursor
+ * @param {object} fields - Field name -> 'date', 'integer' or 'number'
+ * @returns {boolean}
+ */
+function hasCursorFields(cursor, fields) {
+    return Object.entries(fields).every(([field, kind]) => CURSOR_VALUE_CHECKS[kind](cursor[field]));
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parseLimit,
+    encodeCursor,
+    decodeCursor,
+    hasCursorFields
+};
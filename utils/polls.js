@@ -0,0 +1,320 @@
+const { query, transaction, inPlaceholders } = require('../config/database');
+const { emitToRoom } = require('./notifications');
+
+/**
+ * Polls - options and votes for posts with post_type 'poll'
+ */
+
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+const MAX_OPTION_LENGTH = 200;
+
+/**
+ * Read a boolean that may arrive as a FormData string
+ */
+function parseBoolean(value) {
+    return value === true || value === 'true' || value === 1 || value === '1';
+}
+
+/**
+ * Validate poll fields from a POST /api/posts body
+ * @param {object} body - poll_options, poll_allow_multiple, poll_anonymous, poll_closes_at
+ * @returns {object} { valid, message?, poll? }
+ */
+function parsePollInput(body) {
+    let options = body.poll_options;
+    if (typeof options === 'string') {
+        try {
+            options = JSON.parse(options);
+        } catch (e) {
+            return { valid: false, message: 'poll_options must be a JSON array' };
+        }
+    }
+
+    if (!Array.isArray(options)) {
+        return { valid: false, message: 'poll_options is required for poll posts' };
+    }
+
+    const texts = options.map(o => (typeof o === 'string' ? o.trim() : ''));
+
+    if (texts.length < MIN_POLL_OPTIONS || texts.length > MAX_POLL_OPTIONS) {
+        return { valid: false, message: `Polls must have between ${MIN_POLL_OPTIONS} and ${MAX_POLL_OPTIONS} options` };
+    }
+    if (texts.some(t => t.length === 0)) {
+        return { valid: false, message: 'Poll options cannot be empty' };
+    }
+    if (texts.some(t => t.length > MAX_OPTION_LENGTH)) {
+        return { valid: false, message: `Poll options must not exceed ${MAX_OPTION_LENGTH} characters` };
+    }
+    if (new Set(texts.map(t => t.toLowerCase())).size !== texts.length) {
+        return { valid: false, message: 'Poll options must be unique' };
+    }
+
+    let closesAt = null;
+    if (body.poll_closes_at) {
+        closesAt = new Date(body.poll_closes_at);
+        if (isNaN(closesAt.getTime())) {
+            return { valid: false, message: 'Invalid poll_closes_at date' };
+        }
+        if (closesAt <= new Date()) {
+            return { valid: false, message: 'poll_closes_at must be in the future' };
+        }
+    }
+
+    return {
+        valid: true,
+        poll: {
+            options: texts,
+            allow_multiple: parseBoolean(body.poll_allow_multiple),
+            is_anonymous: parseBoolean(body.poll_anonymous),
+            closes_at: closesAt
+        }
+    };
+}
+
+/**
+ * Create the poll rows for a new post (inside the post creation transaction)
+ * @param {object} connection - Transaction connection
+ * @param {number} postId
+ * @param {object} poll - From parsePollInput
+ */
+async function createPoll(connection, postId, poll) {
+    const [pollResult] = await connection.execute(
+        `INSERT INTO Polls (post_id, allow_multiple, is_anonymous, closes_at)
+         VALUES (?, ?, ?, ?)`,
+        [postId, poll.allow_multiple, poll.is_anonymous, poll.closes_at]
+    );
+
+    const pollId = pollResult.insertId;
+
+    for (let i = 0; i < poll.options.length; i++) {
+        await connection.execute(
+            'INSERT INTO PollOptions (poll_id, option_text, position) VALUES (?, ?, ?)',
+            [pollId, poll.options[i], i]
+        );
+    }
+
+    return pollId;
+}
+
+function isPollClosed(poll) {
+    if (poll.closed_at) return true;
+    return poll.closes_at !== null && new Date(poll.closes_at) <= new Date();
+}
+
+/**
+ * Load polls with tallies for a set of posts
+ * @param {Array<number>} postIds
+ * @param {number} viewerId - Used for my_votes
+ * @returns {Promise<Map>} postId -> poll JSON
+ */
+async function loadPolls(postIds, viewerId = null) {
+    if (!postIds || postIds.length === 0) return new Map();
+
+    const polls = await query(
+        `SELECT * FROM Polls WHERE post_id IN (${inPlaceholders(postIds)})`,
+        postIds
+    );
+    if (polls.length === 0) return new Map();
+
+    const pollIds = polls.map(p => p.poll_id);
+    const publicPollIds = polls.filter(p => !p.is_anonymous).map(p => p.poll_id);
+
+    const [options, voterCounts, myVotes, voters] = await Promise.all([
+        query(
+            `SELECT o.option_id, o.poll_id, o.option_text, o.position, COUNT(v.vote_id) AS votes_count
+             FROM PollOptions o
+             LEFT JOIN PollVotes v ON v.option_id = o.option_id
+             WHERE o.poll_id IN (${inPlaceholders(pollIds)})
+             GROUP BY o.option_id, o.poll_id, o.option_text, o.position
+             ORDER BY o.poll_id, o.position`,
+            pollIds
+        ),
+        query(
+            `SELECT poll_id, COUNT(DISTINCT user_id) AS voters
+             FROM PollVotes
+             WHERE poll_id IN (${inPlaceholders(pollIds)})
+             GROUP BY poll_id`,
+            pollIds
+        ),
+        viewerId
+            ? query(
+                `SELECT poll_id, option_id FROM PollVotes
+                 WHERE user_id = ? AND poll_id IN (${inPlaceholders(pollIds)})`,
+                [viewerId, ...pollIds]
+            )
+            : [],
+        publicPollIds.length > 0
+            ? query(
+                `SELECT v.option_id, u.user_id, u.display_name, u.username, u.profile_image_url
+                 FROM PollVotes v
+                 JOIN Users u ON v.user_id = u.user_id
+                 WHERE v.poll_id IN (${inPlaceholders(publicPollIds)})
+                 ORDER BY v.created_at`,
+                publicPollIds
+            )
+            : []
+    ]);
+
+    const votersByOption = new Map();
+    for (const voter of voters) {
+        if (!votersByOption.has(voter.option_id)) {
+            votersByOption.set(voter.option_id, []);
+        }
+        const { option_id, ...user } = voter;
+        votersByOption.get(option_id).push(user);
+    }
+
+    const voterCountByPoll = new Map(voterCounts.map(v => [v.poll_id, v.voters]));
+
+    const result = new Map();
+    for (const poll of polls) {
+        const pollOptions = options.filter(o => o.poll_id === poll.poll_id);
+        const totalVotes = pollOptions.reduce((sum, o) => sum + o.votes_count, 0);
+
+        result.set(poll.post_id, {
+            poll_id: poll.poll_id,
+            allow_multiple: !!poll.allow_multiple,
+            is_anonymous: !!poll.is_anonymous,
+            closes_at: poll.closes_at,
+            is_closed: isPollClosed(poll),
+            total_votes: totalVotes,
+            total_voters: voterCountByPoll.get(poll.poll_id) || 0,
+            my_votes: myVotes.filter(v => v.poll_id === poll.poll_id).map(v => v.option_id),
+            options: pollOptions.map(o => ({
+                option_id: o.option_id,
+                text: o.option_text,
+                position: o.position,
+                votes_count: o.votes_count,
+                percentage: totalVotes > 0 ? Math.round((o.votes_count / totalVotes) * 100) : 0,
+                ...(!poll.is_anonymous && { voters: votersByOption.get(o.option_id) || [] })
+            }))
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Push the current tallies to everyone watching the post.
+ * Only counts are broadcast; voter lists stay behind the API.
+ */
+async function broadcastPollUpdate(postId) {
+    const polls = await loadPolls([postId]);
+    const poll = polls.get(postId);
+    if (!poll) return;
+
+    emitToRoom(`post:${postId}`, 'poll_updated', {
+        post_id: postId,
+        poll_id: poll.poll_id,
+        is_closed: poll.is_closed,
+        total_votes: poll.total_votes,
+        total_voters: poll.total_voters,
+        options: poll.options.map(o => ({
+            option_id: o.option_id,
+            votes_count: o.votes_count,
+            percentage: o.percentage
+        }))
+    });
+}
+
+/**
+ * Replace a user's ballot on a poll
+ * @param {number} postId
+ * @param {number} userId
+ * @param {Array<number>} optionIds - Empty to withdraw the vote
+ * @returns {Promise<object>} { error?, status? } on failure, {} on success
+ */
+async function castVote(postId, userId, optionIds) {
+    const outcome = await transaction(async (connection) => {
+        // Lock the poll so concurrent ballots from the same user can't interleave
+        const [polls] = await connection.execute(
+            `SELECT pl.* FROM Polls pl
+             JOIN Posts p ON pl.post_id = p.post_id
+             WHERE pl.post_id = ? AND p.status = 'active'
+             FOR UPDATE`,
+            [postId]
+        );
+
+        if (polls.length === 0) {
+            return { status: 404, error: 'Poll not found' };
+        }
+
+        const poll = polls[0];
+
+        if (isPollClosed(poll)) {
+            return { status: 400, error: 'This poll is closed' };
+        }
+
+        if (optionIds.length > 1 && !poll.allow_multiple) {
+            return { status: 400, error: 'This poll allows only one choice' };
+        }
+
+        if (optionIds.length > 0) {
+            const [validOptions] = await connection.execute(
+                `SELECT option_id FROM PollOptions
+                 WHERE poll_id = ? AND option_id IN (${inPlaceholders(optionIds)})`,
+                [poll.poll_id, ...optionIds]
+            );
+            if (validOptions.length !== optionIds.length) {
+                return { status: 400, error: 'Invalid poll option' };
+            }
+        }
+
+        await connection.execute(
+            'DELETE FROM PollVotes WHERE poll_id = ? AND user_id = ?',
+            [poll.poll_id, userId]
+        );
+
+        for (const optionId of optionIds) {
+            await connection.execute(
+                'INSERT INTO PollVotes (poll_id, option_id, user_id) VALUES (?, ?, ?)',
+                [poll.poll_id, optionId, userId]
+            );
+        }
+
+        return {};
+    });
+
+    if (!outcome.error) {
+        await broadcastPollUpdate(postId);
+    }
+
+    return outcome;
+}
+
+/**
+ * Close a poll early (author only)
+ */
+async function closePoll(postId, userId) {
+    const polls = await query(
+        `SELECT pl.poll_id, pl.closed_at, pl.closes_at, p.user_id
+         FROM Polls pl
+         JOIN Posts p ON pl.post_id = p.post_id
+         WHERE pl.post_id = ?`,
+        [postId]
+    );
+
+    if (polls.length === 0) {
+        return { status: 404, error: 'Poll not found' };
+    }
+    if (polls[0].user_id !== userId) {
+        return { status: 403, error: 'Only the author can close this poll' };
+    }
+    if (isPollClosed(polls[0])) {
+        return { status: 400, error: 'This poll is already closed' };
+    }
+
+    await query('UPDATE Polls SET closed_at = NOW() WHERE poll_id = ?', [polls[0].poll_id]);
+    await broadcastPollUpdate(postId);
+
+    return {};
+}
+
+module.exports = {
+    parsePollInput,
+    createPoll,
+    loadPolls,
+    castVote,
+    closePoll
+};
@@ -0,0 +1,215 @@
+const { query, inPlaceholders } = require('../config/database');
+const { calculateDistance } = require('./location');
+const { loadPolls } = require('./polls');
+const { applyProfileVisibility } = require('./profileVisibility');
+
+/**
+ * Post hydration - turns raw Posts rows into the post JSON returned by the API.
+ * Related data for a whole page is loaded with a fixed number of queries.
+ */
+
+/**
+ * Parse the media_urls column, which is stored as a JSON string
+ */
+function parseMediaUrls(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+/**
+ * Load tag names for a set of posts
+ * @returns {Promise<Map>} postId -> [tag names]
+ */
+async function loadTags(postIds) {
+    const rows = await query(
+        `SELECT pt.post_id, t.name
+         FROM PostTags pt
+         JOIN Tags t ON pt.tag_id = t.tag_id
+         WHERE pt.post_id IN (${inPlaceholders(postIds)})`,
+        postIds
+    );
+
+    const tagsByPost = new Map();
+    for (const row of rows) {
+        if (!tagsByPost.has(row.post_id)) {
+            tagsByPost.set(row.post_id, []);
+        }
+        tagsByPost.get(row.post_id).push(row.name);
+    }
+    return tagsByPost;
+}
+
+/**
+ * Load incident reports for the incident posts in a set
+ * @returns {Promise<Map>} postId -> IncidentReports row
+ */
+async function loadIncidents(postIds) {
+    if (postIds.length === 0) return new Map();
+
+    const rows = await query(
+        `SELECT * FROM IncidentReports WHERE post_id IN (${inPlaceholders(postIds)})`,
+        postIds
+    );
+    return new Map(rows.map(row => [row.post_id, row]));
+}
+
+/**
+ * Load author info for a set of users
+ * @returns {Promise<Map>} userId -> Users row
+ */
+async function loadAuthors(userIds) {
+    const rows = await query(
+        `SELECT user_id, name, username, display_name, profile_image_url,
+                verification_status, street, latitude, longitude
+         FROM Users
+         WHERE user_id IN (${inPlaceholders(userIds)})`,
+        userIds
+    );
+    return new Map(rows.map(row => [row.user_id, row]));
+}
+
+/**
+ * Count comments for a set of posts
+ * @returns {Promise<Map>} postId -> comment count
+ */
+async function loadCommentCounts(postIds) {
+    const rows = await query(
+        `SELECT post_id, COUNT(*) AS count
+         FROM Comments
+         WHERE post_id IN (${inPlaceholders(postIds)}) AND is_deleted = FALSE AND is_hidden = FALSE
+         GROUP BY post_id`,
+        postIds
+    );
+    return new Map(rows.map(row => [row.post_id, row.count]));
+}
+
+/**
+ * Find which posts in a set the viewer has liked
+ * @returns {Promise<Set>} Liked post IDs
+ */
+async function loadLikedPostIds(postIds, viewerId) {
+    if (!viewerId) return new Set();
+
+    const rows = await query(
+        `SELECT post_id FROM Likes WHERE user_id = ? AND post_id IN (${inPlaceholders(postIds)})`,
+        [viewerId, ...postIds]
+    );
+    return new Set(rows.map(row => row.post_id));
+}
+
+/**
+ * Resolve the distance in meters between the viewer and a post.
+ * Uses a precomputed `distance` column when the query selected one, otherwise
+ * the post location (or the author's location when the post has none).
+ */
+function resolveDistance(post, author, origin) {
+    if (post.distance !== undefined && post.distance !== null) {
+        return Number(post.distance);
+    }
+
+    if (!origin || origin.latitude === null || origin.longitude === null ||
+        origin.latitude === undefined || origin.longitude === undefined) {
+        return null;
+    }
+
+    let lat = post.location_lat;
+    let lng = post.location_lng;
+    if ((lat === null || lng === null) && author) {
+        lat = author.latitude;
+        lng = author.longitude;
+    }
+    if (lat === null || lat === undefined || lng === null || lng === undefined) {
+        return null;
+    }
+
+    return calculateDistance(
+        parseFloat(origin.latitude),
+        parseFloat(origin.longitude),
+        parseFloat(lat),
+        parseFloat(lng)
+    ) * 1000;
+}
+
+/**
+ * Hydrate a page of posts with tags, incident details, poll tallies, author info,
+ * comment counts and the viewer's like status.
+ * @param {Array} posts - Posts rows (p.*), optionally with a `distance` column in meters
+ * @param {object} options
+ * @param {number} options.viewerId - User requesting the posts (for like status and author visibility)
+ * @param {object} options.origin - { latitude, longitude } to measure distance from
+ * @returns {Promise<Array>} Posts in the same order, in API shape
+ */
+async function hydratePosts(posts, { viewerId = null, origin = null } = {}) {
+    if (!posts || posts.length === 0) {
+        return [];
+    }
+
+    const postIds = posts.map(p => p.post_id);
+    const authorIds = [...new Set(posts.map(p => p.user_id))];
+    const incidentPostIds = posts.filter(p => p.post_type === 'incident').map(p => p.post_id);
+    const pollPostIds = posts.filter(p => p.post_type === 'poll').map(p => p.post_id);
+
+    const [tagsByPost, incidentsByPost, authorsById, commentCounts, likedPostIds, pollsByPost] = await Promise.all([
+        loadTags(postIds),
+        loadIncidents(incidentPostIds),
+        loadAuthors(authorIds),
+        loadCommentCounts(postIds),
+        loadLikedPostIds(postIds, viewerId),
+        loadPolls(pollPostIds, viewerId)
+    ]);
+
+    // Author coordinates are only used for the distance and never returned
+    await applyProfileVisibility(viewerId, [...authorsById.values()], {
+        fields: { name: 'name', street: 'street' }
+    });
+
+    return posts.map(post => {
+        const author = authorsById.get(post.user_id) || {};
+        const distance = resolveDistance(post, author, origin);
+
+        return {
+            post_id: post.post_id,
+            user_id: post.user_id,
+            content: post.content,
+            post_type: post.post_type,
+            priority: post.priority,
+            is_verified: post.is_verified,
+            media_urls: parseMediaUrls(post.media_urls),
+            post_image: post.post_image,
+            image: post.post_image, // Alias for compatibility
+            location_lat: post.location_lat,
+            location_lng: post.location_lng,
+            visibility_radius: post.visibility_radius,
+            likes_count: post.likes_count,
+            comments_count: commentCounts.get(post.post_id) || 0,
+            is_liked: likedPostIds.has(post.post_id),
+            is_pinned: post.is_pinned,
+            status: post.status,
+            created_at: post.created_at,
+            updated_at: post.updated_at,
+            author_id: post.user_id,
+            author_name: author.name || null,
+            name: author.name || null, // Alias for compatibility
+            username: author.username || null,
+            display_name: author.display_name || null,
+            author_image: author.profile_image_url || null,
+            profile_image: author.profile_image_url || null, // Alias for frontend compatibility
+            author_verification: author.verification_status || null,
+            author_street: author.street || null,
+            tags: tagsByPost.get(post.post_id) || [],
+            incident_details: incidentsByPost.get(post.post_id) || null,
+            poll: pollsByPost.get(post.post_id) || null,
+            distance: distance !== null ? Math.round(distance) : null,
+            distance_text: distance !== null ? `${(distance / 1000).toFixed(1)} km away` : null
+        };
+    });
+}
+
+module.exports = {
+    loadTags,
+    hydratePosts
+};
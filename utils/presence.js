@@ -0,0 +1,201 @@
+const { query, inPlaceholders } = require('../config/database');
+const { emitToUser, emitToRoom, emitToGroup } = require('./notifications');
+const { getActiveMembership } = require('./groupChat');
+const { isBlocked } = require('./blocks');
+const { getPresenceStore, PRESENCE_HEARTBEAT_MS } = require('../config/realtime');
+
+/**
+ * Presence and typing indicators.
+ *
+ * Every connected device (socket) is either 'online' or 'away'. A user is online when
+ * any of their devices is online, away when all of them are away, and offline when none
+ * are connected. Changes are sent to the `presence:<userId>` room, which clients join
+ * for the people they have on screen. Users can hide their last-seen time.
+ * Device states are kept in the presence store (config/realtime), which may be shared
+ * between server instances.
+ */
+
+const PRESENCE_STATUSES = ['online', 'away'];
+
+// Typing indicators stop by themselves if the client never sends typing_stop
+const TYPING_TIMEOUT_MS = 8000;
+
+const localDevices = new Map(); // socketId -> { userId, status } for sockets on this instance
+const typingTimers = new Map(); // `${socketId}|${scope}` -> { timer, stop }
+
+// Keep this instance's devices alive in the presence store
+setInterval(() => {
+    for (const [socketId, device] of localDevices) {
+        getPresenceStore().setDevice(device.userId, socketId, device.status).catch(console.error);
+    }
+}, PRESENCE_HEARTBEAT_MS).unref();
+
+/**
+ * Combined status of all of a user's devices
+ * @returns {Promise<string>} 'online', 'away' or 'offline'
+ */
+async function getStatus(userId) {
+    const statuses = await getPresenceStore().getDeviceStatuses(userId);
+    if (statuses.length === 0) return 'offline';
+    return statuses.includes('online') ? 'online' : 'away';
+}
+
+/**
+ * Presence for a set of users, with last_seen hidden for those who turned it off
+ * @param {Array<number>} userIds
+ * @returns {Promise<Array>} [{ user_id, status, last_seen }]
+ */
+async function getPresence(userIds) {
+    if (userIds.length === 0) return [];
+
+    const rows = await query(
+        `SELECT user_id, last_seen_at, show_last_seen FROM Users WHERE user_id IN (${inPlaceholders(userIds)})`,
+        userIds
+    );
+
+    return Promise.all(rows.map(async row => ({
+        user_id: row.user_id,
+        status: await getStatus(row.user_id),
+        last_seen: row.show_last_seen ? row.last_seen_at : null
+    })));
+}
+
+/**
+ * Record when the user was last connected and tell subscribers if their status changed
+ */
+async function publishChange(userId, previousStatus) {
+    const status = await getStatus(userId);
+    if (status === previousStatus) return;
+
+    if (status === 'offline' || previousStatus === 'offline') {
+        await query('UPDATE Users SET last_seen_at = CURRENT_TIMESTAMP WHERE user_id = ?', [userId]);
+    }
+
+    const [presence] = await getPresence([userId]);
+    if (presence) {
+        emitToRoom(`presence:${userId}`, 'presence_changed', presence);
+    }
+}
+
+/**
+ * A device connected - it starts out online
+ */
+async function deviceConnected(userId, socketId) {
+    const previous = await getStatus(userId);
+    localDevices.set(socketId, { userId, status: 'online' });
+    await getPresenceStore().setDevice(userId, socketId, 'online');
+    await publishChange(userId, previous);
+}
+
+/**
+ * A device went to the background or came back
+ * @param {string} status - One of PRESENCE_STATUSES
+ */
+async function setDeviceStatus(userId, socketId, status) {
+    const device = localDevices.get(socketId);
+    if (!device) return;
+
+    const previous = await getStatus(userId);
+    device.status = status;
+    await getPresenceStore().setDevice(userId, socketId, status);
+    await publishChange(userId, previous);
+}
+
+/**
+ * A device disconnected. Any typing indicators it had running are stopped.
+ */
+async function deviceDisconnected(userId, socketId) {
+    for (const [key, entry] of typingTimers) {
+        if (key.startsWith(`${socketId}|`)) {
+            entry.stop();
+        }
+    }
+
+    if (!localDevices.has(socketId)) return;
+
+    const previous = await getStatus(userId);
+    localDevices.delete(socketId);
+    await getPresenceStore().removeDevice(userId, socketId);
+    await publishChange(userId, previous);
+}
+
+/**
+ * Who should see a typing indicator
+ * @param {number} userId - The person typing
+ * @param {object} target - { receiverId } for a DM or { groupId } for a group
+ * @returns {Promise<object|null>} { scope, emit(event) } or null if not allowed
+ */
+async function resolveTypingTarget(userId, target) {
+    const groupId = parseInt(target?.groupId);
+    if (groupId) {
+        if (!(await getActiveMembership(groupId, userId))) return null;
+        const payload = { type: 'group', group_id: groupId, user_id: userId };
+        return {
+            scope: `group:${groupId}`,
+            emit: (event) => emitToGroup(groupId, event, payload, userId)
+        };
+    }
+
+    const receiverId = parseInt(target?.receiverId);
+    if (receiverId && receiverId !== userId && !(await isBlocked(userId, receiverId))) {
+        const payload = { type: 'dm', user_id: userId };
+        return {
+            scope: `dm:${receiverId}`,
+            emit: (event) => emitToUser(receiverId, event, payload)
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Start or stop a typing indicator in a DM conversation or group
+ * @param {object} options
+ * @param {number} options.userId
+ * @param {string} options.socketId
+ * @param {object} options.target - { receiverId } or { groupId }
+ * @param {boolean} options.isTyping
+ * @returns {Promise<boolean>} Whether the target was valid
+ */
+async function setTyping({ userId, socketId, target, isTyping }) {
+    const resolved = await resolveTypingTarget(userId, target);
+    if (!resolved) return false;
+
+    const key = `${socketId}|${resolved.scope}`;
+    const existing = typingTimers.get(key);
+
+    if (!isTyping) {
+        if (existing) existing.stop();
+        return true;
+    }
+
+    if (existing) {
+        // Still typing - push the automatic stop back
+        clearTimeout(existing.timer);
+        existing.timer = setTimeout(existing.stop, TYPING_TIMEOUT_MS);
+        return true;
+    }
+
+    const entry = {
+        stop: () => {
+            clearTimeout(entry.timer);
+            typingTimers.delete(key);
+            resolved.emit('typing_stop');
+        }
+    };
+    entry.timer = setTimeout(entry.stop, TYPING_TIMEOUT_MS);
+    typingTimers.set(key, entry);
+
+    resolved.emit('typing_start');
+    return true;
+}
+
+module.exports = {
+    PRESENCE_STATUSES,
+    getStatus,
+    getPresence,
+    deviceConnected,
+    setDeviceStatus,
+    deviceDisconnected,
+    setTyping
+};
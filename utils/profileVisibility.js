@@ -0,0 +1,122 @@
+const { query, inPlaceholders } = require('../config/database');
+
+/**
+ * Profile visibility policy - decides which of a user's fields a viewer may see.
+ * Every route that returns information about other users goes through it.
+ *
+ * Everyone sees the basics needed to show who wrote something: user_id, username,
+ * display_name, profile_image_url and verification_status. The rest of the profile
+ * depends on the owner's profile_visibility:
+ *   public       - everyone
+ *   neighborhood - people on the same street, people who follow them, and their trusted contacts
+ *   private      - their trusted contacts only
+ * Contact details and exact location are only ever shown to the owner.
+ */
+
+const PROFILE_VISIBILITIES = ['public', 'neighborhood', 'private'];
+
+// Shown when the profile's visibility lets the viewer in
+const PROFILE_FIELDS = ['name', 'bio', 'age', 'occupation', 'interests', 'skills', 'street'];
+
+// Shown to the owner only
+const OWNER_FIELDS = ['email', 'phone', 'address', 'latitude', 'longitude'];
+
+/**
+ * SQL condition: the viewer may see the full profile of the user aliased `alias`.
+ * Same rules as getProfileAccess, for filtering in a query.
+ * @returns {object} { sql, params }
+ */
+function canViewProfileSql(alias, viewerId) {
+    return {
+        sql: `(${alias}.user_id = ?
+               OR ${alias}.profile_visibility = 'public'
+               OR EXISTS (
+                   SELECT 1 FROM TrustedContacts tc
+                   WHERE tc.user_id = ${alias}.user_id AND tc.trusted_user_id = ? AND tc.status = 'accepted'
+               )
+               OR (${alias}.profile_visibility = 'neighborhood' AND (
+                   (${alias}.street IS NOT NULL AND ${alias}.street = (SELECT street FROM Users WHERE user_id = ?))
+                   OR EXISTS (SELECT 1 FROM Follows f WHERE f.follower_id = ? AND f.followed_id = ${alias}.user_id)
+               )))`,
+        params: [viewerId, viewerId, viewerId, viewerId]
+    };
+}
+
+/**
+ * How much of each user's profile the viewer may see
+ * @param {number|null} viewerId
+ * @param {Array<number>} userIds
+ * @returns {Promise<Map>} userId -> 'owner' | 'profile' | 'basic'
+ */
+async function getProfileAccess(viewerId, userIds) {
+    const ids = [...new Set(userIds.filter(Boolean))];
+    const access = new Map();
+    if (ids.length === 0) return access;
+
+    const condition = canViewProfileSql('u', viewerId || null);
+    const rows = await query(
+        `SELECT u.user_id, ${condition.sql} AS can_view
+         FROM Users u
+         WHERE u.user_id IN (${inPlaceholders(ids)})`,
+        [...condition.params, ...ids]
+    );
+
+    for (const row of rows) {
+        if (viewerId && row.user_id === viewerId) {
+            access.set(row.user_id, 'owner');
+        } else {
+            access.set(row.user_id, row.can_view ? 'profile' : 'basic');
+        }
+    }
+    return access;
+}
+
+/**
+ * Blank out the fields an access map from getProfileAccess doesn't allow, for callers
+ * that need the access levels themselves too. Rows are changed in place.
+ * @param {Map} access - From getProfileAccess
+ * @param {Array<object>} rows
+ * @param {object} options - Same as applyProfileVisibility
+ * @returns {Array<object>} The same rows
+ */
+function restrictProfileFields(access, rows, { idField = 'user_id', fields = null } = {}) {
+    const fieldMap = fields || Object.fromEntries([...PROFILE_FIELDS, ...OWNER_FIELDS].map(f => [f, f]));
+
+    for (const row of rows) {
+        const level = access.get(row[idField]) || 'basic';
+        if (level === 'owner') continue;
+
+        for (const [field, key] of Object.entries(fieldMap)) {
+            if (!(key in row)) continue;
+            if (OWNER_FIELDS.includes(field) || level === 'basic') {
+                row[key] = null;
+            }
+        }
+    }
+    return rows;
+}
+
+/**
+ * Blank out the fields the viewer may not see. Rows are changed in place.
+ * @param {number|null} viewerId
+ * @param {Array<object>} rows - Rows carrying user fields
+ * @param {object} options
+ * @param {string} options.idField - Key holding the user ID the fields belong to
+ * @param {object} options.fields - { policyField: rowKey } when the row uses other names
+ *   (e.g. { name: 'author_name' }). Defaults to every restricted field under its own name.
+ * @returns {Promise<Array<object>>} The same rows
+ */
+async function applyProfileVisibility(viewerId, rows, { idField = 'user_id', fields = null } = {}) {
+    if (!rows || rows.length === 0) return rows;
+
+    const access = await getProfileAccess(viewerId, rows.map(row => row[idField]));
+    return restrictProfileFields(access, rows, { idField, fields });
+}
+
+module.exports = {
+    PROFILE_VISIBILITIES,
+    canViewProfileSql,
+    getProfileAccess,
+    restrictProfileFields,
+    applyProfileVisibility
+};
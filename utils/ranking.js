@@ -0,0 +1,181 @@
+const { query } = require('../config/database');
+const { calculateDistance } = require('./location');
+const { loadTags } = require('./posts');
+
+/**
+ * Feed ranking - scores posts for a viewer from a set of weighted scorers.
+ * Each scorer returns a value between 0 and 1; a post's score is the weighted sum.
+ * New signals can be added with registerScorer().
+ */
+
+const RECENCY_HALF_LIFE_HOURS = 24;
+const DISTANCE_HALF_KM = 2;
+const ENGAGEMENT_SATURATION = 50;
+
+const PRIORITY_SCORES = {
+    normal: 0,
+    high: 0.6,
+    urgent: 1
+};
+
+const scorers = new Map();
+
+/**
+ * Register (or replace) a ranking signal
+ * @param {string} name - Signal name, used to override its weight
+ * @param {number} weight - Default weight of the signal
+ * @param {Function} score - (post, context) => number between 0 and 1
+ */
+function registerScorer(name, weight, score) {
+    scorers.set(name, { weight, score });
+}
+
+/**
+ * Distance in km between the viewer and the post (or its author when the post has no location)
+ */
+function postDistanceKm(post, origin) {
+    if (!origin || origin.latitude === null || origin.longitude === null) {
+        return null;
+    }
+
+    const lat = post.location_lat ?? post.author_latitude;
+    const lng = post.location_lng ?? post.author_longitude;
+    if (lat === null || lat === undefined || lng === null || lng === undefined) {
+        return null;
+    }
+
+    return calculateDistance(
+        parseFloat(origin.latitude),
+        parseFloat(origin.longitude),
+        parseFloat(lat),
+        parseFloat(lng)
+    );
+}
+
+/**
+ * Parse Users.interests, which may be a JSON array or a comma separated list
+ * @returns {Array<string>} Lowercased interests
+ */
+function parseInterests(value) {
+    if (!value) return [];
+
+    let interests;
+    try {
+        interests = JSON.parse(value);
+    } catch (e) {
+        interests = value.split(/[,;\n]/);
+    }
+
+    if (!Array.isArray(interests)) return [];
+
+    return interests
+        .filter(i => typeof i === 'string')
+        .map(i => i.trim().toLowerCase())
+        .filter(i => i.length > 0);
+}
+
+registerScorer('recency', 3, (post, context) => {
+    const ageHours = Math.max(0, (context.now - new Date(post.created_at).getTime()) / (60 * 60 * 1000));
+    return Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS);
+});
+
+registerScorer('distance', 2, (post, context) => {
+    const km = postDistanceKm(post, context.origin);
+    if (km === null) return 0;
+    return 1 / (1 + km / DISTANCE_HALF_KM);
+});
+
+registerScorer('priority', 1.5, (post) => PRIORITY_SCORES[post.priority] || 0);
+
+registerScorer('engagement', 1, (post) => {
+    const interactions = (post.likes_count || 0) + 2 * (post.comments_count || 0);
+    return Math.min(1, Math.log1p(interactions) / Math.log1p(ENGAGEMENT_SATURATION));
+});
+
+registerScorer('social', 2, (post, context) => {
+    if (context.trustedIds.has(post.user_id)) return 1;
+    if (context.followedIds.has(post.user_id)) return 0.6;
+    return 0;
+});
+
+registerScorer('interests', 1.5, (post, context) => {
+    if (context.interests.length === 0) return 0;
+
+    const tags = (context.tagsByPost.get(post.post_id) || []).map(t => t.toLowerCase());
+    const content = (post.content || '').toLowerCase();
+    const matches = context.interests.filter(i => tags.includes(i) || content.includes(i)).length;
+
+    return Math.min(1, matches / 2);
+});
+
+/**
+ * Load what the scorers need to know about the viewer and the candidate posts
+ * @param {number} viewerId
+ * @param {object} origin - { latitude, longitude } of the viewer, may be null
+ * @param {Array} posts - Candidate posts
+ */
+async function buildRankingContext(viewerId, origin, posts) {
+    const postIds = posts.map(p => p.post_id);
+
+    const [follows, contacts, users, tagsByPost] = await Promise.all([
+        query('SELECT followed_id FROM Follows WHERE follower_id = ?', [viewerId]),
+        query(
+            "SELECT trusted_user_id FROM TrustedContacts WHERE user_id = ? AND status = 'accepted'",
+            [viewerId]
+        ),
+        query('SELECT interests FROM Users WHERE user_id = ?', [viewerId]),
+        postIds.length > 0 ? loadTags(postIds) : new Map()
+    ]);
+
+    return {
+        now: Date.now(),
+        origin,
+        followedIds: new Set(follows.map(f => f.followed_id)),
+        trustedIds: new Set(contacts.map(c => c.trusted_user_id)),
+        interests: parseInterests(users[0]?.interests),
+        tagsByPost
+    };
+}
+
+/**
+ * Score a single post
+ * @param {object} post
+ * @param {object} context - From buildRankingContext
+ * @param {object} weights - Optional per-signal weight overrides
+ * @returns {number}
+ */
+function scorePost(post, context, weights = {}) {
+    let total = 0;
+    for (const [name, scorer] of scorers) {
+        const weight = weights[name] ?? scorer.weight;
+        if (!weight) continue;
+        total += weight * scorer.score(post, context);
+    }
+    return total;
+}
+
+/**
+ * Rank posts for a viewer. Pinned posts stay on top, the rest are ordered by score.
+ * @param {Array} posts - Posts rows, optionally with author_latitude / author_longitude
+ * @param {object} options
+ * @param {number} options.viewerId
+ * @param {object} options.origin - { latitude, longitude } of the viewer
+ * @param {object} options.weights - Optional per-signal weight overrides
+ * @returns {Promise<Array>} Posts sorted by rank
+ */
+async function rankPosts(posts, { viewerId, origin = null, weights = {} }) {
+    const context = await buildRankingContext(viewerId, origin, posts);
+
+    return posts
+        .map(post => ({ post, score: scorePost(post, context, weights) }))
+        .sort((a, b) => (b.post.is_pinned ? 1 : 0) - (a.post.is_pinned ? 1 : 0) ||
+            b.score - a.score ||
+            b.post.post_id - a.post.post_id)
+        .map(entry => entry.post);
+}
+
+module.exports = {
+    registerScorer,
+    scorePost,
+    rankPosts
+};
@@ -0,0 +1,223 @@
+const { query, inPlaceholders } = require('../config/database');
+const { hydratePosts } = require('./posts');
+const { canViewProfileSql, applyProfileVisibility } = require('./profileVisibility');
+const { notBlockedSql } = require('./blocks');
+
+/**
+ * Full-text search across posts, events, groups and users.
+ * Backed by the FULLTEXT indexes from migration 002_search_indexes (BOOLEAN MODE, prefix matching).
+ */
+
+const SEARCH_TYPES = ['post', 'event', 'group', 'user'];
+
+// InnoDB ignores tokens shorter than innodb_ft_min_token_size (3 by default)
+const MIN_TERM_LENGTH = 3;
+
+/**
+ * Turn free text into a BOOLEAN MODE search string.
+ * Operator characters are stripped and each word becomes a prefix match.
+ * @param {string} text
+ * @returns {string|null} Search string, or null if no usable words remain
+ */
+function buildBooleanQuery(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    const words = text
+        .replace(/[+\-><()~*"@]/g, ' ')
+        .split(/\s+/)
+        .filter(w => w.length >= MIN_TERM_LENGTH)
+        .slice(0, 10);
+
+    if (words.length === 0) return null;
+
+    return words.map(w => `${w}*`).join(' ');
+}
+
+/**
+ * One SELECT per result type. Every source returns the same columns
+ * (result_type, result_id, relevance, created_at) so they can be UNIONed,
+ * and applies the visibility rules for the viewer.
+ */
+const SOURCES = {
+    // Posts by people on either side of a block are left out
+    post: (term, viewer) => {
+        const notBlocked = notBlockedSql('p.user_id', viewer.user_id);
+        return {
+            sql: `SELECT 'post' AS result_type, p.post_id AS result_id,
+                         MATCH(p.content) AGAINST (? IN BOOLEAN MODE) AS relevance,
+                         p.created_at
+                  FROM Posts p
+                  WHERE p.status = 'active'
+                    AND MATCH(p.content) AGAINST (? IN BOOLEAN MODE)
+                    AND ${notBlocked.sql}`,
+            params: [term, term, ...notBlocked.params]
+        };
+    },
+
+    event: (term) => ({
+        sql: `SELECT 'event' AS result_type, e.event_id AS result_id,
+                     MATCH(e.title, e.description) AGAINST (? IN BOOLEAN MODE) AS relevance,
+                     e.created_at
+              FROM Events e
+              JOIN Posts ep ON e.post_id = ep.post_id
+              WHERE ep.status = 'active'
+                AND MATCH(e.title, e.description) AGAINST (? IN BOOLEAN MODE)`,
+        params: [term, term]
+    }),
+
+    // Private groups only show up for their active members
+    group: (term, viewer) => ({
+        sql: `SELECT 'group' AS result_type, g.group_id AS result_id,
+                     MATCH(g.name, g.description) AGAINST (? IN BOOLEAN MODE) AS relevance,
+                     g.created_at
+              FROM UserGroups g
+              WHERE MATCH(g.name, g.description) AGAINST (? IN BOOLEAN MODE)
+                AND (g.is_private = FALSE OR EXISTS (
+                      SELECT 1 FROM GroupMemberships gm
+                      WHERE gm.group_id = g.group_id AND gm.user_id = ? AND gm.status = 'active'
+                    ))`,
+        params: [term, term, viewer.user_id]
+    }),
+
+    // Only profiles the viewer may see in full are searchable - skills are part of the profile.
+    // Blocks hide people from each other.
+    user: (term, viewer) => {
+        const canView = canViewProfileSql('u', viewer.user_id);
+        const notBlocked = notBlockedSql('u.user_id', viewer.user_id);
+        return {
+            sql: `SELECT 'user' AS result_type, u.user_id AS result_id,
+                         MATCH(u.display_name, u.skills) AGAINST (? IN BOOLEAN MODE) AS relevance,
+                         u.created_at
+                  FROM Users u
+                  WHERE MATCH(u.display_name, u.skills) AGAINST (? IN BOOLEAN MODE)
+                    AND ${canView.sql}
+                    AND ${notBlocked.sql}`,
+            params: [term, term, ...canView.params, ...notBlocked.params]
+        };
+    }
+};
+
+/**
+ * UNION the sources for the given types
+ */
+function buildUnion(types, term, viewer) {
+    const parts = types.map(type => SOURCES[type](term, viewer));
+    return {
+        sql: parts.map(p => p.sql).join('\nUNION ALL\n'),
+        params: parts.flatMap(p => p.params)
+    };
+}
+
+/**
+ * Load the display data for each result type in one query per type
+ * @returns {Promise<object>} type -> Map(id -> item)
+ */
+async function loadResultItems(rows, viewerId) {
+    const idsByType = {};
+    for (const type of SEARCH_TYPES) {
+        idsByType[type] = rows.filter(r => r.result_type === type).map(r => r.result_id);
+    }
+
+    const loaders = {
+        post: async (ids) => {
+            const posts = await query(`SELECT * FROM Posts WHERE post_id IN (${inPlaceholders(ids)})`, ids);
+            const hydrated = await hydratePosts(posts, { viewerId });
+            return hydrated.map(p => [p.post_id, p]);
+        },
+        event: async (ids) => {
+            const events = await query(
+                `SELECT e.*, u.name AS organizer_name, u.profile_image_url AS organizer_image
+                 FROM Events e
+                 JOIN Users u ON e.organizer_id = u.user_id
+                 WHERE e.event_id IN (${inPlaceholders(ids)})`,
+                ids
+            );
+            await applyProfileVisibility(viewerId, events, { idField: 'organizer_id', fields: { name: 'organizer_name' } });
+            return events.map(e => [e.event_id, e]);
+        },
+        group: async (ids) => {
+            const groups = await query(
+                `SELECT group_id, name, description, group_type, street_name, is_private, member_count, created_at
+                 FROM UserGroups
+                 WHERE group_id IN (${inPlaceholders(ids)})`,
+                ids
+            );
+            return groups.map(g => [g.group_id, g]);
+        },
+        user: async (ids) => {
+            const users = await query(
+                `SELECT user_id, display_name, username, profile_image_url, verification_status, skills
+                 FROM Users
+                 WHERE user_id IN (${inPlaceholders(ids)})`,
+                ids
+            );
+            await applyProfileVisibility(viewerId, users);
+            return users.map(u => [u.user_id, u]);
+        }
+    };
+
+    const entries = await Promise.all(SEARCH_TYPES.map(async (type) => {
+        const ids = idsByType[type];
+        return [type, new Map(ids.length > 0 ? await loaders[type](ids) : [])];
+    }));
+
+    return Object.fromEntries(entries);
+}
+
+/**
+ * Search everything the viewer is allowed to see
+ * @param {string} text - Raw search text
+ * @param {object} options
+ * @param {object} options.viewer - { user_id, street }
+ * @param {Array<string>} options.types - Subset of SEARCH_TYPES to return
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @returns {Promise<object>} { results, facets, total }
+ */
+async function searchAll(text, { viewer, types = SEARCH_TYPES, limit = 20, offset = 0 }) {
+    const term = buildBooleanQuery(text);
+    if (!term) {
+        return { results: [], facets: Object.fromEntries(SEARCH_TYPES.map(t => [t, 0])), total: 0 };
+    }
+
+    // Facet counts always cover every type so clients can show the other tabs
+    const all = buildUnion(SEARCH_TYPES, term, viewer);
+    const facetRows = await query(
+        `SELECT result_type, COUNT(*) AS count FROM (${all.sql}) results GROUP BY result_type`,
+        all.params
+    );
+    const facets = Object.fromEntries(SEARCH_TYPES.map(t => [t, 0]));
+    for (const row of facetRows) {
+        facets[row.result_type] = row.count;
+    }
+
+    const selected = buildUnion(types, term, viewer);
+    const rows = await query(
+        `SELECT * FROM (${selected.sql}) results
+         ORDER BY relevance DESC, created_at DESC
+         LIMIT ${limit} OFFSET ${offset}`,
+        selected.params
+    );
+
+    const items = await loadResultItems(rows, viewer.user_id);
+
+    const results = rows
+        .map(row => ({
+            type: row.result_type,
+            id: row.result_id,
+            relevance: Number(row.relevance),
+            item: items[row.result_type].get(row.result_id) || null
+        }))
+        .filter(r => r.item !== null);
+
+    const total = types.reduce((sum, t) => sum + facets[t], 0);
+
+    return { results, facets, total };
+}
+
+module.exports = {
+    SEARCH_TYPES,
+    MIN_TERM_LENGTH,
+    buildBooleanQuery,
+    searchAll
+};
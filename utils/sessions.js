@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { createNotification, disconnectSession } = require('./notifications');
+
+/**
+ * Login sessions - one per device login. A session ends when the user logs out,
+ * revokes it from another device, or logs out everywhere.
+ */
+
+const SESSION_PLATFORMS = ['ios', 'android', 'web'];
+
+// last_active_at is only written when it's older than this, not on every request
+const ACTIVITY_WRITE_INTERVAL_MINUTES = 5;
+
+/**
+ * Describe the device making a request
+ * @param {object} req - Express request; body may carry device_id, platform and device_name
+ */
+function deviceFromRequest(req) {
+    const { device_id, platform, device_name } = req.body || {};
+    return {
+        deviceId: device_id ? String(device_id).slice(0, 255) : null,
+        platform: SESSION_PLATFORMS.includes(platform) ? platform : null,
+        deviceName: device_name ? String(device_name).slice(0, 100) : null,
+        ipAddress: req.ip || null,
+        userAgent: req.get('user-agent') ? req.get('user-agent').slice(0, 500) : null
+    };
+}
+
+/**
+ * Whether the user has logged in from this device before. Devices are matched on
+ * device_id when the app sends one, otherwise on the user agent.
+ */
+async function isKnownDevice(userId, device) {
+    const rows = device.deviceId
+        ? await query('SELECT 1 FROM Sessions WHERE user_id = ? AND device_id = ? LIMIT 1', [userId, device.deviceId])
+        : await query('SELECT 1 FROM Sessions WHERE user_id = ? AND user_agent <=> ? LIMIT 1', [userId, device.userAgent]);
+    return rows.length > 0;
+}
+
+/**
+ * Start a session for a login, and warn the user when it's from a device they haven't used before
+ * @param {number} userId
+ * @param {object} device - From deviceFromRequest
+ * @returns {Promise<string>} Session ID
+ */
+async function createSession(userId, device) {
+    const [previous, knownDevice] = await Promise.all([
+        query('SELECT COUNT(*) AS total FROM Sessions WHERE user_id = ?', [userId]),
+        isKnownDevice(userId, device)
+    ]);
+
+    const sessionId = crypto.randomUUID();
+    await query(
+        `INSERT INTO Sessions (session_id, user_id, device_id, platform, device_name, ip_address, user_agent)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [sessionId, userId, device.deviceId, device.platform, device.deviceName, device.ipAddress, device.userAgent]
+    );
+
+    // The very first login isn't news
+    if (previous[0].total > 0 && !knownDevice) {
+        const name = device.deviceName || device.platform || 'a new device';
+        await createNotification({
+            user_id: userId,
+            type: 'system',
+            title: 'New login',
+            content: `Your account was just signed in on ${name}${device.ipAddress ? ` (IP ${device.ipAddress})` : ''}. ` +
+                'If this wasn\'t you, revoke the session and change your password.',
+            priority: 'high'
+        });
+    }
+
+    return sessionId;
+}
+
+/**
+ * Check a session is still live and note the activity
+ * @returns {Promise<boolean>} false when the session was revoked or doesn't exist
+ */
+async function touchSession(sessionId, ipAddress = null) {
+    const rows = await query('SELECT revoked_at FROM Sessions WHERE session_id = ?', [sessionId]);
+    if (rows.length === 0 || rows[0].revoked_at) return false;
+
+    await query(
+        `UPDATE Sessions
+         SET last_active_at = CURRENT_TIMESTAMP, ip_address = COALESCE(?, ip_address)
+         WHERE session_id = ?
+           AND last_active_at < DATE_SUB(NOW(), INTERVAL ${ACTIVITY_WRITE_INTERVAL_MINUTES} MINUTE)`,
+        [ipAddress, sessionId]
+    );
+    return true;
+}
+
+/**
+ * A user's active sessions, most recently used first
+ * @param {string} currentSessionId - Flagged with is_current
+ */
+async function listSessions(userId, currentSessionId = null) {
+    const sessions = await query(
+        `SELECT session_id, device_id, platform, device_name, ip_address, user_agent, created_at, last_active_at
+         FROM Sessions
+         WHERE user_id = ? AND revoked_at IS NULL
+         ORDER BY last_active_at DESC`,
+        [userId]
+    );
+    return sessions.map(s => ({ ...s, is_current: s.session_id === currentSessionId }));
+}
+
+/**
+ * End a session: its refresh tokens stop working, its access tokens are rejected,
+ * its sockets are disconnected and its device stops getting push notifications
+ * @returns {Promise<boolean>} false when the session isn't an active session of this user
+ */
+async function revokeSession(userId, sessionId) {
+    const rows = await query(
+        'SELECT device_id FROM Sessions WHERE session_id = ? AND user_id = ? AND revoked_at IS NULL',
+        [sessionId, userId]
+    );
+    if (rows.length === 0) return false;
+
+    await query('UPDATE Sessions SET revoked_at = NOW() WHERE session_id = ?', [sessionId]);
+    await query(
+        'UPDATE RefreshTokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+        [sessionId]
+    );
+
+    if (rows[0].device_id) {
+        await query(
+            'UPDATE NotificationTokens SET is_active = FALSE WHERE user_id = ? AND device_id = ?',
+            [userId, rows[0].device_id]
+        );
+    }
+
+    disconnectSession(sessionId);
+    return true;
+}
+
+/**
+ * End every session of a user
+ */
+async function revokeAllSessions(userId) {
+    await query('UPDATE Sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL', [userId]);
+}
+
+module.exports = {
+    deviceFromRequest,
+    createSession,
+    touchSession,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+};
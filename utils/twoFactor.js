@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const { query } = require('../config/database');
+const { createNotification } = require('./notifications');
+
+/**
+ * TOTP two-factor authentication.
+ *
+ * Enrollment stores a secret and returns it as a QR code; 2FA only switches on once the
+ * user proves their app works by sending a first code, at which point they get one-time
+ * backup codes. Logging in with 2FA on takes two steps: the password returns a login
+ * challenge, and the challenge plus a code (or a backup code) returns the tokens.
+ */
+
+const ISSUER = 'NeighborNet';
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL_MINUTES = 5;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+// Accept the previous and next 30-second code as well, for clock drift
+const totp = authenticator.clone({ window: 1 });
+
+const hashValue = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Backup codes are shown as "xxxxx-xxxxx"; accept them with any case, spacing or dash
+const normalizeBackupCode = (code) => String(code).toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Check a TOTP code. Each time step is accepted once, so a code can't be replayed.
+ */
+async function verifyTotp(userId, secret, code) {
+    const token = String(code).replace(/\s/g, '');
+    if (!/^\d{6}$/.test(token)) return false;
+
+    const delta = totp.checkDelta(token, secret);
+    if (delta === null) return false;
+
+    const step = Math.floor(Date.now() / 1000 / totp.allOptions().step) + delta;
+    const result = await query(
+        `UPDATE Users SET two_factor_last_step = ?
+         WHERE user_id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)`,
+        [step, userId, step]
+    );
+    return result.affectedRows === 1;
+}
+
+/**
+ * Use up one backup code
+ */
+async function useBackupCode(userId, code) {
+    const result = await query(
+        `UPDATE TwoFactorBackupCodes SET used_at = NOW()
+         WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+        [userId, hashValue(normalizeBackupCode(code))]
+    );
+    return result.affectedRows === 1;
+}
+
+/**
+ * Replace a user's backup codes
+ * @returns {Promise<Array<string>>} The new codes - shown once, only their hashes are stored
+ */
+async function regenerateBackupCodes(userId) {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    await query('DELETE FROM TwoFactorBackupCodes WHERE user_id = ?', [userId]);
+    for (const code of codes) {
+        await query(
+            'INSERT INTO TwoFactorBackupCodes (user_id, code_hash) VALUES (?, ?)',
+            [userId, hashValue(normalizeBackupCode(code))]
+        );
+    }
+
+    return codes;
+}
+
+/**
+ * Whether 2FA is on for a user, whether a moderator requires it, and how many backup codes are left
+ */
+async function getTwoFactorStatus(userId) {
+    const users = await query(
+        'SELECT two_factor_enabled, two_factor_enabled_at, two_factor_required FROM Users WHERE user_id = ?',
+        [userId]
+    );
+    const codes = await query(
+        'SELECT COUNT(*) AS remaining FROM TwoFactorBackupCodes WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+    );
+
+    return {
+        enabled: !!users[0].two_factor_enabled,
+        enabled_at: users[0].two_factor_enabled_at,
+        required: !!users[0].two_factor_required,
+        backup_codes_remaining: codes[0].remaining
+    };
+}
+
+/**
+ * Check a second factor: a code from the authenticator app, or a backup code
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(userId, code) {
+    if (!code) return false;
+
+    const users = await query(
+        'SELECT two_factor_secret, two_factor_enabled FROM Users WHERE user_id = ?',
+        [userId]
+    );
+    if (users.length === 0 || !users[0].two_factor_enabled) return false;
+
+    return (await verifyTotp(userId, users[0].two_factor_secret, code)) ||
+        (await useBackupCode(userId, code));
+}
+
+/**
+ * Start enrollment with a fresh secret. Starting again replaces a secret that was never confirmed.
+ * @returns {Promise<object>} { secret, otpauth_url, qr_code } or { status, error }
+ */
+async function startEnrollment(userId) {
+    const users = await query('SELECT email, two_factor_enabled FROM Users WHERE user_id = ?', [userId]);
+    if (users[0].two_factor_enabled) {
+        return { status: 400, error: 'Two-factor authentication is already enabled' };
+    }
+
+    const secret = totp.generateSecret();
+    await query(
+        'UPDATE Users SET two_factor_secret = ?, two_factor_last_step = NULL WHERE user_id = ?',
+        [secret, userId]
+    );
+
+    const otpauthUrl = totp.keyuri(users[0].email, ISSUER, secret);
+    return {
+        secret,
+        otpauth_url: otpauthUrl,
+        qr_code: await QRCode.toDataURL(otpauthUrl)
+    };
+}
+
+/**
+ * Finish enrollment with a first code from the authenticator app
+ * @returns {Promise<object>} { backup_codes } or { status, error }
+ */
+async function confirmEnrollment(userId, code) {
+    const users = await query('SELECT two_factor_secret, two_factor_enabled FROM Users WHERE user_id = ?', [userId]);
+    const user = users[0];
+
+    if (user.two_factor_enabled) {
+        return { status: 400, error: 'Two-factor authentication is already enabled' };
+    }
+    if (!user.two_factor_secret) {
+        return { status: 400, error: 'Start two-factor setup first' };
+    }
+    if (!code || !(await verifyTotp(userId, user.two_factor_secret, code))) {
+        return { status: 400, error: 'Invalid code' };
+    }
+
+    await query(
+        'UPDATE Users SET two_factor_enabled = TRUE, two_factor_enabled_at = NOW() WHERE user_id = ?',
+        [userId]
+    );
+
+    return { backup_codes: await regenerateBackupCodes(userId) };
+}
+
+/**
+ * Turn 2FA off. The caller has already checked the password and a code.
+ */
+async function disableTwoFactor(userId) {
+    await query(
+        `UPDATE Users
+         SET two_factor_enabled = FALSE, two_factor_secret = NULL, two_factor_enabled_at = NULL, two_factor_last_step = NULL
+         WHERE user_id = ?`,
+        [userId]
+    );
+    await query('DELETE FROM TwoFactorBackupCodes WHERE user_id = ?', [userId]);
+
+    await createNotification({
+        user_id: userId,
+        type: 'system',
+        title: 'Two-factor authentication turned off',
+        content: 'Two-factor authentication was turned off for your account. If this wasn\'t you, change your password now.',
+        priority: 'high'
+    });
+}
+
+/**
+ * First login step passed - hand out a challenge for the second
+ * @returns {Promise<string>} Challenge token
+ */
+async function createLoginChallenge(userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await query(
+        `INSERT INTO LoginChallenges (user_id, token_hash, expires_at)
+         VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ${CHALLENGE_TTL_MINUTES} MINUTE))`,
+        [userId, hashValue(token)]
+    );
+    return token;
+}
+
+/**
+ * Email of the account a login challenge belongs to, so wrong codes count against it
+ * @returns {Promise<string|null>}
+ */
+async function getLoginChallengeEmail(challengeToken) {
+    if (!challengeToken) return null;
+
+    const rows = await query(
+        `SELECT u.email FROM LoginChallenges lc
+         JOIN Users u ON lc.user_id = u.user_id
+         WHERE lc.token_hash = ?`,
+        [hashValue(String(challengeToken))]
+    );
+    return rows[0]?.email || null;
+}
+
+/**
+ * Second login step: check the code against the challenge
+ * @returns {Promise<object>} { userId } or { status, error }
+ */
+async function completeLoginChallenge(challengeToken, code) {
+    if (!challengeToken || !code) {
+        return { status: 400, error: 'challenge_token and code are required' };
+    }
+
+    const challenges = await query(
+        `SELECT challenge_id, user_id FROM LoginChallenges
+         WHERE token_hash = ? AND completed_at IS NULL AND expires_at > NOW()`,
+        [hashValue(String(challengeToken))]
+    );
+    if (challenges.length === 0) {
+        return { status: 401, error: 'Login challenge expired. Please log in again.' };
+    }
+
+    const { challenge_id, user_id } = challenges[0];
+
+    // Count the attempt before checking the code so parallel guesses can't get around the limit
+    const counted = await query(
+        `UPDATE LoginChallenges SET attempts = attempts + 1
+         WHERE challenge_id = ? AND attempts < ${CHALLENGE_MAX_ATTEMPTS}`,
+        [challenge_id]
+    );
+    if (counted.affectedRows === 0) {
+        return { status: 429, error: 'Too many attempts. Please log in again.' };
+    }
+
+    if (!(await verifySecondFactor(user_id, code))) {
+        return { status: 401, error: 'Invalid code' };
+    }
+
+    const completed = await query(
+        'UPDATE LoginChallenges SET completed_at = NOW() WHERE challenge_id = ? AND completed_at IS NULL',
+        [challenge_id]
+    );
+    if (completed.affectedRows === 0) {
+        return { status: 401, error: 'Login challenge expired. Please log in again.' };
+    }
+
+    return { userId: user_id };
+}
+
+/**
+ * A moderator requires (or stops requiring) 2FA for another moderator
+ * @returns {Promise<object>} { required } or { status, error }
+ */
+async function setTwoFactorRequired({ moderatorId, targetUserId, required }) {
+    if (targetUserId === moderatorId) {
+        return { status: 400, error: 'You cannot change the two-factor requirement on your own account' };
+    }
+
+    const users = await query('SELECT is_moderator, two_factor_enabled FROM Users WHERE user_id = ?', [targetUserId]);
+    if (users.length === 0) {
+        return { status: 404, error: 'User not found' };
+    }
+    if (!users[0].is_moderator) {
+        return { status: 400, error: 'Two-factor authentication can only be enforced for moderators' };
+    }
+
+    await query('UPDATE Users SET two_factor_required = ? WHERE user_id = ?', [required, targetUserId]);
+
+    if (required && !users[0].two_factor_enabled) {
+        await createNotification({
+            user_id: targetUserId,
+            type: 'system',
+            title: 'Two-factor authentication required',
+            content: 'A moderator has required two-factor authentication for your account. Set it up to keep using NeighborNet.',
+            priority: 'high'
+        });
+    }
+
+    return { required };
+}
+
+module.exports = {
+    getTwoFactorStatus,
+    verifySecondFactor,
+    startEnrollment,
+    confirmEnrollment,
+    regenerateBackupCodes,
+    disableTwoFactor,
+    createLoginChallenge,
+    getLoginChallengeEmail,
+    completeLoginChallenge,
+    setTwoFactorRequired
+};
@@ -0,0 +1,153 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { query } = require('../config/database');
+
+/**
+ * Files users uploaded. They are referenced from the database by URL:
+ *   <host>/uploads/profiles/<file>  - profile images
+ *   <host>/uploads/posts/<file>     - post images
+ *   <host>/api/media/<file>         - message attachments, under uploads/media/<kind>/
+ * URLs in posts and messages are whatever the client sent, so a URL in someone's row
+ * doesn't make the file theirs; see ownedUploads.
+ */
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+const MEDIA_DIRS = ['images', 'files', 'voice', 'other'].map(dir => path.join(UPLOADS_DIR, 'media', dir));
+
+/**
+ * Local path of an uploaded file
+ * @param {string} url - URL stored in the database
+ * @returns {Promise<string|null>} null if the URL isn't one of ours or the file is gone
+ */
+async function resolveUpload(url) {
+    if (!url || typeof url !== 'string') return null;
+
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+    } catch (error) {
+        return null;
+    }
+
+    let candidates = [];
+    const uploadsIndex = pathname.indexOf('/uploads/');
+    const mediaIndex = pathname.indexOf('/api/media/');
+
+    if (uploadsIndex !== -1) {
+        const candidate = path.join(UPLOADS_DIR, pathname.slice(uploadsIndex + '/uploads/'.length));
+        // Never step outside uploads/
+        if (candidate.startsWith(UPLOADS_DIR + path.sep)) {
+            candidates = [candidate];
+        }
+    } else if (mediaIndex !== -1) {
+        const filename = pathname.slice(mediaIndex + '/api/media/'.length);
+        if (filename && !filename.includes('/') && !filename.includes('..')) {
+            candidates = MEDIA_DIRS.map(dir => path.join(dir, filename));
+        }
+    }
+
+    for (const candidate of candidates) {
+        try {
+            await fs.access(candidate);
+            return candidate;
+        } catch (error) {
+            continue;
+        }
+    }
+    return null;
+}
+
+/**
+ * Every upload URL on a post: its image plus anything in media_urls
+ */
+function postUploadUrls(post) {
+    const urls = post.post_image ? [post.post_image] : [];
+    if (post.media_urls) {
+        try {
+            const media = JSON.parse(post.media_urls);
+            if (Array.isArray(media)) urls.push(...media.filter(url => typeof url === 'string'));
+        } catch (error) {
+            // Not JSON - nothing we can resolve
+        }
+    }
+    return urls;
+}
+
+/**
+ * Whether a user other than `userId` refers to a message attachment anywhere
+ * @returns {Promise<boolean>}
+ */
+async function isReferencedByOthers(userId, filename) {
+    const pattern = `%/api/media/${filename.replace(/[\\%_]/g, '\\$&')}`;
+    const rows = await query(
+        `SELECT
+             EXISTS (
+                 SELECT 1 FROM DirectMessages
+                 WHERE sender_id != ? AND (media_url LIKE ? OR thumbnail_url LIKE ?)
+             )
+             OR EXISTS (
+                 SELECT 1 FROM ChatMessages
+                 WHERE user_id != ? AND (media_url LIKE ? OR thumbnail_url LIKE ?)
+             )
+             OR EXISTS (SELECT 1 FROM Posts WHERE user_id != ? AND media_urls LIKE ?)
+             AS referenced`,
+        [userId, pattern, pattern, userId, pattern, pattern, userId, `${pattern}"%`]
+    );
+    return !!rows[0].referenced;
+}
+
+/**
+ * Local paths of the files among `urls` that the user uploaded themselves.
+ * Profile and post images are named `<userId>_<timestamp>` when uploaded, so the name
+ * says whose they are. Message attachments aren't tied to an uploader, so one only counts
+ * as the user's while nobody else refers to it.
+ * @param {number} userId
+ * @param {Array<string>} urls
+ * @returns {Promise<Array<string>>}
+ */
+async function ownedUploads(userId, urls) {
+    const owned = [];
+    for (const url of new Set(urls)) {
+        const filePath = await resolveUpload(url);
+        if (!filePath) continue;
+
+        const [dir] = path.relative(UPLOADS_DIR, filePath).split(path.sep);
+        const filename = path.basename(filePath);
+        let isOwned = false;
+        if (dir === 'profiles' || dir === 'posts') {
+            isOwned = filename.startsWith(`${userId}_`);
+        } else if (dir === 'media') {
+            isOwned = !(await isReferencedByOthers(userId, filename));
+        }
+
+        if (isOwned && !owned.includes(filePath)) owned.push(filePath);
+    }
+    return owned;
+}
+
+/**
+ * Delete the files among `urls` that the user uploaded, skipping any that are already gone
+ * @param {number} userId
+ * @param {Array<string>} urls
+ * @returns {Promise<number>} How many files were removed
+ */
+async function removeUploads(userId, urls) {
+    let removed = 0;
+    for (const filePath of await ownedUploads(userId, urls)) {
+        try {
+            await fs.unlink(filePath);
+            removed++;
+        } catch (error) {
+            console.error(`Could not remove ${filePath}:`, error.message);
+        }
+    }
+    return removed;
+}
+
+module.exports = {
+    UPLOADS_DIR,
+    resolveUpload,
+    postUploadUrls,
+    ownedUploads,
+    removeUploads
+};